@@ -0,0 +1,297 @@
+const { Reader } = require("wav");
+
+const DEFAULT_SAMPLE_RATE_HERTZ = 16000;
+const MIN_SAMPLE_RATE_HERTZ = 8000;
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+
+const createAudioError = (code, message) => {
+  const audioError = new Error(message);
+  audioError.code = code;
+  return audioError;
+};
+
+const createFormatMismatchError = (message) =>
+  createAudioError("STT_FORMAT_MISMATCH", message);
+
+// Magic bytes of the containers clients are known to send.
+const detectContainer = (buffer) => {
+  if (buffer.length < 12) {
+    return null;
+  }
+  const head = buffer.toString("ascii", 0, 4);
+  const isRiff = head === "RIFF" || head === "RIFX";
+  if (isRiff && buffer.toString("ascii", 8, 12) === "WAVE") {
+    return "WAV";
+  }
+  if (head === "OggS") {
+    return "OGG_OPUS";
+  }
+  if (head === "fLaC") {
+    return "FLAC";
+  }
+  if (buffer.readUInt32BE(0) === 0x1a45dfa3) {
+    return "WEBM_OPUS";
+  }
+  return null;
+};
+
+// Splits a WAV file into its header format and sample data. A data chunk
+// cut short (the start of a streamed file) yields the bytes received so far.
+const readWav = (buffer) =>
+  new Promise((resolve, reject) => {
+    const reader = new Reader();
+    const chunks = [];
+    let format = null;
+
+    reader.on("format", (wavFormat) => {
+      format = wavFormat;
+    });
+    reader.on("data", (chunk) => chunks.push(chunk));
+    reader.on("error", (readError) => {
+      reject(
+        createAudioError(
+          "STT_INVALID_PAYLOAD",
+          `Unreadable WAV audio: ${readError.message}`
+        )
+      );
+    });
+    reader.on("end", () => {
+      if (!format) {
+        reject(createAudioError("STT_INVALID_PAYLOAD", "Truncated WAV header"));
+        return;
+      }
+      resolve({ format, data: Buffer.concat(chunks) });
+    });
+    reader.end(buffer);
+  });
+
+// Reads one sample as a number in [-1, 1]. RIFX files are big-endian.
+const readSample = (data, offset, { bitDepth, float, endianness = "LE" }) => {
+  if (float) {
+    return bitDepth === 64
+      ? data[`readDouble${endianness}`](offset)
+      : data[`readFloat${endianness}`](offset);
+  }
+  switch (bitDepth) {
+    case 8:
+      return (data.readUInt8(offset) - 128) / 128;
+    case 16:
+      return data[`readInt16${endianness}`](offset) / 32768;
+    case 24:
+      return data[`readInt${endianness}`](offset, 3) / 8388608;
+    default:
+      return data[`readInt32${endianness}`](offset) / 2147483648;
+  }
+};
+
+// Decodes interleaved PCM into mono samples in [-1, 1], averaging channels.
+const decodeToMono = (data, format) => {
+  const bytesPerSample = format.bitDepth / 8;
+  const frameSize = bytesPerSample * format.channels;
+  const frameCount = Math.floor(data.length / frameSize);
+  const samples = new Float64Array(frameCount);
+
+  for (let frame = 0; frame < frameCount; frame += 1) {
+    let sum = 0;
+    for (let channel = 0; channel < format.channels; channel += 1) {
+      sum += readSample(
+        data,
+        frame * frameSize + channel * bytesPerSample,
+        format
+      );
+    }
+    samples[frame] = sum / format.channels;
+  }
+  return samples;
+};
+
+// Linear interpolation; good enough for speech recognition input.
+const resample = (samples, fromRate, toRate) => {
+  if (fromRate === toRate || !samples.length) {
+    return samples;
+  }
+
+  const ratio = fromRate / toRate;
+  const outputLength = Math.max(1, Math.round(samples.length / ratio));
+  const output = new Float64Array(outputLength);
+  for (let index = 0; index < outputLength; index += 1) {
+    const position = index * ratio;
+    const left = Math.min(Math.floor(position), samples.length - 1);
+    const right = Math.min(left + 1, samples.length - 1);
+    const weight = position - left;
+    output[index] = samples[left] * (1 - weight) + samples[right] * weight;
+  }
+  return output;
+};
+
+const encodeLinear16 = (samples) => {
+  const buffer = Buffer.alloc(samples.length * 2);
+  samples.forEach((sample, index) => {
+    const clamped = Math.max(-1, Math.min(1, sample));
+    buffer.writeInt16LE(Math.round(clamped * 32767), index * 2);
+  });
+  return buffer;
+};
+
+/**
+ * Normalizes the audio of one recognition (a single chunk or a whole
+ * stream) before it reaches the speech provider. `encoding`,
+ * `sampleRateHertz` and `channels` are what the client declared (null when
+ * omitted). PCM is converted to mono LINEAR16 at no more than
+ * `targetSampleRateHertz`; WAV headers are read with the `wav` package and
+ * must agree with anything declared. Other containers pass through
+ * unchanged.
+ *
+ * `outputFormat` is what the provider receives: `normalize(buffer)` may
+ * adopt a WAV header's real rate unless `fixedOutput` is set, as a stream's
+ * recognition config cannot change after it starts.
+ */
+const createAudioNormalizer = ({
+  encoding = null,
+  sampleRateHertz = null,
+  channels = null,
+  targetSampleRateHertz = DEFAULT_SAMPLE_RATE_HERTZ,
+  fixedOutput = false,
+} = {}) => {
+  const getOutputRate = (inputRate) =>
+    Math.min(
+      Math.max(inputRate, MIN_SAMPLE_RATE_HERTZ),
+      targetSampleRateHertz
+    );
+
+  const declaredRate = sampleRateHertz ?? DEFAULT_SAMPLE_RATE_HERTZ;
+  const outputFormat = {
+    encoding: encoding ?? "LINEAR16",
+    sampleRateHertz:
+      (encoding ?? "LINEAR16") === "LINEAR16"
+        ? getOutputRate(declaredRate)
+        : declaredRate,
+  };
+  // A streamed WAV header describes every chunk that follows it.
+  let pcmFormat = {
+    audioFormat: WAVE_FORMAT_PCM,
+    bitDepth: 16,
+    channels: channels ?? 1,
+    sampleRate: declaredRate,
+    endianness: "LE",
+  };
+  let wavHeaderSeen = false;
+
+  const checkWavFormat = (format) => {
+    const isSupportedFormat =
+      format.audioFormat === WAVE_FORMAT_PCM ||
+      (format.audioFormat === WAVE_FORMAT_IEEE_FLOAT &&
+        (format.bitDepth === 32 || format.bitDepth === 64));
+    if (!isSupportedFormat) {
+      throw createFormatMismatchError(
+        `Unsupported WAV audio format ${format.audioFormat} ` +
+          `(${format.bitDepth}-bit); only PCM and float WAV are accepted`
+      );
+    }
+    if (!format.channels || ![8, 16, 24, 32, 64].includes(format.bitDepth)) {
+      throw createFormatMismatchError("Unsupported WAV sample layout");
+    }
+    if (encoding && encoding !== "LINEAR16") {
+      throw createFormatMismatchError(
+        `Audio is PCM WAV but was declared as ${encoding}`
+      );
+    }
+    if (sampleRateHertz && sampleRateHertz !== format.sampleRate) {
+      throw createFormatMismatchError(
+        `WAV header says ${format.sampleRate} Hz but ` +
+          `${sampleRateHertz} Hz was declared`
+      );
+    }
+    if (channels && channels !== format.channels) {
+      throw createFormatMismatchError(
+        `WAV header says ${format.channels} channel(s) but ` +
+          `${channels} were declared`
+      );
+    }
+    if (
+      wavHeaderSeen &&
+      (format.sampleRate !== pcmFormat.sampleRate ||
+        format.channels !== pcmFormat.channels ||
+        format.bitDepth !== pcmFormat.bitDepth)
+    ) {
+      throw createFormatMismatchError(
+        "WAV header does not match the format the stream started with"
+      );
+    }
+  };
+
+  const convertPcm = (data, format, outputRate) => {
+    if (data.length % ((format.bitDepth / 8) * format.channels)) {
+      throw createFormatMismatchError(
+        `Audio length is not a whole number of ${format.bitDepth}-bit ` +
+          `${format.channels}-channel frames`
+      );
+    }
+    return encodeLinear16(
+      resample(decodeToMono(data, format), format.sampleRate, outputRate)
+    );
+  };
+
+  // -> Promise<{ audioContent: Buffer, encoding, sampleRateHertz }>
+  const normalize = async (buffer) => {
+    const container = detectContainer(buffer);
+
+    if (container === "WAV") {
+      const { format, data } = await readWav(buffer);
+      checkWavFormat(format);
+      pcmFormat = format;
+      wavHeaderSeen = true;
+
+      const outputRate = fixedOutput
+        ? outputFormat.sampleRateHertz
+        : getOutputRate(format.sampleRate);
+      return {
+        audioContent: convertPcm(data, format, outputRate),
+        encoding: "LINEAR16",
+        sampleRateHertz: outputRate,
+      };
+    }
+
+    if (container) {
+      if (container !== outputFormat.encoding && (encoding || fixedOutput)) {
+        throw createFormatMismatchError(
+          `Audio is ${container} but was declared as ${outputFormat.encoding}`
+        );
+      }
+      return {
+        audioContent: buffer,
+        encoding: container,
+        sampleRateHertz: declaredRate,
+      };
+    }
+
+    if (outputFormat.encoding !== "LINEAR16") {
+      return { audioContent: buffer, ...outputFormat };
+    }
+
+    // Raw PCM already in the output format is passed through untouched.
+    if (
+      !wavHeaderSeen &&
+      pcmFormat.channels === 1 &&
+      pcmFormat.sampleRate === outputFormat.sampleRateHertz
+    ) {
+      return { audioContent: buffer, ...outputFormat };
+    }
+
+    return {
+      audioContent: convertPcm(buffer, pcmFormat, outputFormat.sampleRateHertz),
+      ...outputFormat,
+    };
+  };
+
+  return { normalize, outputFormat };
+};
+
+module.exports = {
+  createAudioNormalizer,
+  detectContainer,
+  readWav,
+  resample,
+};
@@ -0,0 +1,157 @@
+const crypto = require("crypto");
+
+// HS256 (HMAC-SHA256) JSON Web Tokens, signed with a secret shared with the
+// service that issues tokens to the employer/helper apps.
+
+const AUTH_ERROR_CODES = Object.freeze({
+  TOKEN_MISSING: "AUTH_TOKEN_MISSING",
+  TOKEN_MALFORMED: "AUTH_TOKEN_MALFORMED",
+  TOKEN_INVALID_SIGNATURE: "AUTH_TOKEN_INVALID_SIGNATURE",
+  TOKEN_EXPIRED: "AUTH_TOKEN_EXPIRED",
+  TOKEN_SUBJECT_MISMATCH: "AUTH_TOKEN_SUBJECT_MISMATCH",
+});
+
+const createAuthError = (code, message) => {
+  const authError = new Error(message);
+  authError.code = code;
+  // Socket.IO forwards `data` to the client's connect_error handler.
+  authError.data = { code };
+  return authError;
+};
+
+const base64UrlEncode = (value) => Buffer.from(value).toString("base64url");
+
+const parseSegment = (segment) => {
+  try {
+    const decoded = Buffer.from(segment, "base64url").toString("utf8");
+    const parsed = JSON.parse(decoded);
+    return parsed && typeof parsed === "object" ? parsed : null;
+  } catch (parseError) {
+    return null;
+  }
+};
+
+const createSignature = (signingInput, secret) =>
+  crypto.createHmac("sha256", secret).update(signingInput).digest();
+
+const signToken = (claims, secret, { expiresInSeconds = 3600 } = {}) => {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const header = base64UrlEncode(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const payload = base64UrlEncode(
+    JSON.stringify({
+      iat: issuedAt,
+      exp: issuedAt + expiresInSeconds,
+      ...claims,
+    })
+  );
+  const signature = createSignature(`${header}.${payload}`, secret);
+  return `${header}.${payload}.${signature.toString("base64url")}`;
+};
+
+/**
+ * Verifies an HS256 token and returns its claims. Throws an Error whose
+ * `code` is one of AUTH_ERROR_CODES.
+ */
+const verifyToken = (token, secret, { now = Date.now() } = {}) => {
+  if (typeof token !== "string" || !token.trim()) {
+    throw createAuthError(
+      AUTH_ERROR_CODES.TOKEN_MISSING,
+      "Authentication token is required"
+    );
+  }
+
+  const segments = token.trim().split(".");
+  const header = segments.length === 3 ? parseSegment(segments[0]) : null;
+  const claims = segments.length === 3 ? parseSegment(segments[1]) : null;
+  if (
+    !header ||
+    !claims ||
+    header.alg !== "HS256" ||
+    typeof claims.sub !== "string" ||
+    !claims.sub.trim() ||
+    (claims.exp != null && typeof claims.exp !== "number")
+  ) {
+    throw createAuthError(
+      AUTH_ERROR_CODES.TOKEN_MALFORMED,
+      "Authentication token is malformed"
+    );
+  }
+
+  const expectedSignature = createSignature(
+    `${segments[0]}.${segments[1]}`,
+    secret
+  );
+  const actualSignature = Buffer.from(segments[2], "base64url");
+  if (
+    actualSignature.length !== expectedSignature.length ||
+    !crypto.timingSafeEqual(actualSignature, expectedSignature)
+  ) {
+    throw createAuthError(
+      AUTH_ERROR_CODES.TOKEN_INVALID_SIGNATURE,
+      "Authentication token signature is invalid"
+    );
+  }
+
+  if (claims.exp != null && claims.exp * 1000 <= now) {
+    throw createAuthError(
+      AUTH_ERROR_CODES.TOKEN_EXPIRED,
+      "Authentication token has expired"
+    );
+  }
+
+  return { ...claims, sub: claims.sub.trim() };
+};
+
+// Tokens may be sent through the Socket.IO `auth` option or, for clients
+// that cannot set it, as a `token` query parameter.
+const getHandshakeToken = (handshake) =>
+  handshake?.auth?.token ?? handshake?.query?.token;
+
+// HTTP clients send `Authorization: Bearer <token>`; download links may
+// carry the token as a `token` query parameter instead.
+const getRequestToken = (req) => {
+  const [scheme, token] = String(req.headers?.authorization || "").split(" ");
+  if (scheme?.toLowerCase() === "bearer" && token) {
+    return token;
+  }
+  return req.query?.token;
+};
+
+// Express middleware: verifies the request token and sets `req.user`.
+const requireAuth = (secret) => (req, res, next) => {
+  let claims;
+  try {
+    claims = verifyToken(getRequestToken(req), secret);
+  } catch (authError) {
+    res.status(401).json({ code: authError.code, message: authError.message });
+    return;
+  }
+
+  req.user = claims.sub;
+  req.auth = claims;
+  next();
+};
+
+// Express middleware for routes that need a role claim; use after
+// requireAuth.
+const requireRole = (role) => (req, res, next) => {
+  if (req.auth?.role !== role) {
+    res.status(403).json({
+      code: "FORBIDDEN",
+      message: `This route requires the "${role}" role`,
+    });
+    return;
+  }
+  next();
+};
+
+module.exports = {
+  AUTH_ERROR_CODES,
+  createAuthError,
+  getHandshakeToken,
+  getRequestToken,
+  requireAuth,
+  requireRole,
+  signToken,
+  verifyToken,
+};
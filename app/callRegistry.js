@@ -0,0 +1,286 @@
+const crypto = require("crypto");
+
+const CALL_STATES = Object.freeze({
+  RINGING: "ringing",
+  ACTIVE: "active",
+  ENDED: "ended",
+});
+
+/**
+ * In-memory registry of one-to-one calls. A user can take part in at most
+ * one ringing or active call at a time; ended calls are dropped from the
+ * registry and only returned to the caller of endCall.
+ *
+ * Calls still ringing after `ringTimeoutMs` (0 disables) are ended with
+ * reason "timeout" and handed to `onRingTimeout`. Active calls whose
+ * participant disconnected are held for `reconnectGraceMs`; if that user
+ * does not come back in time the call ends with reason "connection_lost"
+ * and is handed to `onReconnectTimeout`.
+ *
+ * Changes replicate as described in app/replicatedStore.js; the registry
+ * applies them itself to keep its per-user index and timers in step.
+ * Timers only run on the instance that started them;
+ * a replicated answer, reconnect or end still clears them there. Ringing
+ * and held calls carry `expiresAt`, so if that instance goes away any
+ * other one ends the call once it is `staleCallGraceMs` past due.
+ */
+const createCallRegistry = ({
+  ringTimeoutMs = 0,
+  onRingTimeout,
+  reconnectGraceMs = 0,
+  onReconnectTimeout,
+  staleCallGraceMs = 5000,
+  onChange = () => {},
+} = {}) => {
+  const callsById = new Map();
+  const callIdByUser = new Map();
+  const ringTimers = new Map();
+  const reconnectTimers = new Map();
+
+  const clearRingTimer = (callId) => {
+    clearTimeout(ringTimers.get(callId));
+    ringTimers.delete(callId);
+  };
+
+  const clearReconnectTimer = (call, userId) => {
+    clearTimeout(reconnectTimers.get(`${call.callId}:${userId}`));
+    reconnectTimers.delete(`${call.callId}:${userId}`);
+    call.disconnectedUsers = call.disconnectedUsers.filter(
+      (disconnectedUserId) => disconnectedUserId !== userId
+    );
+  };
+
+  const expiresIn = (delayMs) =>
+    new Date(Date.now() + delayMs).toISOString();
+
+  const hasLocalTimer = (call) =>
+    ringTimers.has(call.callId) ||
+    call.disconnectedUsers.some((userId) =>
+      reconnectTimers.has(`${call.callId}:${userId}`)
+    );
+
+  // Ends a replicated call whose timer should have fired long ago on the
+  // instance that owned it. Returns the call if it is still live.
+  const reapIfStale = (call) => {
+    if (
+      !call ||
+      !call.expiresAt ||
+      hasLocalTimer(call) ||
+      Date.now() < Date.parse(call.expiresAt) + staleCallGraceMs
+    ) {
+      return call || null;
+    }
+
+    if (call.state === CALL_STATES.RINGING) {
+      const timedOutCall = endCall(call.callId, "timeout");
+      onRingTimeout?.(timedOutCall);
+    } else {
+      const [userId] = call.disconnectedUsers;
+      const lostCall = endCall(call.callId, "connection_lost");
+      onReconnectTimeout?.(lostCall, userId);
+    }
+    return null;
+  };
+
+  const getCall = (callId) => reapIfStale(callsById.get(callId));
+
+  const getCallForUser = (userId) => getCall(callIdByUser.get(userId));
+
+  const isUserBusy = (userId) => Boolean(getCallForUser(userId));
+
+  const isParticipant = (call, userId) =>
+    Boolean(call) && (call.callerId === userId || call.calleeId === userId);
+
+  const getPeerId = (call, userId) =>
+    call.callerId === userId ? call.calleeId : call.callerId;
+
+  const createCall = ({ callerId, calleeId }) => {
+    const call = {
+      callId: crypto.randomUUID(),
+      callerId,
+      calleeId,
+      state: CALL_STATES.RINGING,
+      createdAt: new Date().toISOString(),
+      answeredAt: null,
+      endedAt: null,
+      endReason: null,
+      expiresAt: ringTimeoutMs > 0 ? expiresIn(ringTimeoutMs) : null,
+      disconnectedUsers: [],
+    };
+
+    callsById.set(call.callId, call);
+    callIdByUser.set(callerId, call.callId);
+    callIdByUser.set(calleeId, call.callId);
+    onChange({ type: "upsert", call });
+
+    if (ringTimeoutMs > 0) {
+      const timer = setTimeout(() => {
+        const timedOutCall = endCall(call.callId, "timeout");
+        if (timedOutCall && onRingTimeout) {
+          onRingTimeout(timedOutCall);
+        }
+      }, ringTimeoutMs);
+      timer.unref?.();
+      ringTimers.set(call.callId, timer);
+    }
+    return call;
+  };
+
+  const answerCall = (callId) => {
+    const call = getCall(callId);
+    if (!call || call.state !== CALL_STATES.RINGING) {
+      return null;
+    }
+
+    clearRingTimer(callId);
+    call.state = CALL_STATES.ACTIVE;
+    call.answeredAt = new Date().toISOString();
+    call.expiresAt = null;
+    onChange({ type: "upsert", call });
+    return call;
+  };
+
+  const removeCall = (call) => {
+    clearRingTimer(call.callId);
+    [...call.disconnectedUsers].forEach((userId) =>
+      clearReconnectTimer(call, userId)
+    );
+    callsById.delete(call.callId);
+    [call.callerId, call.calleeId].forEach((userId) => {
+      if (callIdByUser.get(userId) === call.callId) {
+        callIdByUser.delete(userId);
+      }
+    });
+  };
+
+  const endCall = (callId, reason = "hangup") => {
+    const call = callsById.get(callId);
+    if (!call) {
+      return null;
+    }
+
+    removeCall(call);
+    call.state = CALL_STATES.ENDED;
+    call.endedAt = new Date().toISOString();
+    call.endReason = reason;
+    onChange({ type: "remove", callId });
+    return call;
+  };
+
+  // Starts the reconnect grace window for a participant of an active call.
+  // Returns false when the call should be ended right away instead.
+  const markDisconnected = (callId, userId) => {
+    const call = getCall(callId);
+    if (
+      !call ||
+      call.state !== CALL_STATES.ACTIVE ||
+      !isParticipant(call, userId) ||
+      reconnectGraceMs <= 0
+    ) {
+      return false;
+    }
+
+    clearReconnectTimer(call, userId);
+    const timer = setTimeout(() => {
+      const lostCall = endCall(callId, "connection_lost");
+      if (lostCall && onReconnectTimeout) {
+        onReconnectTimeout(lostCall, userId);
+      }
+    }, reconnectGraceMs);
+    timer.unref?.();
+    reconnectTimers.set(`${callId}:${userId}`, timer);
+    call.disconnectedUsers.push(userId);
+    call.expiresAt = expiresIn(reconnectGraceMs);
+    onChange({ type: "upsert", call });
+    return true;
+  };
+
+  // Returns the held call if the user reconnected within the grace window.
+  const markReconnected = (userId) => {
+    const call = getCallForUser(userId);
+    if (!call || !call.disconnectedUsers.includes(userId)) {
+      return null;
+    }
+
+    clearReconnectTimer(call, userId);
+    if (!call.disconnectedUsers.length) {
+      call.expiresAt = null;
+    }
+    onChange({ type: "upsert", call });
+    return call;
+  };
+
+  // Applies a change reported by another instance's registry.
+  const applyChange = (change) => {
+    if (change.type === "remove") {
+      const call = callsById.get(change.callId);
+      if (call) {
+        removeCall(call);
+      }
+      return;
+    }
+
+    const call = Object.assign(
+      callsById.get(change.call.callId) || {},
+      change.call
+    );
+    callsById.set(call.callId, call);
+    callIdByUser.set(call.callerId, call.callId);
+    callIdByUser.set(call.calleeId, call.callId);
+    if (call.state !== CALL_STATES.RINGING) {
+      clearRingTimer(call.callId);
+    }
+    [call.callerId, call.calleeId]
+      .filter((userId) => !call.disconnectedUsers.includes(userId))
+      .forEach((userId) => clearReconnectTimer(call, userId));
+  };
+
+  const snapshot = () =>
+    [...callsById.values()].map((call) => ({ type: "upsert", call }));
+
+  // Resolves the call a signaling event refers to: by explicit callId, or
+  // the user's current call with the given peer for older clients.
+  const resolveCall = (userId, { callId, peerId } = {}) => {
+    const call = callId ? getCall(callId) : getCallForUser(userId);
+    if (!isParticipant(call, userId)) {
+      return null;
+    }
+    if (peerId && getPeerId(call, userId) !== peerId) {
+      return null;
+    }
+    return call;
+  };
+
+  const countByState = () => {
+    const counts = { [CALL_STATES.RINGING]: 0, [CALL_STATES.ACTIVE]: 0 };
+    [...callsById.values()].map(reapIfStale).forEach((call) => {
+      if (call) {
+        counts[call.state] += 1;
+      }
+    });
+    return counts;
+  };
+
+  return {
+    answerCall,
+    applyChange,
+    createCall,
+    endCall,
+    getCall,
+    getCallForUser,
+    getPeerId,
+    isParticipant,
+    isUserBusy,
+    markDisconnected,
+    markReconnected,
+    resolveCall,
+    size: () => callsById.size,
+    snapshot,
+    countByState,
+  };
+};
+
+module.exports = {
+  CALL_STATES,
+  createCallRegistry,
+};
@@ -0,0 +1,403 @@
+const express = require("express");
+const fs = require("fs");
+const path = require("path");
+
+const { requireAuth, requireRole } = require("./auth");
+const { parseLanguageMatrix } = require("./languages");
+const { LOG_LEVELS, parseRedaction } = require("./logger");
+const { CALL_POLICIES } = require("./policy");
+const { PROVIDERS } = require("./providers");
+const { STATE_STORES } = require("./state");
+const { TRANSCRIPT_STORES } = require("./transcripts");
+const { createGlossary } = require("./translation");
+
+// setTimeout cannot schedule further ahead than this.
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+const REDACTED = "[redacted]";
+
+const describeRange = (min, max) =>
+  max === Infinity ? `at least ${min}` : `between ${min} and ${max}`;
+
+/**
+ * Reads settings from `env`, collecting every problem instead of stopping at
+ * the first one. Unset and blank variables take the default.
+ */
+const createEnvReader = (env) => {
+  const errors = [];
+
+  const read = (name) => {
+    const value = env[name];
+    return value == null || !String(value).trim()
+      ? undefined
+      : String(value).trim();
+  };
+
+  const fail = (message, fallback) => {
+    errors.push(message);
+    return fallback;
+  };
+
+  const number = (
+    name,
+    fallback,
+    { min = -Infinity, max = Infinity, integer = true } = {}
+  ) => {
+    const raw = read(name);
+    if (raw === undefined) {
+      return fallback;
+    }
+    const value = Number(raw);
+    const valid = integer ? Number.isInteger(value) : Number.isFinite(value);
+    if (!valid || value < min || value > max) {
+      return fail(
+        `${name} must be ${integer ? "an integer" : "a number"} ` +
+          `${describeRange(min, max)}, got "${raw}"`,
+        fallback
+      );
+    }
+    return value;
+  };
+
+  const boolean = (name, fallback) => {
+    const raw = read(name);
+    if (raw === undefined) {
+      return fallback;
+    }
+    if (!["true", "false"].includes(raw.toLowerCase())) {
+      return fail(`${name} must be "true" or "false", got "${raw}"`, fallback);
+    }
+    return raw.toLowerCase() === "true";
+  };
+
+  const oneOf = (name, fallback, choices) => {
+    const raw = read(name);
+    if (raw === undefined) {
+      return fallback;
+    }
+    const value = raw.toLowerCase();
+    if (!Object.keys(choices).includes(value)) {
+      return fail(
+        `${name} must be one of ${Object.keys(choices).join(", ")}, ` +
+          `got "${raw}"`,
+        fallback
+      );
+    }
+    return value;
+  };
+
+  // Runs a parser that throws, reporting its message under `name`.
+  const parse = (name, parser, fallback) => {
+    try {
+      return parser();
+    } catch (parseError) {
+      return fail(`${name}: ${parseError.message}`, fallback);
+    }
+  };
+
+  return { boolean, errors, fail, number, oneOf, parse, read };
+};
+
+const parseCorsOrigins = (raw) => {
+  if (raw === "*") {
+    return "*";
+  }
+  return raw.split(",").map((entry) => {
+    const origin = entry.trim();
+    let url;
+    try {
+      url = new URL(origin);
+    } catch {
+      url = null;
+    }
+    if (
+      !url ||
+      !["http:", "https:"].includes(url.protocol) ||
+      url.origin !== origin.replace(/\/$/, "")
+    ) {
+      throw new Error(
+        `"${origin}" is not an http(s) origin such as https://app.example.com`
+      );
+    }
+    return url.origin;
+  });
+};
+
+const decodeCredentials = (raw) => {
+  const decoded = Buffer.from(raw, "base64").toString("utf8");
+  try {
+    JSON.parse(decoded);
+  } catch {
+    throw new Error("must be a base64 encoded JSON service account key");
+  }
+  return decoded;
+};
+
+const readGlossaryFile = (file) => {
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (readError) {
+    throw new Error(`unable to read "${file}" (${readError.message})`);
+  }
+  if (!Array.isArray(entries)) {
+    throw new Error(`"${file}" must hold a JSON array of glossary entries`);
+  }
+  return entries;
+};
+
+// One message per glossary entry the server would refuse to load.
+const findGlossaryProblems = (entries, normalizeLanguageCode) =>
+  entries.flatMap((entry, index) => {
+    try {
+      createGlossary({ entries: [entry], normalizeLanguageCode });
+      return [];
+    } catch (entryError) {
+      return [`entry ${index + 1}: ${entryError.message}`];
+    }
+  });
+
+/**
+ * Parses and validates every setting from `env` (process.env by default).
+ * Throws an error with code "INVALID_CONFIG" listing every problem in
+ * `errors`, so a misconfigured deployment fails at startup rather than on
+ * the first call.
+ */
+const loadConfig = (env = process.env) => {
+  const { boolean, errors, fail, number, oneOf, parse, read } =
+    createEnvReader(env);
+  const timer = { min: 0, max: MAX_TIMER_DELAY_MS };
+  const positiveTimer = { min: 1, max: MAX_TIMER_DELAY_MS };
+
+  const tokenSecret =
+    read("AUTH_TOKEN_SECRET") ??
+    fail("AUTH_TOKEN_SECRET is required to verify client tokens");
+
+  const languageMatrix = parse(
+    "LANGUAGE_MATRIX",
+    () => parseLanguageMatrix(read("LANGUAGE_MATRIX")),
+    parseLanguageMatrix()
+  );
+  // Detection is on once LANGUAGE_DETECT_CANDIDATES names at most four
+  // languages to tell apart. LANGUAGE_AUTO_DETECT=true without candidates
+  // considers the whole matrix, which must then be small enough.
+  const detectCandidates = read("LANGUAGE_DETECT_CANDIDATES");
+  const autoDetect = boolean(
+    "LANGUAGE_AUTO_DETECT",
+    Boolean(detectCandidates)
+  );
+  const languageDetection = autoDetect
+    ? parse(
+        "LANGUAGE_DETECT_CANDIDATES",
+        () =>
+          languageMatrix.getDetectionConfig(
+            detectCandidates ? detectCandidates.split(",") : undefined
+          ),
+        null
+      )
+    : null;
+
+  const speechProvider = oneOf("SPEECH_PROVIDER", "google", PROVIDERS);
+  const ttsProvider = oneOf("TTS_PROVIDER", null, PROVIDERS);
+  const projectId = read("GOOGLE_CLOUD_PROJECT_ID") ?? null;
+  if (!projectId && [speechProvider, ttsProvider].includes("google")) {
+    fail(
+      "GOOGLE_CLOUD_PROJECT_ID is required when SPEECH_PROVIDER or " +
+        'TTS_PROVIDER is "google"'
+    );
+  }
+  const credentialsPath = read("GOOGLE_APPLICATION_CREDENTIALS");
+  const credentialsFile = credentialsPath
+    ? path.resolve(credentialsPath)
+    : null;
+  if (credentialsFile && !fs.existsSync(credentialsFile)) {
+    fail(`GOOGLE_APPLICATION_CREDENTIALS: "${credentialsFile}" does not exist`);
+  }
+  const credentialsBase64 = read("GOOGLE_APPLICATION_CREDENTIALS_BASE64");
+  const credentialsJson = credentialsBase64
+    ? parse(
+        "GOOGLE_APPLICATION_CREDENTIALS_BASE64",
+        () => decodeCredentials(credentialsBase64),
+        null
+      )
+    : null;
+  const translationLocation = read("GOOGLE_TRANSLATION_LOCATION") ?? "global";
+  const glossaryId = read("GOOGLE_TRANSLATION_GLOSSARY_ID") ?? null;
+  if (glossaryId && translationLocation === "global") {
+    fail(
+      "GOOGLE_TRANSLATION_GLOSSARY_ID needs a regional " +
+        'GOOGLE_TRANSLATION_LOCATION (such as "us-central1"), not "global"'
+    );
+  }
+
+  const glossaryFile = read("TRANSLATION_GLOSSARY_FILE") ?? null;
+  const glossaryEntries =
+    glossaryFile && fs.existsSync(glossaryFile)
+      ? parse(
+          "TRANSLATION_GLOSSARY_FILE",
+          () => readGlossaryFile(glossaryFile),
+          []
+        )
+      : [];
+  findGlossaryProblems(
+    glossaryEntries,
+    languageMatrix.normalizeLanguageCode
+  ).forEach((problem) =>
+    fail(`TRANSLATION_GLOSSARY_FILE: "${glossaryFile}" ${problem}`)
+  );
+
+  const redisUrl = read("REDIS_URL") ?? null;
+  if (redisUrl && !/^rediss?:\/\/./.test(redisUrl)) {
+    fail('REDIS_URL must start with "redis://" or "rediss://"');
+  }
+
+  const config = {
+    port: number("PORT", 3000, { min: 1, max: 65535 }),
+    corsOrigins: parse(
+      "CORS_ORIGINS",
+      () => parseCorsOrigins(read("CORS_ORIGINS") ?? "*"),
+      "*"
+    ),
+    auth: { tokenSecret },
+    limits: {
+      maxAudioBytes: number("MAX_AUDIO_BYTES", 1024 * 1024, { min: 1 }),
+      maxMessageLength: number("MAX_MESSAGE_LENGTH", 2000, { min: 1 }),
+      maxSttPendingRequests: number("MAX_STT_PENDING_REQUESTS", 8, {
+        min: 1,
+      }),
+      rateLimitWindowMs: number("RATE_LIMIT_WINDOW_MS", 10000, positiveTimer),
+      rateLimitMaxRequests: number("RATE_LIMIT_MAX_REQUESTS", 20, { min: 1 }),
+      conferenceMaxParticipants: number("CONFERENCE_MAX_PARTICIPANTS", 6, {
+        min: 2,
+      }),
+    },
+    calls: {
+      policy: oneOf("CALL_POLICY", "any", CALL_POLICIES),
+      ringTimeoutMs: number("CALL_RING_TIMEOUT_MS", 30000, timer),
+      reconnectGraceMs: number("CALL_RECONNECT_GRACE_MS", 15000, timer),
+    },
+    shutdown: {
+      drainTimeoutMs: number("SHUTDOWN_DRAIN_TIMEOUT_MS", 8000, timer),
+      reconnectJitterMs: number("SHUTDOWN_RECONNECT_JITTER_MS", 2000, timer),
+    },
+    audio: {
+      targetSampleRate: number("STT_TARGET_SAMPLE_RATE", 16000, {
+        min: 8000,
+        max: 48000,
+      }),
+      vad: {
+        enabled: boolean("VAD_ENABLED", true),
+        thresholdDbfs: number("VAD_THRESHOLD_DBFS", -50, {
+          min: -120,
+          max: 0,
+          integer: false,
+        }),
+        minSpeechMs: number("VAD_MIN_SPEECH_MS", 60, { min: 0 }),
+      },
+      utterancePauseMs: number("UTTERANCE_PAUSE_MS", 700, positiveTimer),
+      utteranceMaxMs: number("UTTERANCE_MAX_MS", 10000, { min: 0 }),
+      sequenceIdTtlMs: number("SEQUENCE_ID_TTL_MS", 60000, positiveTimer),
+      // How long chunks ahead of a missing sequenceId wait for it; 0 passes
+      // them on at once.
+      reorderWindowMs: number("SEQUENCE_REORDER_WINDOW_MS", 500, timer),
+    },
+    languages: {
+      matrix: languageMatrix,
+      autoDetect,
+      detection: languageDetection,
+    },
+    logging: {
+      level: oneOf("LOG_LEVEL", "info", LOG_LEVELS),
+      redact: parse(
+        "LOG_REDACT",
+        () => parseRedaction(read("LOG_REDACT")),
+        parseRedaction()
+      ),
+      // Set it (the same on every instance) for user id hashes that
+      // correlate across instances and restarts; unset, each process
+      // salts with a random value of its own.
+      salt: read("LOG_REDACT_SALT") ?? null,
+    },
+    providers: { speech: speechProvider, tts: ttsProvider },
+    google: {
+      projectId,
+      credentialsFile,
+      credentialsJson,
+      translationLocation,
+      glossaryId,
+    },
+    translation: {
+      cacheSize: number("TRANSLATION_CACHE_SIZE", 1000, { min: 0 }),
+      glossaryFile,
+      glossaryEntries,
+    },
+    state: {
+      store: oneOf("STATE_STORE", "memory", STATE_STORES),
+      redisUrl,
+    },
+    transcripts: {
+      store: oneOf("TRANSCRIPT_STORE", "memory", TRANSCRIPT_STORES),
+      directory: read("TRANSCRIPT_DIR") ?? null,
+    },
+  };
+
+  if (errors.length) {
+    const list = errors.map((error) => `  - ${error}`).join("\n");
+    const configError = new Error(`Invalid configuration:\n${list}`);
+    configError.code = "INVALID_CONFIG";
+    configError.errors = errors;
+    throw configError;
+  }
+  return config;
+};
+
+const redactSecret = (value) => (value ? REDACTED : null);
+
+const redactUrl = (value) => {
+  if (!value) {
+    return null;
+  }
+  const url = new URL(value);
+  if (url.password) {
+    url.password = "redacted";
+  }
+  return url.toString();
+};
+
+// What GET /config shows: secrets are replaced, the language matrix is
+// reduced to its languages.
+const redactConfig = (config) => ({
+  ...config,
+  auth: { tokenSecret: redactSecret(config.auth.tokenSecret) },
+  languages: {
+    languages: config.languages.matrix.languages,
+    autoDetect: config.languages.autoDetect,
+    detection: config.languages.detection,
+  },
+  logging: { ...config.logging, salt: redactSecret(config.logging.salt) },
+  google: {
+    ...config.google,
+    credentialsJson: redactSecret(config.google.credentialsJson),
+  },
+  state: { ...config.state, redisUrl: redactUrl(config.state.redisUrl) },
+});
+
+// GET /config for operators (tokens with role "admin"), secrets redacted.
+const createConfigRouter = ({ config, authSecret }) => {
+  const router = express.Router();
+  router.get(
+    "/config",
+    requireAuth(authSecret),
+    requireRole("admin"),
+    (req, res) => {
+      res.json(redactConfig(config));
+    }
+  );
+  return router;
+};
+
+module.exports = {
+  MAX_TIMER_DELAY_MS,
+  createConfigRouter,
+  loadConfig,
+  redactConfig,
+};
@@ -0,0 +1,37 @@
+const express = require("express");
+
+/**
+ * Probes for the load balancer:
+ *   GET /healthz   the process is up and serving HTTP
+ *   GET /readyz    every check passes; 503 with the first failure otherwise
+ * `checks` are async functions resolving to { ready, reason? }.
+ */
+const createHealthRouter = ({ checks = [] } = {}) => {
+  const router = express.Router();
+
+  router.get("/healthz", (req, res) => {
+    res.json({ status: "ok", uptimeSeconds: Math.round(process.uptime()) });
+  });
+
+  router.get("/readyz", async (req, res) => {
+    for (const check of checks) {
+      let result;
+      try {
+        result = await check();
+      } catch (checkError) {
+        result = { ready: false, reason: checkError.message };
+      }
+      if (!result.ready) {
+        res.status(503).json({ status: "unavailable", reason: result.reason });
+        return;
+      }
+    }
+    res.json({ status: "ready" });
+  });
+
+  return router;
+};
+
+module.exports = {
+  createHealthRouter,
+};
@@ -0,0 +1,265 @@
+// Languages the pipeline can recognize and translate, keyed by Translation
+// API code, with the STT locale used when the client only sends the bare
+// language code.
+const DEFAULT_LANGUAGES = {
+  en: "en-US",
+  my: "my-MM",
+  fil: "fil-PH",
+  id: "id-ID",
+  ta: "ta-IN",
+  bn: "bn-BD",
+};
+
+// Older or alternative codes clients are known to send.
+const LANGUAGE_ALIASES = {
+  tl: "fil",
+  in: "id",
+};
+
+const DEFAULT_SOURCE_LANGUAGE = "en";
+
+// Speech-to-Text accepts at most this many alternativeLanguageCodes.
+const MAX_ALTERNATIVE_LANGUAGES = 3;
+
+const isValidLanguageCode = (languageCode) =>
+  typeof languageCode === "string" &&
+  /^[a-z]{2,3}(?:-[A-Za-z]{2,8})*$/i.test(languageCode.trim());
+
+const createUnsupportedLanguageError = (message) => {
+  const languageError = new Error(message);
+  languageError.code = "STT_UNSUPPORTED_LANGUAGE";
+  return languageError;
+};
+
+/**
+ * Builds the supported language matrix. `pairs` lists allowed
+ * "source:target" translation directions, or "*" for every combination of
+ * the configured languages. Translating a language into itself is always
+ * allowed (no translation happens).
+ */
+const createLanguageMatrix = ({
+  languages = DEFAULT_LANGUAGES,
+  pairs = "*",
+} = {}) => {
+  const languageCodes = Object.keys(languages).map((code) =>
+    code.trim().toLowerCase()
+  );
+  if (!languageCodes.length) {
+    throw new Error("Language matrix must contain at least one language");
+  }
+
+  const sttLocales = {};
+  Object.entries(languages).forEach(([code, sttLocale]) => {
+    if (!isValidLanguageCode(sttLocale)) {
+      throw new Error(
+        `Invalid STT locale "${sttLocale}" for language "${code}"`
+      );
+    }
+    sttLocales[code.trim().toLowerCase()] = sttLocale.trim();
+  });
+
+  const normalizeLanguageCode = (languageCode) => {
+    if (!isValidLanguageCode(languageCode)) {
+      return null;
+    }
+
+    const normalized = languageCode.trim().toLowerCase();
+    if (sttLocales[normalized]) {
+      return normalized;
+    }
+
+    const baseLanguage = normalized.split("-")[0];
+    const resolved = LANGUAGE_ALIASES[baseLanguage] || baseLanguage;
+    return sttLocales[resolved] ? resolved : null;
+  };
+
+  const allowedPairs = new Set();
+  if (pairs === "*") {
+    languageCodes.forEach((source) =>
+      languageCodes.forEach((target) => allowedPairs.add(`${source}:${target}`))
+    );
+  } else {
+    if (!Array.isArray(pairs)) {
+      throw new Error(
+        'Language pairs must be "*" or a list of "source:target"'
+      );
+    }
+    pairs.forEach((pair) => {
+      const [source, target] = String(pair)
+        .split(":")
+        .map(normalizeLanguageCode);
+      if (!source || !target) {
+        throw new Error(`Language pair "${pair}" uses an unknown language`);
+      }
+      allowedPairs.add(`${source}:${target}`);
+    });
+  }
+
+  const isSupportedPair = (source, target) =>
+    source === target || allowedPairs.has(`${source}:${target}`);
+
+  // English is the lingua franca between employers and helpers, so it is
+  // the preferred target; otherwise the first configured target wins.
+  const getDefaultTarget = (source) => {
+    if (source !== "en" && isSupportedPair(source, "en")) {
+      return "en";
+    }
+    return (
+      languageCodes.find(
+        (target) => target !== source && isSupportedPair(source, target)
+      ) || null
+    );
+  };
+
+  // Full locales sent by the client (en-GB, bn-IN) are kept for STT; bare
+  // codes are mapped to the configured locale.
+  const getSttLocale = (languageCode) => {
+    const language = normalizeLanguageCode(languageCode);
+    if (!language) {
+      return null;
+    }
+    return languageCode.includes("-")
+      ? languageCode.trim()
+      : sttLocales[language];
+  };
+
+  /**
+   * Resolves the requested source/target into
+   * { sourceLanguage, sttLocale, targetLanguage }. Throws an error with code
+   * STT_UNSUPPORTED_LANGUAGE instead of substituting another language.
+   */
+  const resolveLanguagePair = (requestedSource, requestedTarget) => {
+    const sourceCode = isValidLanguageCode(requestedSource)
+      ? requestedSource.trim()
+      : DEFAULT_SOURCE_LANGUAGE;
+    const sourceLanguage = normalizeLanguageCode(sourceCode);
+    if (!sourceLanguage) {
+      throw createUnsupportedLanguageError(
+        `Unsupported source language "${sourceCode}"`
+      );
+    }
+
+    let targetLanguage;
+    if (isValidLanguageCode(requestedTarget)) {
+      targetLanguage = normalizeLanguageCode(requestedTarget);
+      if (!targetLanguage) {
+        throw createUnsupportedLanguageError(
+          `Unsupported target language "${requestedTarget.trim()}"`
+        );
+      }
+    } else {
+      targetLanguage = getDefaultTarget(sourceLanguage);
+      if (!targetLanguage) {
+        throw createUnsupportedLanguageError(
+          `No translation target configured for "${sourceLanguage}"`
+        );
+      }
+    }
+
+    if (!isSupportedPair(sourceLanguage, targetLanguage)) {
+      throw createUnsupportedLanguageError(
+        `Unsupported language pair ${sourceLanguage} -> ${targetLanguage}`
+      );
+    }
+
+    return {
+      sourceLanguage,
+      sttLocale: getSttLocale(sourceCode),
+      targetLanguage,
+    };
+  };
+
+  /**
+   * Validates a user's language preferences. Either field may be omitted;
+   * returns { spokenLanguage, spokenLocale, captionLanguage }.
+   */
+  const normalizePreferences = ({ spokenLanguage, captionLanguage } = {}) => {
+    const preferences = {
+      spokenLanguage: null,
+      spokenLocale: null,
+      captionLanguage: null,
+    };
+
+    if (spokenLanguage != null) {
+      preferences.spokenLanguage = normalizeLanguageCode(spokenLanguage);
+      if (!preferences.spokenLanguage) {
+        throw createUnsupportedLanguageError(
+          `Unsupported spoken language "${spokenLanguage}"`
+        );
+      }
+      preferences.spokenLocale = getSttLocale(spokenLanguage);
+    }
+
+    if (captionLanguage != null) {
+      preferences.captionLanguage = normalizeLanguageCode(captionLanguage);
+      if (!preferences.captionLanguage) {
+        throw createUnsupportedLanguageError(
+          `Unsupported caption language "${captionLanguage}"`
+        );
+      }
+    }
+
+    return preferences;
+  };
+
+  /**
+   * STT settings for spoken-language detection among `candidates` (default:
+   * every configured language). The first candidate is the primary locale;
+   * the others become alternatives. Throws when there are more candidates
+   * than Speech-to-Text can consider, rather than leaving some out. Returns
+   * { languageCode, alternativeLanguageCodes }.
+   */
+  const getDetectionConfig = (candidates = languageCodes) => {
+    const languages = [
+      ...new Set(candidates.map(normalizeLanguageCode).filter(Boolean)),
+    ];
+    if (!languages.length) {
+      throw new Error("Language detection needs at least one known language");
+    }
+    if (languages.length > MAX_ALTERNATIVE_LANGUAGES + 1) {
+      throw new Error(
+        `Language detection takes at most ${MAX_ALTERNATIVE_LANGUAGES + 1} ` +
+          `candidates, got ${languages.length} (${languages.join(", ")})`
+      );
+    }
+
+    const [languageCode, ...alternativeLanguageCodes] = languages.map(
+      (language) => sttLocales[language]
+    );
+    return { languageCode, alternativeLanguageCodes };
+  };
+
+  return {
+    getDefaultTarget,
+    getDetectionConfig,
+    getSttLocale,
+    isSupportedPair,
+    languages: [...languageCodes],
+    normalizeLanguageCode,
+    normalizePreferences,
+    resolveLanguagePair,
+  };
+};
+
+// LANGUAGE_MATRIX is JSON: { "languages": { "en": "en-US", ... },
+// "pairs": "*" | ["en:my", "my:en", ...] }. Unset means the defaults above.
+const parseLanguageMatrix = (rawValue) => {
+  if (!rawValue) {
+    return createLanguageMatrix();
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(rawValue);
+  } catch (parseError) {
+    throw new Error("LANGUAGE_MATRIX must be valid JSON");
+  }
+  return createLanguageMatrix(parsed);
+};
+
+module.exports = {
+  DEFAULT_LANGUAGES,
+  createLanguageMatrix,
+  isValidLanguageCode,
+  parseLanguageMatrix,
+};
@@ -0,0 +1,160 @@
+const crypto = require("crypto");
+
+const LOG_LEVELS = Object.freeze({ debug: 10, info: 20, warn: 30, error: 40 });
+
+// Salts user id hashes unless LOG_REDACT_SALT is set. A known salt would
+// let anyone hash candidate user ids and match them against the logs, so
+// each process picks its own; hashes then only correlate within it.
+const PROCESS_SALT = crypto.randomBytes(16).toString("hex");
+
+// Fields holding what people said or wrote.
+const TEXT_FIELDS = new Set([
+  "text",
+  "transcript",
+  "translated",
+  "translation",
+]);
+// Fields holding user ids.
+const USER_ID_FIELDS = new Set([
+  "user",
+  "userId",
+  "from",
+  "to",
+  "callerId",
+  "calleeId",
+  "peerId",
+  "recipientId",
+  "speaker",
+]);
+const REDACTION_KINDS = ["text", "userIds"];
+
+// "text,userIds" (or "all"/"none") -> { text, userIds }
+const parseRedaction = (value = "all") => {
+  const kinds = String(value)
+    .split(",")
+    .map((kind) => kind.trim())
+    .filter(Boolean);
+  const unknown = kinds.filter(
+    (kind) => !["all", "none", ...REDACTION_KINDS].includes(kind)
+  );
+  if (unknown.length) {
+    throw new Error(
+      `Unknown log redaction "${unknown.join(", ")}" (expected one of: ` +
+        `all, none, ${REDACTION_KINDS.join(", ")})`
+    );
+  }
+  const all = kinds.includes("all");
+  return {
+    text: all || kinds.includes("text"),
+    userIds: all || kinds.includes("userIds"),
+  };
+};
+
+/**
+ * Leveled logger writing one JSON object per line. `child(bindings)` adds
+ * fields (connectionId, callId, requestId, ...) to every line it writes.
+ *
+ * With `redact.text`, transcript and message text is replaced by its
+ * length. With `redact.userIds`, user ids become a hash salted with
+ * `salt` (a random one per process when not given), so lines about the
+ * same user still correlate without naming them.
+ */
+const createLogger = ({
+  level = "info",
+  redact = { text: false, userIds: false },
+  salt = null,
+  write = (line) => process.stdout.write(`${line}\n`),
+  bindings = {},
+} = {}) => {
+  if (!LOG_LEVELS[level]) {
+    throw new Error(
+      `Unknown log level "${level}" (expected one of: ${Object.keys(
+        LOG_LEVELS
+      ).join(", ")})`
+    );
+  }
+
+  const hashUserId = (userId) =>
+    `user_${crypto
+      .createHash("sha256")
+      .update(`${salt || PROCESS_SALT}:${userId}`)
+      .digest("hex")
+      .slice(0, 12)}`;
+
+  const redactValue = (key, value) => {
+    if (value === null || value === undefined) {
+      return value;
+    }
+    if (redact.text && TEXT_FIELDS.has(key)) {
+      return `[redacted ${String(value).length} chars]`;
+    }
+    if (redact.userIds && USER_ID_FIELDS.has(key)) {
+      return Array.isArray(value) ? value.map(hashUserId) : hashUserId(value);
+    }
+    return value;
+  };
+
+  const log = (lineLevel, message, fields = {}) => {
+    if (LOG_LEVELS[lineLevel] < LOG_LEVELS[level]) {
+      return;
+    }
+    const entry = {
+      time: new Date().toISOString(),
+      level: lineLevel,
+      msg: message,
+    };
+    Object.entries({ ...bindings, ...fields }).forEach(([key, value]) => {
+      entry[key] =
+        value instanceof Error
+          ? { message: value.message, code: value.code }
+          : redactValue(key, value);
+    });
+    write(JSON.stringify(entry));
+  };
+
+  return {
+    debug: (message, fields) => log("debug", message, fields),
+    info: (message, fields) => log("info", message, fields),
+    warn: (message, fields) => log("warn", message, fields),
+    error: (message, fields) => log("error", message, fields),
+    child: (childBindings) =>
+      createLogger({
+        level,
+        redact,
+        salt,
+        write,
+        bindings: { ...bindings, ...childBindings },
+      }),
+  };
+};
+
+// Express middleware: gives each request an id (an incoming X-Request-Id
+// is kept) and `req.log`, and logs the response once it is sent.
+const createRequestLogger = (logger) => (req, res, next) => {
+  const incomingId = req.get("X-Request-Id");
+  const requestId =
+    incomingId && /^[\w.:-]{1,128}$/.test(incomingId)
+      ? incomingId
+      : crypto.randomUUID();
+  const startedAt = Date.now();
+
+  req.id = requestId;
+  req.log = logger.child({ requestId });
+  res.set("X-Request-Id", requestId);
+  res.on("finish", () => {
+    req.log.debug("HTTP request", {
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt,
+    });
+  });
+  next();
+};
+
+module.exports = {
+  LOG_LEVELS,
+  createLogger,
+  createRequestLogger,
+  parseRedaction,
+};
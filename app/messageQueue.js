@@ -0,0 +1,28 @@
+const { createReplicatedLists } = require("./replicatedStore");
+
+/**
+ * Holds chat messages for offline recipients until their next connection.
+ * Only the newest `maxPerUser` messages are kept per recipient. Replicated
+ * like the other stores (see app/replicatedStore.js).
+ */
+const createMessageQueue = ({ maxPerUser = 100, onChange } = {}) => {
+  const lists = createReplicatedLists({
+    maxPerUser,
+    getUserId: (message) => message.to,
+    getId: (message) => message.messageId,
+    onChange,
+  });
+
+  return {
+    applyChange: lists.applyChange,
+    enqueue: lists.add,
+    peek: lists.peek,
+    snapshot: lists.snapshot,
+    // Returns and clears the queued messages for a user, oldest first.
+    take: lists.take,
+  };
+};
+
+module.exports = {
+  createMessageQueue,
+};
@@ -0,0 +1,164 @@
+const express = require("express");
+
+const PROMETHEUS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+const escapeLabelValue = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const names = Object.keys(labels).sort();
+  if (!names.length) {
+    return "";
+  }
+  return `{${names
+    .map((name) => `${name}="${escapeLabelValue(labels[name])}"`)
+    .join(",")}}`;
+};
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const formatBound = (bound) => (bound === Infinity ? "+Inf" : String(bound));
+
+/**
+ * In-process metrics rendered in the Prometheus text exposition format.
+ * Counters and histograms keep one series per label set; gauges are read
+ * from `collect` at scrape time, returning a number or [labels, value]
+ * pairs.
+ */
+const createMetricsRegistry = () => {
+  const metrics = new Map();
+
+  const register = (name, help, type, samples) => {
+    if (metrics.has(name)) {
+      throw new Error(`Metric "${name}" is already registered`);
+    }
+    metrics.set(name, { name, help, type, samples });
+  };
+
+  // Counters without labels start at 0 so they are scraped before use.
+  const counter = (name, help, { labelled = false } = {}) => {
+    const series = new Map(labelled ? [] : [["", 0]]);
+    register(name, help, "counter", () =>
+      Array.from(series, ([labels, value]) => `${name}${labels} ${value}`)
+    );
+
+    const inc = (labels = {}, amount = 1) => {
+      const key = formatLabels(labels);
+      series.set(key, (series.get(key) || 0) + amount);
+    };
+    const get = (labels = {}) => series.get(formatLabels(labels)) || 0;
+    return { get, inc };
+  };
+
+  const gauge = (name, help, { collect }) => {
+    register(name, help, "gauge", () => {
+      const collected = collect();
+      const pairs = Array.isArray(collected) ? collected : [[{}, collected]];
+      return pairs.map(
+        ([labels, value]) => `${name}${formatLabels(labels)} ${value}`
+      );
+    });
+  };
+
+  const histogram = (
+    name,
+    help,
+    { buckets = DEFAULT_BUCKETS, labelled = false } = {}
+  ) => {
+    const bounds = [...buckets].sort((a, b) => a - b).concat(Infinity);
+    const series = new Map();
+    const createSeries = (labels) => ({
+      labels,
+      counts: bounds.map(() => 0),
+      sum: 0,
+      count: 0,
+    });
+    if (!labelled) {
+      series.set("", createSeries({}));
+    }
+
+    register(name, help, "histogram", () =>
+      Array.from(series.values()).flatMap(({ labels, counts, sum, count }) => [
+        ...bounds.map(
+          (bound, index) =>
+            `${name}_bucket${formatLabels({
+              ...labels,
+              le: formatBound(bound),
+            })} ${counts[index]}`
+        ),
+        `${name}_sum${formatLabels(labels)} ${sum}`,
+        `${name}_count${formatLabels(labels)} ${count}`,
+      ])
+    );
+
+    const observe = (value, labels = {}) => {
+      const key = formatLabels(labels);
+      if (!series.has(key)) {
+        series.set(key, createSeries(labels));
+      }
+      const entry = series.get(key);
+      bounds.forEach((bound, index) => {
+        if (value <= bound) {
+          entry.counts[index] += 1;
+        }
+      });
+      entry.sum += value;
+      entry.count += 1;
+    };
+
+    // -> end(labels) observes the seconds elapsed since the call.
+    const startTimer = () => {
+      const startedAt = process.hrtime.bigint();
+      return (labels) =>
+        observe(Number(process.hrtime.bigint() - startedAt) / 1e9, labels);
+    };
+
+    return { observe, startTimer };
+  };
+
+  const render = () =>
+    Array.from(metrics.values())
+      .map(({ name, help, type, samples }) =>
+        [
+          `# HELP ${name} ${help}`,
+          `# TYPE ${name} ${type}`,
+          ...samples(),
+        ].join("\n")
+      )
+      .join("\n")
+      .concat("\n");
+
+  return { counter, gauge, histogram, render };
+};
+
+// Observes how long `operation` takes, labelled by its outcome.
+const observeDuration = async (histogram, operation) => {
+  const endTimer = histogram.startTimer();
+  try {
+    const result = await operation();
+    endTimer({ outcome: "success" });
+    return result;
+  } catch (operationError) {
+    endTimer({ outcome: "error" });
+    throw operationError;
+  }
+};
+
+// GET /metrics for Prometheus scrapes; no auth, keep it off public ingress.
+const createMetricsRouter = ({ registry }) => {
+  const router = express.Router();
+  router.get("/metrics", (req, res) => {
+    res.type(PROMETHEUS_CONTENT_TYPE).send(registry.render());
+  });
+  return router;
+};
+
+module.exports = {
+  PROMETHEUS_CONTENT_TYPE,
+  createMetricsRegistry,
+  createMetricsRouter,
+  observeDuration,
+};
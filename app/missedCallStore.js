@@ -0,0 +1,39 @@
+const crypto = require("crypto");
+
+const { createReplicatedLists } = require("./replicatedStore");
+
+/**
+ * Keeps missed-call records per callee until they are delivered on the
+ * callee's next connection. Only the newest `maxPerUser` records are kept.
+ * Replicated like the other stores (see app/replicatedStore.js).
+ */
+const createMissedCallStore = ({ maxPerUser = 50, onChange } = {}) => {
+  const lists = createReplicatedLists({
+    maxPerUser,
+    getUserId: (missedCall) => missedCall.calleeId,
+    getId: (missedCall) => missedCall.id,
+    onChange,
+  });
+
+  const record = ({ callerId, calleeId, reason = "unavailable" }) =>
+    lists.add({
+      id: crypto.randomUUID(),
+      callerId,
+      calleeId,
+      reason,
+      timestamp: new Date().toISOString(),
+    });
+
+  return {
+    applyChange: lists.applyChange,
+    peek: lists.peek,
+    record,
+    snapshot: lists.snapshot,
+    // Returns and clears the pending records for a user.
+    take: lists.take,
+  };
+};
+
+module.exports = {
+  createMissedCallStore,
+};
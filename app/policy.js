@@ -0,0 +1,83 @@
+const { CALL_STATES } = require("./callRegistry");
+
+/**
+ * Built-in makeCall policies, selected with CALL_POLICY. A policy receives
+ * `{ caller, callee }` ({ id, role }, role taken from the token claims) and
+ * returns whether the call may ring. The callee's role is null when they
+ * are offline.
+ */
+const CALL_POLICIES = {
+  any: () => true,
+  "employer-helper": ({ caller, callee }) => {
+    const counterpart = { employer: "helper", helper: "employer" }[caller.role];
+    if (!counterpart) {
+      return false;
+    }
+    return callee.role == null || callee.role === counterpart;
+  },
+};
+
+const resolveCallPolicy = (name) => {
+  const normalizedName = String(name || "any").trim().toLowerCase();
+  const policy = CALL_POLICIES[normalizedName];
+  if (!policy) {
+    throw new Error(
+      `Unknown call policy "${name}" (expected one of: ${Object.keys(
+        CALL_POLICIES
+      ).join(", ")})`
+    );
+  }
+  return policy;
+};
+
+/**
+ * Decides who may signal or send captions to whom. Everything except
+ * makeCall and chat is limited to participants of the same call or
+ * conference room.
+ */
+const createAuthorizationPolicy = ({
+  callRegistry,
+  roomRegistry,
+  canCall = CALL_POLICIES.any,
+}) => {
+  const canStartCall = (caller, callee) => Boolean(canCall({ caller, callee }));
+
+  // Offers, answers and ICE candidates may flow while ringing or active.
+  const canSignalPeer = (userId, peerId, callId) =>
+    Boolean(callRegistry.resolveCall(userId, { callId, peerId }));
+
+  // Captions only flow once the call has been answered.
+  const canSendCaptions = (userId, recipientId) =>
+    callRegistry.resolveCall(userId, { peerId: recipientId })?.state ===
+    CALL_STATES.ACTIVE;
+
+  // Mesh offers/answers/ICE and room captions need both users in the room.
+  const canSignalRoomPeer = (userId, peerId, roomId) =>
+    Boolean(roomRegistry) &&
+    userId !== peerId &&
+    roomRegistry.isMember(roomId, userId) &&
+    roomRegistry.isMember(roomId, peerId);
+
+  const canSendRoomCaptions = (userId, roomId) =>
+    Boolean(roomRegistry) && roomRegistry.isMember(roomId, userId);
+
+  // Chat works before a call, with anyone the sender may call, and always
+  // with the peer of the sender's current call.
+  const canSendMessage = (sender, recipient) =>
+    canStartCall(sender, recipient) || canSignalPeer(sender.id, recipient.id);
+
+  return {
+    canSendCaptions,
+    canSendMessage,
+    canSendRoomCaptions,
+    canSignalPeer,
+    canSignalRoomPeer,
+    canStartCall,
+  };
+};
+
+module.exports = {
+  CALL_POLICIES,
+  createAuthorizationPolicy,
+  resolveCallPolicy,
+};
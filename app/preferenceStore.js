@@ -0,0 +1,34 @@
+const { createReplicatedMap } = require("./replicatedStore");
+
+/**
+ * Per-user caption preferences ({ spokenLanguage, spokenLocale,
+ * captionLanguage, tts }), shared by all of a user's sockets so a sender's
+ * pipeline can look up what the recipient wants to read or hear.
+ * Replicated like the other stores (see app/replicatedStore.js).
+ */
+const createPreferenceStore = ({ onChange } = {}) => {
+  const preferencesByUser = createReplicatedMap({ onChange });
+
+  // Merges the given fields; null/undefined fields keep their current value.
+  const update = (userId, preferences) => {
+    const next = { ...preferencesByUser.get(userId) };
+    Object.entries(preferences).forEach(([key, value]) => {
+      if (value != null) {
+        next[key] = value;
+      }
+    });
+    return preferencesByUser.set(userId, next);
+  };
+
+  return {
+    applyChange: preferencesByUser.applyChange,
+    get: preferencesByUser.get,
+    remove: preferencesByUser.delete,
+    snapshot: preferencesByUser.snapshot,
+    update,
+  };
+};
+
+module.exports = {
+  createPreferenceStore,
+};
@@ -0,0 +1,212 @@
+const { EventEmitter } = require("events");
+const speech = require("@google-cloud/speech");
+const { TranslationServiceClient } = require("@google-cloud/translate").v3;
+const { TextToSpeechClient } = require("@google-cloud/text-to-speech");
+
+const { createLogger } = require("../logger");
+
+const TTS_SAMPLE_RATE_HERTZ = 24000;
+
+const joinTranscripts = (results) =>
+  (results || [])
+    .map((result) => result.alternatives?.[0]?.transcript || "")
+    .join(" ")
+    .trim();
+
+// alternativeLanguageCodes turns on spoken-language detection; the result
+// then reports the language it picked.
+const buildRecognitionConfig = ({
+  encoding,
+  sampleRateHertz,
+  languageCode,
+  alternativeLanguageCodes,
+}) => ({
+  encoding,
+  sampleRateHertz,
+  languageCode,
+  ...(alternativeLanguageCodes?.length ? { alternativeLanguageCodes } : {}),
+  enableAutomaticPunctuation: true,
+});
+
+/**
+ * Google Cloud Speech-to-Text (v1) + Translation (v3) + Text-to-Speech
+ * provider.
+ * Clients are created once per provider instance; credentials are resolved
+ * by the Google SDK from GOOGLE_APPLICATION_CREDENTIALS. With `glossaryId`,
+ * translations use that Cloud glossary, which must live in `location`.
+ */
+const createGoogleProvider = ({
+  projectId,
+  location = "global",
+  glossaryId,
+  logger = createLogger(),
+} = {}) => {
+  const speechClient = new speech.SpeechClient();
+  const translationClient = new TranslationServiceClient();
+  const ttsClient = new TextToSpeechClient();
+
+  const recognize = async ({
+    audioContent,
+    encoding,
+    sampleRateHertz,
+    languageCode,
+    alternativeLanguageCodes,
+  }) => {
+    const [response] = await speechClient.recognize({
+      config: buildRecognitionConfig({
+        encoding,
+        sampleRateHertz,
+        languageCode,
+        alternativeLanguageCodes,
+      }),
+      audio: {
+        content: audioContent,
+      },
+    });
+
+    return {
+      transcript: joinTranscripts(response?.results),
+      languageCode: response?.results?.[0]?.languageCode || languageCode,
+    };
+  };
+
+  const streamingRecognize = ({
+    encoding,
+    sampleRateHertz,
+    languageCode,
+    alternativeLanguageCodes,
+  }) => {
+    const session = new EventEmitter();
+    // Results report how far into the audio they reach, which LINEAR16 maps
+    // back to the chunk written there; other encodings get the latest one.
+    const bytesPerMs =
+      encoding === "LINEAR16" ? (sampleRateHertz * 2) / 1000 : null;
+    let writtenMs = 0;
+    let writes = [];
+    const getSequenceId = (resultEndTime) => {
+      const endMs = resultEndTime
+        ? Number(resultEndTime.seconds || 0) * 1000 +
+          Number(resultEndTime.nanos || 0) / 1e6
+        : null;
+      const index =
+        bytesPerMs && endMs !== null
+          ? writes.findIndex((write) => write.endMs >= endMs)
+          : -1;
+      if (index === -1) {
+        return writes.at(-1)?.sequenceId ?? null;
+      }
+      // Chunks before this one are covered by every later result.
+      writes = writes.slice(index);
+      return writes[0].sequenceId;
+    };
+
+    const recognizeStream = speechClient
+      .streamingRecognize({
+        config: buildRecognitionConfig({
+          encoding,
+          sampleRateHertz,
+          languageCode,
+          alternativeLanguageCodes,
+        }),
+        interimResults: true,
+      })
+      .on("data", (response) => {
+        const result = response?.results?.[0];
+        if (!result) {
+          return;
+        }
+        session.emit("data", {
+          transcript: joinTranscripts([result]),
+          isFinal: Boolean(result.isFinal),
+          languageCode: result.languageCode || languageCode,
+          sequenceId: getSequenceId(result.resultEndTime),
+        });
+      })
+      .on("error", (streamError) => session.emit("error", streamError))
+      .on("end", () => session.emit("end"))
+      .on("close", () => session.emit("close"));
+
+    session.write = (audioBuffer, sequenceId = null) => {
+      if (bytesPerMs) {
+        writtenMs += audioBuffer.length / bytesPerMs;
+        writes.push({ endMs: writtenMs, sequenceId });
+      } else {
+        writes = [{ sequenceId }];
+      }
+      return recognizeStream.write(audioBuffer);
+    };
+    session.end = () => recognizeStream.end();
+    session.destroy = () => recognizeStream.destroy();
+    return session;
+  };
+
+  const translate = async ({ text, sourceLanguageCode, targetLanguageCode }) => {
+    if (!projectId) {
+      logger.warn("GOOGLE_CLOUD_PROJECT_ID is missing, skipping translation");
+      return text;
+    }
+
+    const parent = `projects/${projectId}/locations/${location}`;
+    const [response] = await translationClient.translateText({
+      parent,
+      contents: [text],
+      mimeType: "text/plain",
+      sourceLanguageCode,
+      targetLanguageCode,
+      ...(glossaryId
+        ? { glossaryConfig: { glossary: `${parent}/glossaries/${glossaryId}` } }
+        : {}),
+    });
+    return (
+      response?.glossaryTranslations?.[0]?.translatedText ||
+      response?.translations?.[0]?.translatedText ||
+      text
+    );
+  };
+
+  // LINEAR16 output from Text-to-Speech already carries a WAV header.
+  const synthesize = async ({ text, languageCode }) => {
+    const [response] = await ttsClient.synthesizeSpeech({
+      input: { text },
+      voice: { languageCode },
+      audioConfig: {
+        audioEncoding: "LINEAR16",
+        sampleRateHertz: TTS_SAMPLE_RATE_HERTZ,
+      },
+    });
+
+    return {
+      audioContent: Buffer.from(response.audioContent),
+      encoding: "LINEAR16",
+      sampleRateHertz: TTS_SAMPLE_RATE_HERTZ,
+      mimeType: "audio/wav",
+    };
+  };
+
+  // Ready once a project id is set and the SDK has found credentials.
+  const checkReadiness = async () => {
+    if (!projectId) {
+      return { ready: false, reason: "Google Cloud project id is not set" };
+    }
+    try {
+      await speechClient.auth.getClient();
+    } catch (authError) {
+      return {
+        ready: false,
+        reason: `Google credentials could not be loaded: ${authError.message}`,
+      };
+    }
+    return { ready: true };
+  };
+
+  return {
+    name: "google",
+    checkReadiness,
+    recognize,
+    streamingRecognize,
+    synthesize,
+    translate,
+  };
+};
+
+module.exports = createGoogleProvider;
@@ -0,0 +1,45 @@
+const createGoogleProvider = require("./google");
+const createStubProvider = require("./stub");
+
+/**
+ * Speech/translation providers. Every provider exposes:
+ *   checkReadiness() -> Promise<{ ready, reason? }>
+ *   recognize({ audioContent, encoding, sampleRateHertz, languageCode,
+ *              alternativeLanguageCodes })
+ *     -> Promise<{ transcript, languageCode }>   (audioContent is base64;
+ *        languageCode is the detected one when alternatives were given)
+ *   streamingRecognize({ encoding, sampleRateHertz, languageCode,
+ *                        alternativeLanguageCodes })
+ *     -> EventEmitter with write(Buffer, sequenceId?), end(), destroy();
+ *        emits "data" ({ transcript, isFinal, languageCode, sequenceId }),
+ *        "error", "end" and finally "close", which also comes when the
+ *        stream stops without "end"; sequenceId is that of the chunk whose
+ *        audio the result reaches (null if it was written without one)
+ *   translate({ text, sourceLanguageCode, targetLanguageCode })
+ *     -> Promise<string>
+ *   synthesize({ text, languageCode })
+ *     -> Promise<{ audioContent: Buffer, encoding, sampleRateHertz,
+ *                  mimeType }>
+ */
+const PROVIDERS = {
+  google: createGoogleProvider,
+  stub: createStubProvider,
+};
+
+const createProvider = (name, options = {}) => {
+  const normalizedName = String(name || "google").trim().toLowerCase();
+  const factory = PROVIDERS[normalizedName];
+  if (!factory) {
+    throw new Error(
+      `Unknown speech provider "${name}" (expected one of: ${Object.keys(
+        PROVIDERS
+      ).join(", ")})`
+    );
+  }
+  return factory(options);
+};
+
+module.exports = {
+  PROVIDERS,
+  createProvider,
+};
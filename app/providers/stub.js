@@ -0,0 +1,198 @@
+const { EventEmitter } = require("events");
+
+// Small EN<->MY phrase book so translated captions look realistic in staging.
+const DEFAULT_DICTIONARY = {
+  "en:my": {
+    hello: "မင်္ဂလာပါ",
+    "thank you": "ကျေးဇူးတင်ပါတယ်",
+    yes: "ဟုတ်ကဲ့",
+    no: "မဟုတ်ဘူး",
+  },
+  "my:en": {
+    "မင်္ဂလာပါ": "hello",
+    "ကျေးဇူးတင်ပါတယ်": "thank you",
+    "ဟုတ်ကဲ့": "yes",
+    "မဟုတ်ဘူး": "no",
+  },
+};
+
+const SENTENCE_END = /[.?!။]\s*$/;
+
+// Scripts the stub can tell apart; everything else counts as the primary
+// language.
+const LANGUAGE_SCRIPTS = {
+  my: /[\u1000-\u109F]/,
+  bn: /[\u0980-\u09FF]/,
+  ta: /[\u0B80-\u0BFF]/,
+};
+
+const TONE_SAMPLE_RATE_HERTZ = 16000;
+const TONE_FREQUENCY_HERTZ = 440;
+
+const normalizePhrase = (text) =>
+  text.trim().toLowerCase().replace(/[.,?!။]+$/, "");
+
+// Audio bytes that decode to printable UTF-8 are "transcribed" verbatim, so
+// tests and staging clients can send text as audio. Anything else (real PCM,
+// Opus, ...) gets a deterministic placeholder.
+const echoTranscript = (audioBuffer) => {
+  const decoded = audioBuffer.toString("utf8");
+  if (decoded && !/[\u0000-\u0008\u000E-\u001F\uFFFD]/.test(decoded)) {
+    return decoded.trim();
+  }
+  return `[audio ${audioBuffer.length} bytes]`;
+};
+
+// 16-bit mono PCM wrapped in a RIFF/WAVE header.
+const createWav = (samples, sampleRateHertz) => {
+  const header = Buffer.alloc(44);
+  const dataSize = samples.length * 2;
+  header.write("RIFF", 0, "ascii");
+  header.writeUInt32LE(36 + dataSize, 4);
+  header.write("WAVEfmt ", 8, "ascii");
+  header.writeUInt32LE(16, 16); // fmt chunk size
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22); // mono
+  header.writeUInt32LE(sampleRateHertz, 24);
+  header.writeUInt32LE(sampleRateHertz * 2, 28); // byte rate
+  header.writeUInt16LE(2, 32); // block align
+  header.writeUInt16LE(16, 34); // bits per sample
+  header.write("data", 36, "ascii");
+  header.writeUInt32LE(dataSize, 40);
+
+  const data = Buffer.alloc(dataSize);
+  samples.forEach((sample, index) => data.writeInt16LE(sample, index * 2));
+  return Buffer.concat([header, data]);
+};
+
+// A 440 Hz tone whose length grows with the text (60 ms per character,
+// 0.2 s to 3 s), so clients can tell utterances apart without a real voice.
+const synthesizeTone = (text) => {
+  const durationMs = Math.min(3000, Math.max(200, text.length * 60));
+  const sampleCount = Math.round((TONE_SAMPLE_RATE_HERTZ * durationMs) / 1000);
+  const samples = Array.from({ length: sampleCount }, (_, index) =>
+    Math.round(
+      0.3 *
+        32767 *
+        Math.sin(
+          (2 * Math.PI * TONE_FREQUENCY_HERTZ * index) / TONE_SAMPLE_RATE_HERTZ
+        )
+    )
+  );
+  return createWav(samples, TONE_SAMPLE_RATE_HERTZ);
+};
+
+// Picks the candidate locale whose script appears in the transcript.
+const detectLanguageCode = (transcript, languageCode, alternatives = []) =>
+  alternatives.find((candidate) =>
+    LANGUAGE_SCRIPTS[candidate.split("-")[0].toLowerCase()]?.test(transcript)
+  ) || languageCode;
+
+/**
+ * Deterministic offline provider. Needs no credentials or network, which
+ * makes the full audioRecording -> sttResult pipeline runnable in CI.
+ */
+const createStubProvider = ({ dictionary = DEFAULT_DICTIONARY } = {}) => {
+  const recognize = async ({
+    audioContent,
+    languageCode,
+    alternativeLanguageCodes,
+  }) => {
+    const transcript = echoTranscript(Buffer.from(audioContent, "base64"));
+    return {
+      transcript,
+      languageCode: detectLanguageCode(
+        transcript,
+        languageCode,
+        alternativeLanguageCodes
+      ),
+    };
+  };
+
+  // Interim results are emitted on every write; an utterance is finalized
+  // when the accumulated text ends a sentence or the stream is ended. Each
+  // result carries the sequenceId of the write that produced it.
+  const streamingRecognize = ({
+    languageCode,
+    alternativeLanguageCodes,
+  } = {}) => {
+    const session = new EventEmitter();
+    let pending = "";
+    let lastSequenceId = null;
+    let ended = false;
+
+    const emitResult = (transcript, isFinal) => {
+      if (transcript) {
+        const result = {
+          transcript,
+          isFinal,
+          languageCode: detectLanguageCode(
+            transcript,
+            languageCode,
+            alternativeLanguageCodes
+          ),
+          sequenceId: lastSequenceId,
+        };
+        process.nextTick(() => session.emit("data", result));
+      }
+    };
+
+    session.write = (audioBuffer, sequenceId = null) => {
+      if (ended) {
+        return false;
+      }
+      lastSequenceId = sequenceId;
+      pending = `${pending} ${echoTranscript(audioBuffer)}`.trim();
+      if (SENTENCE_END.test(pending)) {
+        emitResult(pending, true);
+        pending = "";
+      } else {
+        emitResult(pending, false);
+      }
+      return true;
+    };
+    session.end = () => {
+      if (ended) {
+        return;
+      }
+      ended = true;
+      emitResult(pending, true);
+      pending = "";
+      process.nextTick(() => {
+        session.emit("end");
+        session.emit("close");
+      });
+    };
+    session.destroy = () => {
+      ended = true;
+      pending = "";
+      process.nextTick(() => session.emit("close"));
+    };
+    return session;
+  };
+
+  const translate = async ({ text, sourceLanguageCode, targetLanguageCode }) => {
+    const phrases = dictionary[`${sourceLanguageCode}:${targetLanguageCode}`];
+    const match = phrases?.[normalizePhrase(text)];
+    return match || `[${targetLanguageCode}] ${text}`;
+  };
+
+  const synthesize = async ({ text }) => ({
+    audioContent: synthesizeTone(text),
+    encoding: "LINEAR16",
+    sampleRateHertz: TONE_SAMPLE_RATE_HERTZ,
+    mimeType: "audio/wav",
+  });
+
+  return {
+    name: "stub",
+    checkReadiness: async () => ({ ready: true }),
+    recognize,
+    streamingRecognize,
+    synthesize,
+    translate,
+  };
+};
+
+module.exports = createStubProvider;
+module.exports.DEFAULT_DICTIONARY = DEFAULT_DICTIONARY;
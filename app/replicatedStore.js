@@ -0,0 +1,113 @@
+/**
+ * Building blocks for the in-memory stores that instances keep in step
+ * through the state store (see createReplicator in app/state). Each change
+ * is reported to `onChange` as plain JSON; other instances hand it to
+ * `applyChange`, and `snapshot()` lists the changes that rebuild the
+ * current contents on an instance that just started. Snapshots may arrive
+ * from several instances, so applying a change twice is harmless.
+ */
+
+// Values by key; `toJSON`/`fromJSON` convert values that are not plain
+// JSON. Changes: { type: "set", key, value } and { type: "delete", key }.
+const createReplicatedMap = ({
+  onChange = () => {},
+  toJSON = (value) => value,
+  fromJSON = (value) => value,
+} = {}) => {
+  const valuesByKey = new Map();
+
+  const get = (key) => valuesByKey.get(key) ?? null;
+
+  // Also reports values changed in place.
+  const set = (key, value) => {
+    valuesByKey.set(key, value);
+    onChange({ type: "set", key, value: toJSON(value) });
+    return value;
+  };
+
+  const remove = (key) => {
+    const removed = valuesByKey.delete(key);
+    onChange({ type: "delete", key });
+    return removed;
+  };
+
+  const applyChange = (change) => {
+    if (change.type === "delete") {
+      valuesByKey.delete(change.key);
+    } else {
+      valuesByKey.set(change.key, fromJSON(change.value));
+    }
+  };
+
+  const snapshot = () =>
+    Array.from(valuesByKey, ([key, value]) => ({
+      type: "set",
+      key,
+      value: toJSON(value),
+    }));
+
+  return {
+    applyChange,
+    delete: remove,
+    get,
+    set,
+    size: () => valuesByKey.size,
+    snapshot,
+    values: () => [...valuesByKey.values()],
+  };
+};
+
+// Items waiting for a user, oldest first; only the newest `maxPerUser`
+// are kept and an item already listed (by `getId`) is not added again.
+// Changes: { type: "add", item } and { type: "take", userId }.
+const createReplicatedLists = ({
+  maxPerUser,
+  getUserId,
+  getId,
+  onChange = () => {},
+}) => {
+  const itemsByUser = new Map();
+
+  const append = (item) => {
+    const items = itemsByUser.get(getUserId(item)) || [];
+    if (items.some((listed) => getId(listed) === getId(item))) {
+      return;
+    }
+    items.push(item);
+    itemsByUser.set(getUserId(item), items.slice(-maxPerUser));
+  };
+
+  const add = (item) => {
+    append(item);
+    onChange({ type: "add", item });
+    return item;
+  };
+
+  // Returns and clears the items waiting for a user.
+  const take = (userId) => {
+    const items = itemsByUser.get(userId) || [];
+    itemsByUser.delete(userId);
+    onChange({ type: "take", userId });
+    return items;
+  };
+
+  const peek = (userId) => [...(itemsByUser.get(userId) || [])];
+
+  const applyChange = (change) => {
+    if (change.type === "take") {
+      itemsByUser.delete(change.userId);
+    } else {
+      append(change.item);
+    }
+  };
+
+  const snapshot = () =>
+    [...itemsByUser.values()].flat().map((item) => ({ type: "add", item }));
+
+  return { add, applyChange, peek, snapshot, take };
+};
+
+module.exports = {
+  createReplicatedLists,
+  createReplicatedMap,
+};
@@ -0,0 +1,98 @@
+const crypto = require("crypto");
+
+const { createReplicatedMap } = require("./replicatedStore");
+
+/**
+ * In-memory registry of multi-party conference rooms. Room ids are random
+ * UUIDs shared out of band by the creator, so knowing the id is what lets a
+ * user join. Empty rooms are removed. Replicated in their JSON form like
+ * the other stores (see app/replicatedStore.js).
+ */
+const createRoomRegistry = ({ maxParticipants = 6, onChange } = {}) => {
+  const toJSON = (room) => ({
+    roomId: room.roomId,
+    ownerId: room.ownerId,
+    name: room.name,
+    participants: [...room.participants],
+    createdAt: room.createdAt,
+  });
+
+  const roomsById = createReplicatedMap({
+    onChange,
+    toJSON,
+    fromJSON: (room) => ({ ...room, participants: new Set(room.participants) }),
+  });
+
+  const getRoom = roomsById.get;
+
+  const getParticipants = (roomId) => [
+    ...(getRoom(roomId)?.participants || []),
+  ];
+
+  const isMember = (roomId, userId) =>
+    Boolean(getRoom(roomId)?.participants.has(userId));
+
+  const getRoomsForUser = (userId) =>
+    roomsById.values().filter((room) => room.participants.has(userId));
+
+  const createRoom = ({ ownerId, name = null }) => {
+    const room = {
+      roomId: crypto.randomUUID(),
+      ownerId,
+      name,
+      participants: new Set([ownerId]),
+      createdAt: new Date().toISOString(),
+    };
+    return roomsById.set(room.roomId, room);
+  };
+
+  // Returns { room } on success or { error } with ROOM_NOT_FOUND/ROOM_FULL.
+  const joinRoom = (roomId, userId) => {
+    const room = getRoom(roomId);
+    if (!room) {
+      return { error: "ROOM_NOT_FOUND" };
+    }
+    if (
+      !room.participants.has(userId) &&
+      room.participants.size >= maxParticipants
+    ) {
+      return { error: "ROOM_FULL" };
+    }
+
+    room.participants.add(userId);
+    roomsById.set(roomId, room);
+    return { room };
+  };
+
+  const leaveRoom = (roomId, userId) => {
+    const room = getRoom(roomId);
+    if (!room || !room.participants.delete(userId)) {
+      return null;
+    }
+
+    if (!room.participants.size) {
+      roomsById.delete(roomId);
+    } else {
+      roomsById.set(roomId, room);
+    }
+    return room;
+  };
+
+  return {
+    applyChange: roomsById.applyChange,
+    createRoom,
+    getParticipants,
+    getRoom,
+    getRoomsForUser,
+    isMember,
+    joinRoom,
+    leaveRoom,
+    size: roomsById.size,
+    snapshot: roomsById.snapshot,
+    toJSON,
+  };
+};
+
+module.exports = {
+  createRoomRegistry,
+};
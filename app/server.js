@@ -0,0 +1,840 @@
+const express = require("express");
+const http = require("http");
+const crypto = require("crypto");
+const fs = require("fs");
+const { Server } = require("socket.io");
+
+const {
+  MAX_TIMER_DELAY_MS,
+  createConfigRouter,
+  loadConfig,
+} = require("./config");
+const { createProvider } = require("./providers");
+const {
+  createMetricsRegistry,
+  createMetricsRouter,
+  observeDuration,
+} = require("./metrics");
+const { createHealthRouter } = require("./health");
+const { createLogger, createRequestLogger } = require("./logger");
+const { createCallRegistry } = require("./callRegistry");
+const { createMissedCallStore } = require("./missedCallStore");
+const { createMessageQueue } = require("./messageQueue");
+const {
+  AUTH_ERROR_CODES,
+  createAuthError,
+  getHandshakeToken,
+  verifyToken,
+} = require("./auth");
+const { createAuthorizationPolicy, resolveCallPolicy } = require("./policy");
+const { isValidLanguageCode } = require("./languages");
+const { createPreferenceStore } = require("./preferenceStore");
+const { createRoomRegistry } = require("./roomRegistry");
+const { createReplicator, createStateStore } = require("./state");
+const { createGracefulShutdown, settleWithin } = require("./shutdown");
+const { createTranscriptStore } = require("./transcripts");
+const { createTranscriptRouter } = require("./transcripts/routes");
+const {
+  createGlossary,
+  createTranslationCache,
+  createTranslator,
+} = require("./translation");
+const { createTranslationAdminRouter } = require("./translation/routes");
+const { createSequenceTracker } = require("./utterances");
+const { createChatHandlers } = require("./socket/chat");
+const {
+  isNonEmptyString,
+  normalizeAudioToBase64,
+  parseOptionalFlag,
+} = require("./socket/payloads");
+const { createSignalingHandlers } = require("./socket/signaling");
+const { ALLOWED_ENCODINGS, createSttHandlers } = require("./socket/stt");
+
+// How long disconnected clients get to finish the closing handshake.
+const SOCKET_CLOSE_TIMEOUT_MS = 2000;
+// How long a rate limit check waits for the state store before letting
+// the request through.
+const RATE_LIMIT_CHECK_TIMEOUT_MS = 1000;
+
+// Standalone use: the routes on their own Express app, with request logs.
+const createDefaultHttpServer = (router, logger) => {
+  const app = express();
+  app.use(createRequestLogger(logger));
+  app.use(router);
+  return http.createServer(app);
+};
+
+/**
+ * Builds the signaling, caption and chat server on `httpServer`. Anything
+ * not passed in is built from `config` (see app/config.js):
+ *   httpServer       Socket.IO attaches here; by default a new server that
+ *                    serves `router`. To share an Express app, create the
+ *                    server from it and `app.use(router)`.
+ *   sttProvider      speech provider (app/providers)
+ *   translator       { translate(request) }, the speech provider by default;
+ *                    results still go through the glossary and cache
+ *   store            state store shared with other instances (app/state)
+ *   transcriptStore  (app/transcripts)
+ *   logger
+ * Returns:
+ *   io                  the Socket.IO server
+ *   router              /config, /admin, transcript, /metrics and health
+ *                       routes
+ *   listen(port?)       -> Promise<address>, port defaults to config.port
+ *   shutdown(reason)    -> Promise; refuses new work, drains queued audio,
+ *                       then closes sockets and the state store, and the
+ *                       HTTP server unless it was passed in as `httpServer`
+ *   isShuttingDown()
+ */
+const createTranslationServer = ({
+  httpServer,
+  config = loadConfig(),
+  sttProvider,
+  translator,
+  store,
+  transcriptStore: injectedTranscriptStore,
+  logger = createLogger(config.logging),
+} = {}) => {
+  const router = express.Router();
+  const server = httpServer ?? createDefaultHttpServer(router, logger);
+  // A server passed in belongs to the host application, which closes it.
+  const ownsServer = !httpServer;
+
+  const RATE_LIMIT_WINDOW_MS = config.limits.rateLimitWindowMs;
+  const RATE_LIMIT_MAX_REQUESTS = config.limits.rateLimitMaxRequests;
+  const CALL_RING_TIMEOUT_MS = config.calls.ringTimeoutMs;
+  const CALL_RECONNECT_GRACE_MS = config.calls.reconnectGraceMs;
+  const CONFERENCE_MAX_PARTICIPANTS = config.limits.conferenceMaxParticipants;
+  // On SIGTERM/SIGINT queued audio gets SHUTDOWN_DRAIN_TIMEOUT_MS to finish,
+  // which keeps the whole shutdown within Docker's default 10 s stop timeout.
+  // Clients are told to reconnect after a random delay of up to
+  // SHUTDOWN_RECONNECT_JITTER_MS so they do not all arrive at once.
+  const SHUTDOWN_DRAIN_TIMEOUT_MS = config.shutdown.drainTimeoutMs;
+  const SHUTDOWN_RECONNECT_JITTER_MS = config.shutdown.reconnectJitterMs;
+  const TRANSLATION_CACHE_SIZE = config.translation.cacheSize;
+  const languageMatrix = config.languages.matrix;
+  const AUTH_TOKEN_SECRET = config.auth.tokenSecret;
+  router.use(createConfigRouter({ config, authSecret: AUTH_TOKEN_SECRET }));
+
+  // "google" (default) or "stub" for credential-free staging/CI runs
+  const speechProvider =
+    sttProvider ??
+    createProvider(config.providers.speech, {
+      projectId: config.google.projectId,
+      logger,
+      // V3 translation client location; Cloud glossaries need a regional one.
+      location: config.google.translationLocation,
+      glossaryId: config.google.glossaryId,
+    });
+  // Text-to-speech uses the speech provider unless TTS_PROVIDER names another.
+  const ttsProvider = config.providers.tts
+    ? createProvider(config.providers.tts, {
+        projectId: config.google.projectId,
+        logger,
+      })
+    : speechProvider;
+
+  const metrics = createMetricsRegistry();
+  const socketErrors = metrics.counter(
+    "socket_errors_total",
+    "Error events sent to clients, by event and code",
+    { labelled: true }
+  );
+  const translationDuration = metrics.histogram(
+    "translation_duration_seconds",
+    "Time taken by the translation provider (cache misses only)",
+    { labelled: true }
+  );
+
+  // Identifies this process among the instances sharing STATE_STORE.
+  const INSTANCE_ID = crypto.randomUUID();
+  // "memory" (default, a single instance) or "redis" (REDIS_URL), through
+  // which instances share rate limits, broadcasts, the glossary and the
+  // registries below.
+  const stateStore =
+    store ??
+    createStateStore(config.state.store, {
+      url: config.state.redisUrl ?? undefined,
+      logger,
+    });
+  const createStateReplicator = (channel) =>
+    createReplicator({
+      store: stateStore,
+      channel,
+      instanceId: INSTANCE_ID,
+      logger,
+    });
+  const replicators = {
+    preferences: createStateReplicator("preferences"),
+    calls: createStateReplicator("calls"),
+    missedCalls: createStateReplicator("missedCalls"),
+    messages: createStateReplicator("messages"),
+    rooms: createStateReplicator("rooms"),
+    glossary: createStateReplicator("glossary"),
+  };
+
+  // Glossary entries managed through /admin/glossary reach every instance,
+  // and each one writes them back to TRANSLATION_GLOSSARY_FILE when it is
+  // set; loadConfig has already read and checked the entries it holds.
+  const GLOSSARY_FILE = config.translation.glossaryFile;
+  let glossaryWrite = Promise.resolve();
+  const saveGlossary = () => {
+    if (!GLOSSARY_FILE) {
+      return;
+    }
+    const entries = glossary.list();
+    glossaryWrite = glossaryWrite
+      .then(() =>
+        fs.promises.writeFile(GLOSSARY_FILE, JSON.stringify(entries, null, 2))
+      )
+      .catch((writeError) => {
+        logger.error("Unable to save glossary", { error: writeError });
+      });
+  };
+  const glossary = createGlossary({
+    entries: config.translation.glossaryEntries,
+    normalizeLanguageCode: languageMatrix.normalizeLanguageCode,
+    onChange: (change) => {
+      replicators.glossary.publish(change);
+      saveGlossary();
+    },
+  });
+  const translationCache = createTranslationCache({
+    maxEntries: TRANSLATION_CACHE_SIZE,
+  });
+  const translationProvider = translator ?? speechProvider;
+  const translate = createTranslator({
+    translate: (request) =>
+      observeDuration(translationDuration, () =>
+        translationProvider.translate(request)
+      ),
+    cache: translationCache,
+    glossary,
+  });
+  router.use(
+    createTranslationAdminRouter({
+      glossary,
+      cache: translationCache,
+      authSecret: AUTH_TOKEN_SECRET,
+    })
+  );
+
+  const preferenceStore = createPreferenceStore({
+    onChange: replicators.preferences.publish,
+  });
+  const callRegistry = createCallRegistry({
+    onChange: replicators.calls.publish,
+    ringTimeoutMs: CALL_RING_TIMEOUT_MS,
+    onRingTimeout: (call) => {
+      const timeoutPayload = {
+        callId: call.callId,
+        callerId: call.callerId,
+        calleeId: call.calleeId,
+        timestamp: call.endedAt,
+      };
+      IO.to(call.callerId).emit("callTimeout", timeoutPayload);
+      IO.to(call.calleeId).emit("callTimeout", timeoutPayload);
+    },
+    reconnectGraceMs: CALL_RECONNECT_GRACE_MS,
+    onReconnectTimeout: (call, userId) => {
+      sequenceTracker.reset(call.callId);
+      preferenceStore.remove(userId);
+      IO.to(callRegistry.getPeerId(call, userId)).emit("callEnded", {
+        callId: call.callId,
+        from: userId,
+        reason: call.endReason,
+      });
+    },
+  });
+  const missedCallStore = createMissedCallStore({
+    onChange: replicators.missedCalls.publish,
+  });
+  const messageQueue = createMessageQueue({
+    onChange: replicators.messages.publish,
+  });
+
+  const roomRegistry = createRoomRegistry({
+    maxParticipants: CONFERENCE_MAX_PARTICIPANTS,
+    onChange: replicators.rooms.publish,
+  });
+  // Caption sequenceIds per call or room; kept per instance, since a
+  // sender's chunks all reach the instance holding their socket.
+  const sequenceTracker = createSequenceTracker({
+    ttlMs: config.audio.sequenceIdTtlMs,
+    reorderWindowMs: config.audio.reorderWindowMs,
+  });
+
+  Promise.all([
+    replicators.preferences.attach(preferenceStore),
+    replicators.calls.attach(callRegistry),
+    replicators.missedCalls.attach(missedCallStore),
+    replicators.messages.attach(messageQueue),
+    replicators.rooms.attach(roomRegistry),
+    replicators.glossary.attach({
+      applyChange: (change) => {
+        glossary.applyChange(change);
+        saveGlossary();
+      },
+      snapshot: glossary.snapshot,
+    }),
+  ]).catch((error) => {
+    logger.error("Unable to subscribe to shared state", { error });
+  });
+
+  // "memory" (default) or "file" (one JSON file per call in TRANSCRIPT_DIR)
+  const transcriptStore =
+    injectedTranscriptStore ??
+    createTranscriptStore(config.transcripts.store, {
+      directory: config.transcripts.directory ?? undefined,
+    });
+  router.use(
+    createTranscriptRouter({
+      store: transcriptStore,
+      authSecret: AUTH_TOKEN_SECRET,
+    })
+  );
+
+  // "any" (default) or "employer-helper"
+  const authorizationPolicy = createAuthorizationPolicy({
+    callRegistry,
+    roomRegistry,
+    canCall: resolveCallPolicy(config.calls.policy),
+  });
+
+  const IO = new Server(server, {
+    cors: {
+      // CORS_ORIGINS: "*" (default) or a comma-separated list of origins
+      origin: config.corsOrigins,
+      methods: ["GET", "POST"],
+    },
+    adapter: stateStore.createAdapter(),
+  });
+
+  metrics.gauge("socketio_connected_sockets", "Connected Socket.IO clients", {
+    collect: () => IO.sockets.sockets.size,
+  });
+  metrics.gauge("calls", "One-to-one calls by state", {
+    collect: () =>
+      Object.entries(callRegistry.countByState()).map(([state, count]) => [
+        { state },
+        count,
+      ]),
+  });
+  metrics.gauge("conference_rooms", "Open conference rooms", {
+    collect: () => roomRegistry.size(),
+  });
+  metrics.gauge(
+    "stt_pending_requests",
+    "Audio chunks queued for speech recognition across all sockets",
+    {
+      collect: () =>
+        Array.from(IO.sockets.sockets.values()).reduce(
+          (total, socket) => total + (socket.data.pendingSttRequests || 0),
+          0
+        ),
+    }
+  );
+  router.use(createMetricsRouter({ registry: metrics }));
+  router.use(
+    createHealthRouter({
+      checks: [
+        async () =>
+          gracefulShutdown.isShuttingDown()
+            ? { ready: false, reason: "Server is shutting down" }
+            : { ready: true },
+        stateStore.checkReadiness,
+        speechProvider.checkReadiness,
+        ...(ttsProvider === speechProvider ? [] : [ttsProvider.checkReadiness]),
+      ],
+    })
+  );
+
+  // Lines about a socket carry its connection id, user and current call.
+  const getSocketLogger = (socket, bindings = {}) =>
+    (socket.data.logger ?? logger).child({
+      callId: callRegistry.getCallForUser(socket.user)?.callId ?? null,
+      ...bindings,
+    });
+
+  // Errors about a speaker's audio that concern a listener (such as a
+  // failed synthesis) go to `recipientId` instead of the speaker.
+  const emitSttError = (
+    socket,
+    code,
+    message,
+    extra = {},
+    recipientId = null
+  ) => {
+    socketErrors.inc({ event: "sttError", code });
+    getSocketLogger(socket).debug("sttError sent", {
+      code,
+      message,
+      recipientId,
+    });
+    (recipientId ? socket.to(recipientId) : socket).emit("sttError", {
+      code,
+      message,
+      timestamp: new Date().toISOString(),
+      ...extra,
+    });
+  };
+
+  const emitSignalError = (socket, code, message, extra = {}) => {
+    socketErrors.inc({ event: "signalError", code });
+    getSocketLogger(socket).debug("signalError sent", { code, message });
+    socket.emit("signalError", {
+      code,
+      message,
+      timestamp: new Date().toISOString(),
+      ...extra,
+    });
+  };
+
+  const emitMessageError = (socket, code, message, extra = {}) => {
+    socketErrors.inc({ event: "messageError", code });
+    getSocketLogger(socket).debug("messageError sent", { code, message });
+    socket.emit("messageError", {
+      code,
+      message,
+      timestamp: new Date().toISOString(),
+      ...extra,
+    });
+  };
+
+  const emitAuthError = (socket, code, message, extra = {}) => {
+    socket.emit("authError", {
+      code,
+      message,
+      timestamp: new Date().toISOString(),
+      ...extra,
+    });
+  };
+
+  // Transcripts are best effort: a failing store must not break the call.
+  const logTranscriptErrors = (operation, log = logger) =>
+    operation.catch((storeError) => {
+      log.error("Transcript store error", { error: storeError });
+    });
+
+  // Limits are per user across all sockets and instances, counted in fixed
+  // windows in the state store. Audio and chat keep separate buckets so
+  // typing does not eat into the caption budget. If the store cannot be
+  // reached, or does not answer in time, the request is let through.
+  const isRateLimited = async (socket, bucket = "stt") => {
+    const windowIndex = Math.floor(Date.now() / RATE_LIMIT_WINDOW_MS);
+    let timer;
+    try {
+      const count = await Promise.race([
+        stateStore.incr(`rateLimit:${bucket}:${socket.user}:${windowIndex}`, {
+          ttlMs: RATE_LIMIT_WINDOW_MS,
+        }),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => {
+            const timeoutError = new Error("State store did not answer");
+            timeoutError.code = "STATE_STORE_TIMEOUT";
+            reject(timeoutError);
+          }, RATE_LIMIT_CHECK_TIMEOUT_MS);
+        }),
+      ]);
+      return count > RATE_LIMIT_MAX_REQUESTS;
+    } catch (storeError) {
+      getSocketLogger(socket).warn("Rate limit check failed", {
+        bucket,
+        error: storeError,
+      });
+      return false;
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  // The chunk's own language wins over the sender's registered spoken
+  // language; the recipient's caption preference wins over the sender's
+  // requested targetLanguage, so senders need not know the other side.
+  const resolvePipelineLanguages = (senderId, recipientId, data) => {
+    const senderPreferences = preferenceStore.get(senderId);
+    const recipientPreferences = preferenceStore.get(recipientId);
+    return languageMatrix.resolveLanguagePair(
+      isValidLanguageCode(data.language)
+        ? data.language
+        : senderPreferences?.spokenLocale,
+      recipientPreferences?.captionLanguage ?? data.targetLanguage
+    );
+  };
+
+  const translateTranscript = async (
+    transcription,
+    sourceLanguageCode,
+    targetLanguageCode
+  ) => {
+    if (sourceLanguageCode === targetLanguageCode) {
+      return transcription;
+    }
+
+    return translate({
+      text: transcription,
+      sourceLanguageCode,
+      targetLanguageCode,
+    });
+  };
+
+  const getLocalUserPresence = (userId) => {
+    const socketIds = [...(IO.sockets.adapter.rooms.get(userId) || [])];
+    return {
+      online: socketIds.length > 0,
+      role:
+        socketIds
+          .map((socketId) => IO.sockets.sockets.get(socketId)?.data.role)
+          .find(Boolean) ?? null,
+    };
+  };
+
+  // Whether a user has a socket on any instance, and the role from their
+  // token. Instances that do not answer in time are left out.
+  const getUserPresence = async (userId) => {
+    let remotePresences = [];
+    try {
+      remotePresences = await IO.serverSideEmitWithAck("userPresence", userId);
+    } catch (presenceError) {
+      logger.warn("Presence lookup incomplete", { error: presenceError });
+    }
+    const presences = [getLocalUserPresence(userId), ...remotePresences];
+    return {
+      online: presences.some((presence) => presence.online),
+      role: presences.find((presence) => presence.role)?.role ?? null,
+    };
+  };
+
+  IO.on("userPresence", (userId, callback) => {
+    callback(getLocalUserPresence(userId));
+  });
+
+  const applyTokenClaims = (socket, claims) => {
+    socket.data.role = isNonEmptyString(claims.role)
+      ? claims.role.trim()
+      : null;
+    socket.data.tokenExpiresAt =
+      typeof claims.exp === "number" ? claims.exp * 1000 : null;
+  };
+
+  // The user id comes from the verified token subject; callerId in the query
+  // string is no longer trusted.
+  // Clients connecting while the server drains should try another instance.
+  IO.use((socket, next) => {
+    if (gracefulShutdown.isShuttingDown()) {
+      next(createAuthError("SERVER_SHUTTING_DOWN", "Server is shutting down"));
+      return;
+    }
+    next();
+  });
+
+  IO.use((socket, next) => {
+    let claims;
+    try {
+      claims = verifyToken(getHandshakeToken(socket.handshake), AUTH_TOKEN_SECRET);
+    } catch (authError) {
+      logger.info("Socket rejected", {
+        connectionId: socket.id,
+        code: authError.code,
+      });
+      next(authError);
+      return;
+    }
+
+    socket.user = claims.sub;
+    applyTokenClaims(socket, claims);
+
+    try {
+      const preferences = languageMatrix.normalizePreferences({
+        spokenLanguage:
+          socket.handshake?.auth?.spokenLanguage ??
+          socket.handshake?.query?.spokenLanguage,
+        captionLanguage:
+          socket.handshake?.auth?.captionLanguage ??
+          socket.handshake?.query?.captionLanguage,
+      });
+      preferenceStore.update(socket.user, {
+        ...preferences,
+        tts: parseOptionalFlag(
+          socket.handshake?.auth?.tts ?? socket.handshake?.query?.tts
+        ),
+      });
+    } catch (languageError) {
+      languageError.data = { code: languageError.code };
+      next(languageError);
+      return;
+    }
+    // Senders may ask to hear about chunks dropped as silence.
+    socket.data.reportSkipped =
+      parseOptionalFlag(
+        socket.handshake?.auth?.reportSkipped ??
+          socket.handshake?.query?.reportSkipped
+      ) === true;
+    socket.data.missedCalls = missedCallStore.take(socket.user);
+    socket.data.queuedMessages = messageQueue.take(socket.user);
+    next();
+  });
+
+  // Socket event handlers live in app/socket; each factory returns the
+  // function that registers its handlers on a connected socket.
+  const attachSignalingHandlers = createSignalingHandlers({
+    io: IO,
+    config,
+    callRegistry,
+    roomRegistry,
+    missedCallStore,
+    transcriptStore,
+    authorizationPolicy,
+    sequenceTracker,
+    getUserPresence,
+    getSocketLogger,
+    emitSignalError,
+    logTranscriptErrors,
+  });
+  const attachChatHandlers = createChatHandlers({
+    io: IO,
+    config,
+    callRegistry,
+    messageQueue,
+    authorizationPolicy,
+    getUserPresence,
+    getSocketLogger,
+    emitMessageError,
+    isRateLimited,
+    resolvePipelineLanguages,
+    translateTranscript,
+  });
+  const attachSttHandlers = createSttHandlers({
+    config,
+    callRegistry,
+    roomRegistry,
+    preferenceStore,
+    transcriptStore,
+    authorizationPolicy,
+    sequenceTracker,
+    speechProvider,
+    ttsProvider,
+    metrics,
+    getSocketLogger,
+    emitSttError,
+    emitSignalError,
+    isRateLimited,
+    isShuttingDown: () => gracefulShutdown.isShuttingDown(),
+    logTranscriptErrors,
+    resolvePipelineLanguages,
+    translateTranscript,
+  });
+
+  // Disconnect handlers still running, awaited on shutdown.
+  const disconnectCleanups = new Set();
+
+  IO.on("connection", (socket) => {
+    socket.data.logger = logger.child({
+      connectionId: socket.id,
+      user: socket.user,
+    });
+    getSocketLogger(socket).info("Socket connected", {
+      role: socket.data.role ?? null,
+    });
+    socket.join(socket.user);
+    socket.data.sttQueue = Promise.resolve();
+    socket.data.ttsQueue = Promise.resolve();
+    socket.data.pendingSttRequests = 0;
+    socket.data.sttStream = null;
+
+    const runSafeHandler = (eventName, handler) => async (data) => {
+      try {
+        await handler(data);
+      } catch (unhandledError) {
+        getSocketLogger(socket).error("Unhandled error in event handler", {
+          event: eventName,
+          error: unhandledError,
+        });
+        emitSignalError(
+          socket,
+          "UNHANDLED_SERVER_ERROR",
+          `Unexpected server error in ${eventName}`
+        );
+      }
+    };
+
+    // --- Token lifetime ---
+    const scheduleTokenExpiry = () => {
+      clearTimeout(socket.data.tokenExpiryTimer);
+      if (!socket.data.tokenExpiresAt) {
+        return;
+      }
+
+      const delay = socket.data.tokenExpiresAt - Date.now();
+      if (delay > MAX_TIMER_DELAY_MS) {
+        return;
+      }
+
+      socket.data.tokenExpiryTimer = setTimeout(() => {
+        emitAuthError(
+          socket,
+          AUTH_ERROR_CODES.TOKEN_EXPIRED,
+          "Authentication token has expired"
+        );
+        socket.disconnect(true);
+      }, Math.max(0, delay));
+    };
+    scheduleTokenExpiry();
+
+    socket.on("refreshToken", runSafeHandler("refreshToken", async (data) => {
+      let claims;
+      try {
+        claims = verifyToken(data?.token, AUTH_TOKEN_SECRET);
+        if (claims.sub !== socket.user) {
+          throw createAuthError(
+            AUTH_ERROR_CODES.TOKEN_SUBJECT_MISMATCH,
+            "Token belongs to a different user"
+          );
+        }
+      } catch (authError) {
+        emitAuthError(socket, authError.code, authError.message);
+        return;
+      }
+
+      applyTokenClaims(socket, claims);
+      scheduleTokenExpiry();
+      socket.emit("tokenRefreshed", {
+        expiresAt: socket.data.tokenExpiresAt
+          ? new Date(socket.data.tokenExpiresAt).toISOString()
+          : null,
+      });
+    }));
+
+    // --- Language preferences ---
+    socket.on(
+      "setLanguagePreferences",
+      runSafeHandler("setLanguagePreferences", async (data) => {
+        let preferences;
+        try {
+          preferences = languageMatrix.normalizePreferences({
+            spokenLanguage: data?.spokenLanguage,
+            captionLanguage: data?.captionLanguage,
+          });
+        } catch (languageError) {
+          emitSttError(socket, languageError.code, languageError.message);
+          return;
+        }
+
+        const updated = preferenceStore.update(socket.user, {
+          ...preferences,
+          tts: parseOptionalFlag(data?.tts),
+        });
+        socket.emit("languagePreferencesUpdated", {
+          spokenLanguage: updated.spokenLanguage ?? null,
+          captionLanguage: updated.captionLanguage ?? null,
+          tts: Boolean(updated.tts),
+        });
+      })
+    );
+
+    const signaling = attachSignalingHandlers(socket, runSafeHandler);
+    attachChatHandlers(socket, runSafeHandler);
+    const stt = attachSttHandlers(socket, runSafeHandler);
+
+    const handleDisconnect = runSafeHandler("disconnect", async (reason) => {
+      getSocketLogger(socket).info("Socket disconnected", { reason });
+      clearTimeout(socket.data.tokenExpiryTimer);
+      stt.handleDisconnect();
+
+      // Another device of the same user may still be connected to the call.
+      if ((await getUserPresence(socket.user)).online) {
+        return;
+      }
+
+      // Preferences outlive a held call so captions and speech pick up
+      // again on reconnect; the grace timeout drops them otherwise.
+      if (!signaling.handleUserOffline()) {
+        preferenceStore.remove(socket.user);
+      }
+    });
+
+    socket.on("disconnect", (reason) => {
+      const cleanup = handleDisconnect(reason);
+      disconnectCleanups.add(cleanup);
+      cleanup.finally(() => disconnectCleanups.delete(cleanup));
+    });
+  });
+
+  const gracefulShutdown = createGracefulShutdown({
+    drainTimeoutMs: SHUTDOWN_DRAIN_TIMEOUT_MS,
+    logger,
+    stopAccepting: () => {
+      if (ownsServer) {
+        server.close();
+        server.closeIdleConnections();
+      }
+    },
+    notify: () => {
+      IO.sockets.sockets.forEach((socket) => {
+        socket.emit("serverShuttingDown", {
+          reconnectDelayMs: Math.floor(
+            Math.random() * SHUTDOWN_RECONNECT_JITTER_MS
+          ),
+          drainTimeoutMs: SHUTDOWN_DRAIN_TIMEOUT_MS,
+          timestamp: new Date().toISOString(),
+        });
+      });
+    },
+    drain: () =>
+      Promise.all(
+        Array.from(IO.sockets.sockets.values(), (socket) => socket.data.drain())
+      ),
+    // Connections close once their last packets are written; IO.close()
+    // would drop them. Disconnect handlers still publish call and room
+    // changes, so the state store is closed last.
+    close: async () => {
+      const connectionsClosed = Object.values(IO.engine.clients).map(
+        (connection) =>
+          new Promise((resolve) => connection.once("close", resolve))
+      );
+      IO.local.disconnectSockets(true);
+      await settleWithin(
+        Promise.all([...connectionsClosed, ...disconnectCleanups]),
+        SOCKET_CLOSE_TIMEOUT_MS
+      );
+      // IO.close() also closes the HTTP server it is attached to.
+      if (ownsServer) {
+        await IO.close();
+      } else {
+        await IO.sockets.adapter.close();
+        IO.engine.close();
+      }
+      await stateStore.close();
+    },
+  });
+
+  const listen = (port = config.port) =>
+    new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(port, () => {
+        server.off("error", reject);
+        logger.info("Socket.IO STT server running", {
+          port: server.address().port,
+          provider: speechProvider.name,
+          stateStore: stateStore.name,
+          instanceId: INSTANCE_ID,
+        });
+        resolve(server.address());
+      });
+    });
+
+  return {
+    io: IO,
+    router,
+    listen,
+    shutdown: gracefulShutdown.shutdown,
+    isShuttingDown: gracefulShutdown.isShuttingDown,
+  };
+};
+
+module.exports = {
+  ALLOWED_ENCODINGS,
+  createTranslationServer,
+  isNonEmptyString,
+  normalizeAudioToBase64,
+};
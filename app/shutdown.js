@@ -0,0 +1,89 @@
+const SHUTDOWN_SIGNALS = ["SIGTERM", "SIGINT"];
+
+// Resolves true once `promise` settles, or false when `timeoutMs` passes.
+const settleWithin = (promise, timeoutMs) => {
+  let timer;
+  const deadline = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(false), timeoutMs);
+  });
+  return Promise.race([
+    promise.then(
+      () => true,
+      () => true
+    ),
+    deadline,
+  ]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Runs the shutdown steps once, in order:
+ *   stopAccepting()   refuse new connections
+ *   notify()          tell connected clients to reconnect elsewhere
+ *   drain()           finish queued work, cut off after `drainTimeoutMs`
+ *   close()           close sockets, the server and shared state
+ * Calling `shutdown` again returns the shutdown already in progress.
+ */
+const createGracefulShutdown = ({
+  stopAccepting,
+  notify,
+  drain,
+  close,
+  drainTimeoutMs = 8000,
+  logger,
+}) => {
+  let shutdownPromise = null;
+
+  const run = async (signal) => {
+    logger.info("Shutting down", { signal, drainTimeoutMs });
+    await stopAccepting();
+    notify();
+    if (!(await settleWithin(Promise.resolve().then(drain), drainTimeoutMs))) {
+      logger.warn("Drain deadline reached, dropping pending work", {
+        drainTimeoutMs,
+      });
+    }
+    await close();
+    logger.info("Shutdown complete");
+  };
+
+  const shutdown = (signal) => {
+    shutdownPromise ??= run(signal);
+    return shutdownPromise;
+  };
+
+  return {
+    isShuttingDown: () => shutdownPromise !== null,
+    shutdown,
+  };
+};
+
+// Exits with 0 after a clean shutdown and 1 when a step failed. A second
+// signal exits right away.
+const handleShutdownSignals = (
+  { isShuttingDown, shutdown },
+  { logger, target = process, exit = process.exit }
+) => {
+  SHUTDOWN_SIGNALS.forEach((signal) => {
+    target.on(signal, () => {
+      if (isShuttingDown()) {
+        logger.warn("Forced exit during shutdown", { signal });
+        exit(1);
+        return;
+      }
+      shutdown(signal).then(
+        () => exit(0),
+        (shutdownError) => {
+          logger.error("Shutdown failed", { error: shutdownError });
+          exit(1);
+        }
+      );
+    });
+  });
+};
+
+module.exports = {
+  SHUTDOWN_SIGNALS,
+  createGracefulShutdown,
+  handleShutdownSignals,
+  settleWithin,
+};
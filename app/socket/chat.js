@@ -0,0 +1,159 @@
+const crypto = require("crypto");
+
+const { getOptionalString, getRequiredString } = require("./payloads");
+
+/**
+ * Translated text chat. Messages to offline users are queued and handed
+ * over on their next connection. The returned function registers the
+ * handlers on a connected socket.
+ */
+const createChatHandlers = ({
+  io,
+  config,
+  callRegistry,
+  messageQueue,
+  authorizationPolicy,
+  getUserPresence,
+  getSocketLogger,
+  emitMessageError,
+  isRateLimited,
+  resolvePipelineLanguages,
+  translateTranscript,
+}) => {
+  const MAX_MESSAGE_LENGTH = config.limits.maxMessageLength;
+
+  return (socket, runSafeHandler) => {
+    socket.data.queuedMessages.forEach((message) => {
+      socket.emit("newMessage", { ...message, queued: true });
+      io.to(message.from).emit("messageDelivered", {
+        messageId: message.messageId,
+        clientMessageId: message.clientMessageId,
+        to: message.to,
+        timestamp: new Date().toISOString(),
+      });
+    });
+    socket.data.queuedMessages = [];
+
+    // --- Text chat ---
+    socket.on("sendMessage", runSafeHandler("sendMessage", async (data) => {
+      let to;
+      let text;
+      try {
+        to = getRequiredString(data, "to", "to is required");
+        text = getRequiredString(data, "text", "text is required");
+        if (to === socket.user) {
+          throw new Error("to must be different from the sender");
+        }
+        if (text.length > MAX_MESSAGE_LENGTH) {
+          throw new Error(
+            `text must be at most ${MAX_MESSAGE_LENGTH} characters`
+          );
+        }
+      } catch (validationError) {
+        emitMessageError(
+          socket,
+          "INVALID_MESSAGE_PAYLOAD",
+          validationError.message
+        );
+        return;
+      }
+
+      const clientMessageId =
+        getOptionalString(data, "clientMessageId") ?? null;
+      const isMessageAllowed = authorizationPolicy.canSendMessage(
+        { id: socket.user, role: socket.data.role },
+        { id: to, role: (await getUserPresence(to)).role }
+      );
+      if (!isMessageAllowed) {
+        emitMessageError(socket, "FORBIDDEN", "You cannot message this user", {
+          to,
+          clientMessageId,
+        });
+        return;
+      }
+
+      if (await isRateLimited(socket, "message")) {
+        emitMessageError(
+          socket,
+          "MESSAGE_RATE_LIMITED",
+          "Too many messages in a short time",
+          { to, clientMessageId }
+        );
+        return;
+      }
+
+      // Offline recipients have no caption preference registered, so queued
+      // messages are translated into the sender's targetLanguage.
+      let languages;
+      try {
+        languages = resolvePipelineLanguages(socket.user, to, data);
+      } catch (languageError) {
+        emitMessageError(socket, languageError.code, languageError.message, {
+          to,
+          clientMessageId,
+        });
+        return;
+      }
+
+      const messageId = crypto.randomUUID();
+      const log = getSocketLogger(socket, { requestId: messageId });
+      let translatedText;
+      try {
+        translatedText = await translateTranscript(
+          text,
+          languages.sourceLanguage,
+          languages.targetLanguage
+        );
+      } catch (translationError) {
+        log.error("Message translation error", { to, error: translationError });
+        emitMessageError(
+          socket,
+          "MESSAGE_TRANSLATION_FAILED",
+          "Unable to translate this message",
+          { to, clientMessageId }
+        );
+        return;
+      }
+
+      const call = callRegistry.resolveCall(socket.user, { peerId: to });
+      const message = {
+        messageId,
+        clientMessageId,
+        callId: call?.callId ?? null,
+        from: socket.user,
+        to,
+        text,
+        translated: translatedText,
+        sourceLanguage: languages.sourceLanguage,
+        targetLanguage: languages.targetLanguage,
+        timestamp: new Date().toISOString(),
+      };
+
+      const isRecipientOnline = (await getUserPresence(to)).online;
+      if (isRecipientOnline) {
+        socket.to(to).emit("newMessage", message);
+      } else {
+        messageQueue.enqueue(message);
+      }
+      log.debug("Message sent", {
+        to,
+        status: isRecipientOnline ? "delivered" : "queued",
+        text,
+        translated: translatedText,
+      });
+
+      socket.emit("messageSent", {
+        messageId: message.messageId,
+        clientMessageId,
+        to,
+        status: isRecipientOnline ? "delivered" : "queued",
+        translated: translatedText,
+        timestamp: message.timestamp,
+      });
+    }));
+  };
+};
+
+module.exports = {
+  createChatHandlers,
+};
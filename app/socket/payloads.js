@@ -0,0 +1,54 @@
+// Validation of Socket.IO event payloads shared by the event handlers.
+
+const isNonEmptyString = (value) =>
+  typeof value === "string" && value.trim().length > 0;
+
+const getRequiredString = (data, key, errorMessage) => {
+  if (!data || typeof data !== "object" || !isNonEmptyString(data[key])) {
+    throw new Error(errorMessage);
+  }
+  return data[key].trim();
+};
+
+// Socket.IO query values arrive as strings; undefined means "unchanged".
+const parseOptionalFlag = (value) =>
+  value === undefined ? undefined : value === true || value === "true";
+
+const getOptionalString = (data, key) =>
+  data && typeof data === "object" && isNonEmptyString(data[key])
+    ? data[key].trim()
+    : undefined;
+
+const normalizeAudioToBase64 = (audio) => {
+  if (typeof audio === "string") {
+    const withoutPrefix = audio.startsWith("data:")
+      ? audio.slice(audio.indexOf(",") + 1)
+      : audio;
+    const normalized = withoutPrefix.replace(/\s/g, "");
+    if (!normalized) {
+      throw new Error("Empty audio payload");
+    }
+    if (!/^[A-Za-z0-9+/=]+$/.test(normalized)) {
+      throw new Error("Audio payload is not valid base64");
+    }
+    return normalized;
+  }
+
+  if (Buffer.isBuffer(audio)) {
+    return audio.toString("base64");
+  }
+
+  if (audio instanceof Uint8Array || Array.isArray(audio)) {
+    return Buffer.from(audio).toString("base64");
+  }
+
+  throw new Error("Unsupported audio payload type");
+};
+
+module.exports = {
+  getOptionalString,
+  getRequiredString,
+  isNonEmptyString,
+  normalizeAudioToBase64,
+  parseOptionalFlag,
+};
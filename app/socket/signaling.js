@@ -0,0 +1,446 @@
+const { CALL_STATES } = require("../callRegistry");
+const { getOptionalString, getRequiredString } = require("./payloads");
+
+const CALL_REJECT_REASONS = new Set(["busy", "declined"]);
+
+/**
+ * One-to-one call signaling and conference rooms. The returned function
+ * registers the handlers on a connected socket and returns
+ * `{ handleUserOffline }`, run once the user's last socket is gone: it
+ * leaves their rooms and holds (or ends) their call, returning true when
+ * the call is held for them to reconnect.
+ */
+const createSignalingHandlers = ({
+  io,
+  config,
+  callRegistry,
+  roomRegistry,
+  missedCallStore,
+  transcriptStore,
+  authorizationPolicy,
+  sequenceTracker,
+  getUserPresence,
+  getSocketLogger,
+  emitSignalError,
+  logTranscriptErrors,
+}) => {
+  const CALL_RECONNECT_GRACE_MS = config.calls.reconnectGraceMs;
+
+  return (socket, runSafeHandler) => {
+    const resumedCall = callRegistry.markReconnected(socket.user);
+    if (resumedCall) {
+      const reconnectPayload = {
+        callId: resumedCall.callId,
+        userId: socket.user,
+        timestamp: new Date().toISOString(),
+      };
+      socket.to(callRegistry.getPeerId(resumedCall, socket.user)).emit(
+        "peerReconnected",
+        reconnectPayload
+      );
+      socket.emit("peerReconnected", reconnectPayload);
+    }
+
+    if (socket.data.missedCalls.length) {
+      socket.emit("missedCalls", { calls: socket.data.missedCalls });
+      socket.data.missedCalls = [];
+    }
+
+    // --- Call signaling ---
+    socket.on("makeCall", runSafeHandler("makeCall", async (data) => {
+      let calleeId;
+      let sdpOffer;
+      try {
+        calleeId = getRequiredString(data, "calleeId", "calleeId is required");
+        sdpOffer = getRequiredString(data, "sdpOffer", "sdpOffer is required");
+        if (calleeId === socket.user) {
+          throw new Error("calleeId must be different from callerId");
+        }
+      } catch (validationError) {
+        emitSignalError(socket, "INVALID_MAKE_CALL_PAYLOAD", validationError.message);
+        return;
+      }
+
+      const calleePresence = await getUserPresence(calleeId);
+      const isCallAllowed = authorizationPolicy.canStartCall(
+        { id: socket.user, role: socket.data.role },
+        { id: calleeId, role: calleePresence.role }
+      );
+      if (!isCallAllowed) {
+        emitSignalError(socket, "FORBIDDEN", "You are not allowed to call this user", {
+          calleeId,
+        });
+        return;
+      }
+
+      if (callRegistry.isUserBusy(socket.user)) {
+        emitSignalError(
+          socket,
+          "CALL_ALREADY_IN_PROGRESS",
+          "End the current call before starting a new one",
+          { callId: callRegistry.getCallForUser(socket.user).callId }
+        );
+        return;
+      }
+
+      if (callRegistry.isUserBusy(calleeId)) {
+        socket.emit("callBusy", {
+          calleeId,
+          timestamp: new Date().toISOString(),
+        });
+        return;
+      }
+
+      if (!calleePresence.online) {
+        const missedCall = missedCallStore.record({
+          callerId: socket.user,
+          calleeId,
+        });
+        socket.emit("calleeUnavailable", {
+          calleeId,
+          missedCallId: missedCall.id,
+          timestamp: missedCall.timestamp,
+        });
+        return;
+      }
+
+      const call = callRegistry.createCall({ callerId: socket.user, calleeId });
+      getSocketLogger(socket).info("Call started", { calleeId });
+      socket.emit("callRinging", { callId: call.callId, calleeId });
+      socket.to(calleeId).emit("newCall", {
+        callId: call.callId,
+        callerId: socket.user,
+        sdpOffer,
+      });
+    }));
+
+    socket.on("answerCall", runSafeHandler("answerCall", async (data) => {
+      let callerId;
+      let sdpAnswer;
+      try {
+        callerId = getRequiredString(data, "callerId", "callerId is required");
+        sdpAnswer = getRequiredString(
+          data,
+          "sdpAnswer",
+          "sdpAnswer is required"
+        );
+      } catch (validationError) {
+        emitSignalError(
+          socket,
+          "INVALID_ANSWER_CALL_PAYLOAD",
+          validationError.message
+        );
+        return;
+      }
+
+      const call = callRegistry.resolveCall(socket.user, {
+        callId: getOptionalString(data, "callId"),
+        peerId: callerId,
+      });
+      if (
+        !call ||
+        call.calleeId !== socket.user ||
+        call.state !== CALL_STATES.RINGING
+      ) {
+        emitSignalError(socket, "CALL_NOT_FOUND", "No ringing call to answer");
+        return;
+      }
+
+      callRegistry.answerCall(call.callId);
+      // Caption sequenceIds start over with every call.
+      sequenceTracker.reset(call.callId);
+      logTranscriptErrors(
+        transcriptStore.addParticipants(call.callId, [
+          call.callerId,
+          socket.user,
+        ])
+      );
+      socket.to(callerId).emit("callAnswered", {
+        callId: call.callId,
+        callee: socket.user,
+        sdpAnswer,
+      });
+    }));
+
+    socket.on("rejectCall", runSafeHandler("rejectCall", async (data) => {
+      let callerId;
+      try {
+        callerId = getRequiredString(data, "callerId", "callerId is required");
+      } catch (validationError) {
+        emitSignalError(
+          socket,
+          "INVALID_REJECT_CALL_PAYLOAD",
+          validationError.message
+        );
+        return;
+      }
+
+      const call = callRegistry.resolveCall(socket.user, {
+        callId: getOptionalString(data, "callId"),
+        peerId: callerId,
+      });
+      if (
+        !call ||
+        call.calleeId !== socket.user ||
+        call.state !== CALL_STATES.RINGING
+      ) {
+        emitSignalError(socket, "CALL_NOT_FOUND", "No ringing call to reject");
+        return;
+      }
+
+      const requestedReason = getOptionalString(data, "reason")?.toLowerCase();
+      const reason = CALL_REJECT_REASONS.has(requestedReason)
+        ? requestedReason
+        : "declined";
+
+      callRegistry.endCall(call.callId, "rejected");
+      socket.to(callerId).emit("callRejected", {
+        callId: call.callId,
+        callee: socket.user,
+        reason,
+      });
+    }));
+
+    socket.on("endCall", runSafeHandler("endCall", async (data) => {
+      let calleeId;
+      try {
+        calleeId = getRequiredString(data, "calleeId", "calleeId is required");
+      } catch (validationError) {
+        emitSignalError(socket, "INVALID_END_CALL_PAYLOAD", validationError.message);
+        return;
+      }
+
+      const call = callRegistry.resolveCall(socket.user, {
+        callId: getOptionalString(data, "callId"),
+        peerId: calleeId,
+      });
+      if (!call) {
+        emitSignalError(socket, "CALL_NOT_FOUND", "No ringing or active call to end");
+        return;
+      }
+
+      getSocketLogger(socket).info("Call ended", {
+        calleeId,
+        reason: "hangup",
+      });
+      callRegistry.endCall(call.callId, "hangup");
+      sequenceTracker.reset(call.callId);
+      socket.to(calleeId).emit("callEnded", {
+        callId: call.callId,
+        from: socket.user,
+      });
+      socket.emit("leaveCall", { callId: call.callId, to: calleeId });
+    }));
+
+    socket.on("IceCandidate", runSafeHandler("IceCandidate", async (data) => {
+      let calleeId;
+      let iceCandidate;
+      try {
+        calleeId = getRequiredString(data, "calleeId", "calleeId is required");
+        if (!data || typeof data !== "object" || data.iceCandidate == null) {
+          throw new Error("iceCandidate is required");
+        }
+        iceCandidate = data.iceCandidate;
+      } catch (validationError) {
+        emitSignalError(
+          socket,
+          "INVALID_ICE_CANDIDATE_PAYLOAD",
+          validationError.message
+        );
+        return;
+      }
+
+      const callId = getOptionalString(data, "callId");
+      if (!authorizationPolicy.canSignalPeer(socket.user, calleeId, callId)) {
+        emitSignalError(
+          socket,
+          "FORBIDDEN",
+          "ICE candidates can only be sent to a peer in the same call",
+          { calleeId }
+        );
+        return;
+      }
+
+      const call = callRegistry.resolveCall(socket.user, {
+        callId,
+        peerId: calleeId,
+      });
+      socket.to(calleeId).emit("IceCandidate", {
+        callId: call.callId,
+        sender: socket.user,
+        iceCandidate,
+      });
+    }));
+
+    // --- Conference rooms ---
+    const emitToRoomParticipants = (room, eventName, payload) => {
+      room.participants.forEach((userId) => {
+        if (userId !== socket.user) {
+          io.to(userId).emit(eventName, payload);
+        }
+      });
+    };
+
+    const leaveConferenceRoom = (roomId) => {
+      const room = roomRegistry.leaveRoom(roomId, socket.user);
+      if (room) {
+        emitToRoomParticipants(room, "participantLeft", {
+          roomId,
+          userId: socket.user,
+          participants: [...room.participants],
+        });
+      }
+      return room;
+    };
+
+    socket.on("createRoom", runSafeHandler("createRoom", async (data) => {
+      const room = roomRegistry.createRoom({
+        ownerId: socket.user,
+        name: getOptionalString(data, "name") ?? null,
+      });
+      logTranscriptErrors(
+        transcriptStore.addParticipants(room.roomId, [socket.user])
+      );
+      socket.emit("roomCreated", roomRegistry.toJSON(room));
+    }));
+
+    socket.on("joinRoom", runSafeHandler("joinRoom", async (data) => {
+      let roomId;
+      try {
+        roomId = getRequiredString(data, "roomId", "roomId is required");
+      } catch (validationError) {
+        emitSignalError(socket, "INVALID_JOIN_ROOM_PAYLOAD", validationError.message);
+        return;
+      }
+
+      const { room, error } = roomRegistry.joinRoom(roomId, socket.user);
+      if (error) {
+        emitSignalError(
+          socket,
+          error,
+          error === "ROOM_FULL" ? "Room is full" : "Room not found",
+          { roomId }
+        );
+        return;
+      }
+
+      logTranscriptErrors(
+        transcriptStore.addParticipants(roomId, [socket.user])
+      );
+      sequenceTracker.reset(roomId, socket.user);
+
+      // The joiner sends mesh offers to everyone already in the room.
+      socket.emit("roomJoined", roomRegistry.toJSON(room));
+      emitToRoomParticipants(room, "participantJoined", {
+        roomId,
+        userId: socket.user,
+        participants: [...room.participants],
+      });
+    }));
+
+    socket.on("leaveRoom", runSafeHandler("leaveRoom", async (data) => {
+      let roomId;
+      try {
+        roomId = getRequiredString(data, "roomId", "roomId is required");
+      } catch (validationError) {
+        emitSignalError(socket, "INVALID_LEAVE_ROOM_PAYLOAD", validationError.message);
+        return;
+      }
+
+      if (!leaveConferenceRoom(roomId)) {
+        emitSignalError(socket, "ROOM_NOT_FOUND", "You are not in this room", {
+          roomId,
+        });
+        return;
+      }
+      socket.emit("roomLeft", { roomId });
+    }));
+
+    // Relays mesh offers, answers and ICE candidates between room members.
+    const relayRoomSignal = (eventName, payloadKey, invalidPayloadCode) =>
+      runSafeHandler(eventName, async (data) => {
+        let roomId;
+        let to;
+        try {
+          roomId = getRequiredString(data, "roomId", "roomId is required");
+          to = getRequiredString(data, "to", "to is required");
+          if (data[payloadKey] == null) {
+            throw new Error(`${payloadKey} is required`);
+          }
+        } catch (validationError) {
+          emitSignalError(socket, invalidPayloadCode, validationError.message);
+          return;
+        }
+
+        if (!authorizationPolicy.canSignalRoomPeer(socket.user, to, roomId)) {
+          emitSignalError(
+            socket,
+            "FORBIDDEN",
+            "Room signaling is only allowed between participants of the same room",
+            { roomId, to }
+          );
+          return;
+        }
+
+        socket.to(to).emit(eventName, {
+          roomId,
+          from: socket.user,
+          [payloadKey]: data[payloadKey],
+        });
+      });
+
+    socket.on(
+      "roomOffer",
+      relayRoomSignal("roomOffer", "sdpOffer", "INVALID_ROOM_OFFER_PAYLOAD")
+    );
+    socket.on(
+      "roomAnswer",
+      relayRoomSignal("roomAnswer", "sdpAnswer", "INVALID_ROOM_ANSWER_PAYLOAD")
+    );
+    socket.on(
+      "roomIceCandidate",
+      relayRoomSignal(
+        "roomIceCandidate",
+        "iceCandidate",
+        "INVALID_ROOM_ICE_CANDIDATE_PAYLOAD"
+      )
+    );
+
+    const handleUserOffline = () => {
+      roomRegistry
+        .getRoomsForUser(socket.user)
+        .forEach((room) => leaveConferenceRoom(room.roomId));
+
+      const call = callRegistry.getCallForUser(socket.user);
+      if (!call) {
+        return false;
+      }
+
+      const peerId = callRegistry.getPeerId(call, socket.user);
+      if (callRegistry.markDisconnected(call.callId, socket.user)) {
+        io.to(peerId).emit("peerDisconnected", {
+          callId: call.callId,
+          userId: socket.user,
+          graceMs: CALL_RECONNECT_GRACE_MS,
+          timestamp: new Date().toISOString(),
+        });
+        return true;
+      }
+
+      callRegistry.endCall(call.callId, "disconnected");
+      sequenceTracker.reset(call.callId);
+      io.to(peerId).emit("callEnded", {
+        callId: call.callId,
+        from: socket.user,
+        reason: "disconnected",
+      });
+      return false;
+    };
+
+    return { handleUserOffline };
+  };
+};
+
+module.exports = {
+  createSignalingHandlers,
+};
@@ -0,0 +1,1004 @@
+const crypto = require("crypto");
+
+const { createAudioNormalizer } = require("../audio");
+const { isValidLanguageCode } = require("../languages");
+const { observeDuration } = require("../metrics");
+const { createUtteranceAssembler } = require("../utterances");
+const { createVoiceActivityDetector } = require("../vad");
+const {
+  getOptionalString,
+  normalizeAudioToBase64,
+} = require("./payloads");
+
+const ALLOWED_ENCODINGS = new Set([
+  "LINEAR16",
+  "WEBM_OPUS",
+  "OGG_OPUS",
+  "FLAC",
+  "MULAW",
+  "AMR",
+  "AMR_WB",
+  "SPEEX_WITH_HEADER_BYTE",
+]);
+
+/**
+ * The caption pipeline: one-shot audio chunks (audioRecording) and
+ * streaming recognition (sttStream*) are recognized, translated for each
+ * recipient and delivered as captions and, for those who asked, speech.
+ * The returned function registers the handlers on a connected socket and
+ * returns `{ handleDisconnect }`; it also sets `socket.data.drain`, which
+ * shutdown awaits.
+ */
+const createSttHandlers = ({
+  config,
+  callRegistry,
+  roomRegistry,
+  preferenceStore,
+  transcriptStore,
+  authorizationPolicy,
+  sequenceTracker,
+  speechProvider,
+  ttsProvider,
+  metrics,
+  getSocketLogger,
+  emitSttError,
+  emitSignalError,
+  isRateLimited,
+  isShuttingDown,
+  logTranscriptErrors,
+  resolvePipelineLanguages,
+  translateTranscript,
+}) => {
+  const MAX_AUDIO_BYTES = config.limits.maxAudioBytes;
+  const MAX_STT_PENDING_REQUESTS = config.limits.maxSttPendingRequests;
+  // PCM above this rate is downsampled before recognition.
+  const STT_TARGET_SAMPLE_RATE = config.audio.targetSampleRate;
+  // Silent LINEAR16 chunks are dropped before recognition; VAD_ENABLED=false
+  // sends everything to the provider.
+  const voiceActivityDetector = createVoiceActivityDetector(config.audio.vad);
+  // LINEAR16 chunks are joined into utterances until a pause of
+  // UTTERANCE_PAUSE_MS, silence or a sequence gap, or UTTERANCE_MAX_MS of
+  // audio; UTTERANCE_MAX_MS=0 recognizes every chunk on its own.
+  const UTTERANCE_PAUSE_MS = config.audio.utterancePauseMs;
+  const UTTERANCE_MAX_MS = config.audio.utteranceMaxMs;
+  const languageMatrix = config.languages.matrix;
+  // Chunks without a language (and senders without a spoken language) are
+  // recognized with detection among LANGUAGE_DETECT_CANDIDATES when those
+  // are set; otherwise (or with LANGUAGE_AUTO_DETECT=false) English is
+  // assumed.
+  const LANGUAGE_AUTO_DETECT = config.languages.autoDetect;
+  const languageDetection = config.languages.detection;
+
+  const sttSkippedChunks = metrics.counter(
+    "stt_skipped_chunks_total",
+    "Audio chunks dropped as silence before speech recognition"
+  );
+  const sttDuration = metrics.histogram(
+    "stt_recognize_duration_seconds",
+    "Time taken by the speech provider to recognize an utterance",
+    { labelled: true }
+  );
+
+  // A language detected with lockLanguage set sticks to the sender for the
+  // rest of the call (or room); the WeakMap entry goes away with the call.
+  const detectedLanguageLocks = new WeakMap();
+
+  const getLanguageLockScope = (senderId, { recipientId, roomId }) =>
+    roomId
+      ? roomRegistry.getRoom(roomId)
+      : callRegistry.resolveCall(senderId, { peerId: recipientId });
+
+  const getLockedLanguage = (senderId, target) => {
+    const scope = getLanguageLockScope(senderId, target);
+    return (scope && detectedLanguageLocks.get(scope)?.get(senderId)) || null;
+  };
+
+  const lockDetectedLanguage = (senderId, target, language) => {
+    const scope = getLanguageLockScope(senderId, target);
+    if (!scope) {
+      return;
+    }
+    if (!detectedLanguageLocks.has(scope)) {
+      detectedLanguageLocks.set(scope, new Map());
+    }
+    detectedLanguageLocks.get(scope).set(senderId, language);
+  };
+
+  const shouldDetectLanguage = (senderId, data) =>
+    LANGUAGE_AUTO_DETECT &&
+    !isValidLanguageCode(data.language) &&
+    !preferenceStore.get(senderId)?.spokenLocale;
+
+  // Recipient, languages and audio format shared by one-shot chunks and
+  // streams.
+  const parseRecognitionConfig = (data, senderId) => {
+    if (!data || typeof data !== "object") {
+      throw new Error("Invalid payload");
+    }
+
+    // Conference captions address a room instead of a single recipient.
+    const roomId = getOptionalString(data, "roomId") ?? null;
+    if (!roomId && (typeof data.to !== "string" || !data.to.trim())) {
+      throw new Error("Missing recipient id");
+    }
+
+    const recipientId = roomId ? null : data.to.trim();
+    const detectLanguage = shouldDetectLanguage(senderId, data);
+    const lockedLanguage = detectLanguage
+      ? getLockedLanguage(senderId, { recipientId, roomId })
+      : null;
+    // The source language of detected speech is only known per result.
+    const autoDetect = detectLanguage && !lockedLanguage;
+    const { sourceLanguage, sttLocale } = autoDetect
+      ? { sourceLanguage: null, sttLocale: languageDetection.languageCode }
+      : resolvePipelineLanguages(
+          senderId,
+          recipientId,
+          lockedLanguage ? { ...data, language: lockedLanguage } : data
+        );
+
+    // Declared format; the audio normalizer fills in defaults and checks it
+    // against WAV headers.
+    const normalizedEncoding =
+      typeof data.encoding === "string"
+        ? data.encoding.trim().toUpperCase()
+        : undefined;
+    const encoding = ALLOWED_ENCODINGS.has(normalizedEncoding)
+      ? normalizedEncoding
+      : null;
+
+    const sampleRateHertz = data.sampleRateHertz
+      ? Number(data.sampleRateHertz)
+      : null;
+    if (
+      sampleRateHertz !== null &&
+      (Number.isNaN(sampleRateHertz) ||
+        sampleRateHertz < 8000 ||
+        sampleRateHertz > 48000)
+    ) {
+      throw new Error("Invalid sample rate");
+    }
+
+    const channels = data.channels ? Number(data.channels) : null;
+    if (
+      channels !== null &&
+      (!Number.isInteger(channels) || channels < 1 || channels > 8)
+    ) {
+      throw new Error("Invalid channel count");
+    }
+
+    return {
+      sourceLanguage,
+      sourceLanguageCode: sttLocale,
+      alternativeLanguageCodes: autoDetect
+        ? languageDetection.alternativeLanguageCodes
+        : [],
+      autoDetect,
+      lockLanguage: data.lockLanguage === true,
+      detectedLanguage: lockedLanguage,
+      requestedTargetLanguage: data.targetLanguage,
+      recipientId,
+      roomId,
+      sampleRateHertz,
+      encoding,
+      channels,
+    };
+  };
+
+  const createRecognitionNormalizer = (recognitionConfig, options) =>
+    createAudioNormalizer({
+      encoding: recognitionConfig.encoding,
+      sampleRateHertz: recognitionConfig.sampleRateHertz,
+      channels: recognitionConfig.channels,
+      targetSampleRateHertz: STT_TARGET_SAMPLE_RATE,
+      ...options,
+    });
+
+  const parseAudioContent = (audio) => {
+    const audioBase64 = normalizeAudioToBase64(audio);
+    const audioSizeInBytes = Buffer.from(audioBase64, "base64").length;
+    if (!audioSizeInBytes || audioSizeInBytes > MAX_AUDIO_BYTES) {
+      throw new Error("Audio payload size is invalid");
+    }
+    return audioBase64;
+  };
+
+  const parseAudioPayload = (data, senderId) => {
+    const recognitionConfig = parseRecognitionConfig(data, senderId);
+
+    return {
+      ...recognitionConfig,
+      audioBase64: parseAudioContent(data.audio),
+      sequenceId: data.sequenceId ?? null,
+    };
+  };
+
+  return (socket, runSafeHandler) => {
+    // A caption target is either a 1:1 recipient (`recipientId`) or a
+    // conference room (`roomId`).
+    const canCaptionTarget = (target) =>
+      target.roomId
+        ? authorizationPolicy.canSendRoomCaptions(socket.user, target.roomId)
+        : authorizationPolicy.canSendCaptions(socket.user, target.recipientId);
+
+    const authorizeCaptions = (target, extra = {}) => {
+      if (canCaptionTarget(target)) {
+        return true;
+      }
+
+      if (target.roomId) {
+        emitSignalError(
+          socket,
+          "FORBIDDEN",
+          "Captions can only be sent to a room you have joined",
+          { roomId: target.roomId, ...extra }
+        );
+      } else {
+        emitSignalError(
+          socket,
+          "FORBIDDEN",
+          "Captions can only be sent to the peer of an active call",
+          { to: target.recipientId, ...extra }
+        );
+      }
+      return false;
+    };
+
+    const getCaptionRecipients = (target) =>
+      target.roomId
+        ? roomRegistry
+            .getParticipants(target.roomId)
+            .filter((userId) => userId !== socket.user)
+        : [target.recipientId];
+
+    // Adds a task to one of the socket's queues (sttQueue, ttsQueue). A task
+    // that fails is logged and the queue goes on with the next one.
+    const queueTask = (queueName, task) => {
+      socket.data[queueName] = socket.data[queueName]
+        .then(task)
+        .catch((taskError) => {
+          getSocketLogger(socket).error("Queued task failed", {
+            queue: queueName,
+            error: taskError,
+          });
+        });
+      return socket.data[queueName];
+    };
+
+    // Recipients who turned on tts also get each translated caption as audio.
+    // Synthesis runs on its own queue so it never holds up the next caption,
+    // and each distinct text is synthesized once.
+    const deliverSpeech = (target, recipients, extra, log) => {
+      if (!recipients.length) {
+        return;
+      }
+
+      queueTask("ttsQueue", async () => {
+        const syntheses = new Map();
+        for (const { recipientId, targetLanguage, text } of recipients) {
+          const synthesisKey = `${targetLanguage}:${text}`;
+          try {
+            if (!syntheses.has(synthesisKey)) {
+              syntheses.set(
+                synthesisKey,
+                ttsProvider.synthesize({
+                  text,
+                  languageCode: languageMatrix.getSttLocale(targetLanguage),
+                })
+              );
+            }
+            const speech = await syntheses.get(synthesisKey);
+            socket.to(recipientId).emit("ttsAudio", {
+              audio: speech.audioContent,
+              encoding: speech.encoding,
+              sampleRateHertz: speech.sampleRateHertz,
+              mimeType: speech.mimeType,
+              language: targetLanguage,
+              text,
+              from: socket.user,
+              to: recipientId,
+              ...(target.roomId ? { roomId: target.roomId } : {}),
+              ...extra,
+            });
+          } catch (ttsError) {
+            log.error("TTS error", { recipientId, error: ttsError });
+            emitSttError(
+              socket,
+              "TTS_FAILED",
+              "Unable to synthesize this caption",
+              { from: socket.user, ...extra },
+              recipientId
+            );
+          }
+        }
+      });
+    };
+
+    // A transcript is translated once per distinct caption language and then
+    // sent to every recipient in the language they prefer; a language that
+    // fails to translate leaves only its recipients without the caption.
+    // What was delivered is appended to the call's (or room's) stored
+    // transcript.
+    const deliverCaptions = async (
+      target,
+      caption,
+      extra = {},
+      log = getSocketLogger(socket)
+    ) => {
+      const { text: transcript, startedAt } = caption;
+      const translations = new Map();
+      const delivered = new Map();
+      const speechRecipients = [];
+
+      for (const recipientId of getCaptionRecipients(target)) {
+        let targetLanguage;
+        try {
+          ({ targetLanguage } = resolvePipelineLanguages(socket.user, recipientId, {
+            language: target.sourceLanguageCode,
+            targetLanguage: target.requestedTargetLanguage,
+          }));
+        } catch (languageError) {
+          emitSttError(socket, languageError.code, languageError.message, {
+            to: recipientId,
+            ...extra,
+          });
+          continue;
+        }
+
+        if (!translations.has(targetLanguage)) {
+          translations.set(
+            targetLanguage,
+            translateTranscript(
+              transcript,
+              target.sourceLanguage,
+              targetLanguage
+            )
+          );
+        }
+        let translatedText;
+        try {
+          translatedText = await translations.get(targetLanguage);
+        } catch (translationError) {
+          log.error("Caption translation error", {
+            to: recipientId,
+            targetLanguage,
+            error: translationError,
+          });
+          emitSttError(
+            socket,
+            "CAPTION_TRANSLATION_FAILED",
+            "Unable to translate this caption",
+            { to: recipientId, ...extra }
+          );
+          continue;
+        }
+
+        // The call may have ended, or the sender left the room, meanwhile.
+        if (!canCaptionTarget(target)) {
+          return;
+        }
+
+        socket.to(recipientId).emit("sttResult", {
+          text: transcript,
+          translated: translatedText,
+          from: socket.user,
+          to: recipientId,
+          ...(target.roomId ? { roomId: target.roomId } : {}),
+          ...extra,
+        });
+        if (targetLanguage !== target.sourceLanguage) {
+          delivered.set(targetLanguage, translatedText);
+        }
+        if (preferenceStore.get(recipientId)?.tts) {
+          speechRecipients.push({
+            recipientId,
+            targetLanguage,
+            text: translatedText,
+          });
+        }
+      }
+      deliverSpeech(target, speechRecipients, extra, log);
+      log.debug("Captions delivered", {
+        sourceLanguage: target.sourceLanguage,
+        captionLanguages: [...translations.keys()],
+        text: transcript,
+      });
+
+      const transcriptId =
+        target.roomId ?? callRegistry.getCallForUser(socket.user)?.callId;
+      if (!transcriptId) {
+        return;
+      }
+      logTranscriptErrors(
+        transcriptStore.append(transcriptId, {
+          sequenceId: extra.sequenceId ?? null,
+          streamId: extra.streamId ?? null,
+          speaker: socket.user,
+          sourceLanguage: target.sourceLanguage,
+          text: transcript,
+          translations: Object.fromEntries(delivered),
+          startedAt,
+          endedAt: new Date().toISOString(),
+        }),
+        log
+      );
+    };
+
+    // Detected results carry their own source language. A language locked in
+    // for the call (by this result or an earlier one) wins over detection.
+    const resolveCaptionSource = (target, detectedLocale) => {
+      if (!target.autoDetect) {
+        return target;
+      }
+
+      const lockedLanguage = getLockedLanguage(socket.user, target);
+      const detectedLanguage =
+        lockedLanguage ??
+        languageMatrix.normalizeLanguageCode(detectedLocale) ??
+        languageMatrix.normalizeLanguageCode(target.sourceLanguageCode);
+      if (target.lockLanguage && !lockedLanguage) {
+        lockDetectedLanguage(socket.user, target, detectedLanguage);
+      }
+
+      return {
+        ...target,
+        sourceLanguage: detectedLanguage,
+        sourceLanguageCode: languageMatrix.getSttLocale(detectedLanguage),
+        detectedLanguage,
+      };
+    };
+
+    const getDetectionExtra = ({ detectedLanguage }) =>
+      detectedLanguage ? { detectedLanguage } : {};
+
+    // Every STT job (one-shot chunk or stream chunk) shares the per-socket
+    // queue, so back-pressure and rate limits apply to both modes alike.
+    // Tasks check the rate limit themselves, so silent chunks dropped before
+    // recognition do not count against it.
+    const isSttRateLimited = async (extra) => {
+      if (!(await isRateLimited(socket))) {
+        return false;
+      }
+      emitSttError(
+        socket,
+        "STT_RATE_LIMITED",
+        "Too many audio requests in a short time",
+        extra
+      );
+      return true;
+    };
+
+    const enqueueSttTask = (task) => {
+      if (isShuttingDown()) {
+        emitSttError(socket, "SERVER_SHUTTING_DOWN", "Server is shutting down");
+        return;
+      }
+      if (socket.data.pendingSttRequests >= MAX_STT_PENDING_REQUESTS) {
+        emitSttError(
+          socket,
+          "STT_BACKPRESSURE",
+          "Too many queued audio chunks"
+        );
+        return;
+      }
+
+      socket.data.pendingSttRequests += 1;
+
+      queueTask("sttQueue", task).finally(() => {
+        socket.data.pendingSttRequests = Math.max(
+          0,
+          socket.data.pendingSttRequests - 1
+        );
+      });
+    };
+
+    const reportSkippedChunk = (reason, sequenceId, extra = {}) => {
+      if (socket.data.reportSkipped) {
+        socket.emit("sttSkipped", {
+          reason,
+          sequenceId,
+          timestamp: new Date().toISOString(),
+          ...extra,
+        });
+      }
+    };
+
+    // sequenceIds count per call (or room), so chunks resent after a
+    // reconnect are dropped while the next call may start again at 0.
+    // Chunks come back in sequence order, some only later via onRelease.
+    const sequenceChunk = (target, sequenceId, item, onRelease) => {
+      const scopeId =
+        target.roomId ??
+        callRegistry.resolveCall(socket.user, { peerId: target.recipientId })
+          ?.callId;
+      return Number.isInteger(sequenceId) && scopeId
+        ? sequenceTracker.add(scopeId, socket.user, sequenceId, item, onRelease)
+        : {
+            duplicate: false,
+            late: false,
+            released: [{ item, sequenceId, gap: false }],
+          };
+    };
+
+    const recognizeUtterance = async (utterance) => {
+      if (!utterance || (await isSttRateLimited())) {
+        return;
+      }
+
+      const { context } = utterance;
+      // An utterance is logged under the request id of its first chunk.
+      const log = getSocketLogger(socket, {
+        requestId: context.requestId,
+        utteranceId: utterance.utteranceId,
+        roomId: context.roomId,
+      });
+      try {
+        const { transcript: transcription, languageCode } =
+          await observeDuration(sttDuration, () =>
+            speechProvider.recognize({
+              audioContent: utterance.audioContent.toString("base64"),
+              encoding: utterance.encoding,
+              sampleRateHertz: utterance.sampleRateHertz,
+              languageCode: context.sourceLanguageCode,
+              alternativeLanguageCodes: context.alternativeLanguageCodes,
+            })
+          );
+
+        log.debug("Utterance recognized", {
+          durationMs: utterance.durationMs,
+          languageCode,
+          transcript: transcription,
+        });
+        if (!transcription) {
+          return;
+        }
+
+        const captionTarget = resolveCaptionSource(context, languageCode);
+        await deliverCaptions(
+          captionTarget,
+          { text: transcription, startedAt: utterance.startedAt },
+          {
+            utteranceId: utterance.utteranceId,
+            sequenceId: utterance.firstSequenceId,
+            lastSequenceId: utterance.lastSequenceId,
+            ...getDetectionExtra(captionTarget),
+          },
+          log
+        );
+      } catch (processingError) {
+        log.error("STT processing error", { error: processingError });
+        emitSttError(
+          socket,
+          "STT_PROCESSING_FAILED",
+          "Unable to process this audio chunk",
+          { utteranceId: utterance.utteranceId }
+        );
+      }
+    };
+
+    // Pause flushes run on the STT queue so they keep their place in line.
+    const flushPendingUtterance = () => {
+      queueTask("sttQueue", () =>
+        recognizeUtterance(utteranceAssembler.take())
+      );
+    };
+
+    const utteranceAssembler = createUtteranceAssembler({
+      pauseMs: UTTERANCE_PAUSE_MS,
+      maxDurationMs: UTTERANCE_MAX_MS,
+      onPause: flushPendingUtterance,
+    });
+
+    // Silence ends the utterance being assembled.
+    const assembleChunks = async (released) => {
+      for (const { item: chunk, gap } of released) {
+        if (voiceActivityDetector.isSilent(chunk)) {
+          sttSkippedChunks.inc();
+          reportSkippedChunk("silence", chunk.sequenceId);
+          await recognizeUtterance(utteranceAssembler.take());
+          continue;
+        }
+        for (const utterance of utteranceAssembler.add({
+          ...chunk,
+          boundary: gap,
+        })) {
+          await recognizeUtterance(utterance);
+        }
+      }
+    };
+
+    // Chunks released once their reorder window passes queue up as well.
+    const assembleLater = (released) => {
+      queueTask("sttQueue", () => assembleChunks(released));
+    };
+
+    socket.on("audioRecording", runSafeHandler("audioRecording", async (data) => {
+      const receivedAt = new Date().toISOString();
+      const requestId = crypto.randomUUID();
+      enqueueSttTask(async () => {
+        let parsedPayload;
+        try {
+          parsedPayload = parseAudioPayload(data, socket.user);
+        } catch (validationError) {
+          emitSttError(
+            socket,
+            validationError.code || "STT_INVALID_PAYLOAD",
+            validationError.message
+          );
+          return;
+        }
+
+        if (!authorizeCaptions(parsedPayload)) {
+          return;
+        }
+
+        let normalizedAudio;
+        try {
+          normalizedAudio = await createRecognitionNormalizer(
+            parsedPayload
+          ).normalize(Buffer.from(parsedPayload.audioBase64, "base64"));
+        } catch (formatError) {
+          emitSttError(
+            socket,
+            formatError.code || "STT_INVALID_PAYLOAD",
+            formatError.message
+          );
+          return;
+        }
+
+        const { sequenceId } = parsedPayload;
+        getSocketLogger(socket, { requestId }).debug("Audio chunk received", {
+          sequenceId,
+          bytes: normalizedAudio.audioContent.length,
+          encoding: normalizedAudio.encoding,
+          sampleRateHertz: normalizedAudio.sampleRateHertz,
+        });
+        const chunk = {
+          ...normalizedAudio,
+          context: { ...parsedPayload, requestId },
+          groupKey: JSON.stringify([
+            parsedPayload.roomId,
+            parsedPayload.recipientId,
+            parsedPayload.sourceLanguageCode,
+            parsedPayload.autoDetect,
+            parsedPayload.requestedTargetLanguage,
+          ]),
+          sequenceId,
+          receivedAt,
+        };
+        const { duplicate, late, released } = sequenceChunk(
+          parsedPayload,
+          sequenceId,
+          chunk,
+          assembleLater
+        );
+        if (duplicate || late) {
+          reportSkippedChunk(duplicate ? "duplicate" : "late", sequenceId);
+          return;
+        }
+        await assembleChunks(released);
+      });
+    }));
+
+    // --- Streaming recognition ---
+    const closeSttStream = (stream) => {
+      stream.closed = true;
+      if (socket.data.sttStream === stream) {
+        socket.data.sttStream = null;
+      }
+      stream.session.removeAllListeners("data");
+      stream.session.destroy();
+    };
+
+    // Detaches right away so a new stream can start; already queued chunks
+    // are still written before the provider stream is closed.
+    const endSttStream = (stream) => {
+      socket.data.sttStream = null;
+      queueTask("sttQueue", () => {
+        stream.ended = true;
+        if (!stream.closed) {
+          stream.session.end();
+        }
+      });
+    };
+
+    const getStreamLogger = (stream, bindings) =>
+      getSocketLogger(socket, {
+        streamId: stream.streamId,
+        roomId: stream.roomId,
+        ...bindings,
+      });
+
+    const createStreamUtterance = () => ({
+      utteranceId: crypto.randomUUID(),
+      startedAt: new Date().toISOString(),
+    });
+
+    // Results name the chunk whose audio they reach, not the latest one.
+    const writeStreamChunks = (stream, released) => {
+      if (stream.closed || stream.ended) {
+        return;
+      }
+      for (const { item, sequenceId } of released) {
+        stream.utterance ??= createStreamUtterance();
+        stream.session.write(item, sequenceId ?? null);
+      }
+    };
+
+    const handleStreamResult = (stream, result) => {
+      const { transcript, isFinal, languageCode } = result;
+      if (!transcript || stream.closed) {
+        return;
+      }
+
+      if (!authorizeCaptions(stream, { streamId: stream.streamId })) {
+        closeSttStream(stream);
+        return;
+      }
+
+      // Results of audio written before the previous final start the next
+      // utterance themselves.
+      stream.utterance ??= createStreamUtterance();
+      if (!isFinal) {
+        getCaptionRecipients(stream).forEach((recipientId) => {
+          socket.to(recipientId).emit("sttPartial", {
+            text: transcript,
+            from: socket.user,
+            to: recipientId,
+            ...(stream.roomId ? { roomId: stream.roomId } : {}),
+            streamId: stream.streamId,
+            utteranceId: stream.utterance.utteranceId,
+            sequenceId: result.sequenceId ?? null,
+          });
+        });
+        return;
+      }
+
+      // Finals are translated one at a time so captions keep utterance order.
+      // The caption language is resolved per final, so preference changes
+      // made mid-stream apply to the next utterance.
+      const sequenceId = result.sequenceId ?? null;
+      const { utteranceId, startedAt } = stream.utterance;
+      stream.utterance = null;
+      const log = getStreamLogger(stream, { utteranceId });
+      stream.resultQueue = stream.resultQueue.then(async () => {
+        try {
+          const captionTarget = resolveCaptionSource(stream, languageCode);
+          await deliverCaptions(
+            captionTarget,
+            { text: transcript, startedAt },
+            {
+              utteranceId,
+              sequenceId,
+              streamId: stream.streamId,
+              ...getDetectionExtra(captionTarget),
+            },
+            log
+          );
+        } catch (processingError) {
+          log.error("STT stream translation error", { error: processingError });
+          emitSttError(
+            socket,
+            "STT_PROCESSING_FAILED",
+            "Unable to process this audio chunk",
+            { streamId: stream.streamId }
+          );
+        }
+      });
+    };
+
+    socket.on("sttStreamStart", runSafeHandler("sttStreamStart", async (data) => {
+      if (isShuttingDown()) {
+        emitSttError(socket, "SERVER_SHUTTING_DOWN", "Server is shutting down");
+        return;
+      }
+      if (socket.data.sttStream) {
+        emitSttError(
+          socket,
+          "STT_STREAM_ACTIVE",
+          "A stream is already active",
+          { streamId: socket.data.sttStream.streamId }
+        );
+        return;
+      }
+
+      let recognitionConfig;
+      try {
+        recognitionConfig = parseRecognitionConfig(data, socket.user);
+      } catch (validationError) {
+        emitSttError(
+          socket,
+          validationError.code || "STT_INVALID_PAYLOAD",
+          validationError.message
+        );
+        return;
+      }
+
+      if (!authorizeCaptions(recognitionConfig)) {
+        return;
+      }
+
+      // The provider session is opened before any audio arrives, so chunks
+      // are converted to the format declared at start.
+      const normalizer = createRecognitionNormalizer(recognitionConfig, {
+        fixedOutput: true,
+      });
+      const stream = {
+        ...recognitionConfig,
+        streamId: crypto.randomUUID(),
+        utterance: null,
+        closed: false,
+        resultQueue: Promise.resolve(),
+        normalizer,
+        session: speechProvider.streamingRecognize({
+          ...normalizer.outputFormat,
+          languageCode: recognitionConfig.sourceLanguageCode,
+          alternativeLanguageCodes: recognitionConfig.alternativeLanguageCodes,
+        }),
+      };
+
+      stream.session
+        .on("data", (result) => handleStreamResult(stream, result))
+        .on("error", (streamError) => {
+          getStreamLogger(stream).error("STT stream error", {
+            error: streamError,
+          });
+          closeSttStream(stream);
+          emitSttError(socket, "STT_STREAM_FAILED", "Streaming recognition failed", {
+            streamId: stream.streamId,
+          });
+        })
+        .on("end", () => {
+          stream.sessionEnded = true;
+          stream.resultQueue.then(() => {
+            socket.emit("sttStreamEnded", { streamId: stream.streamId });
+          });
+        })
+        // The provider stream may close without ending, e.g. when its
+        // connection drops.
+        .on("close", () => {
+          if (stream.sessionEnded || stream.closed) {
+            return;
+          }
+          getStreamLogger(stream).warn("STT stream closed before ending");
+          closeSttStream(stream);
+          emitSttError(socket, "STT_STREAM_FAILED", "Streaming recognition failed", {
+            streamId: stream.streamId,
+          });
+        });
+
+      socket.data.sttStream = stream;
+      getStreamLogger(stream).info("STT stream started", {
+        recipientId: stream.recipientId,
+        ...normalizer.outputFormat,
+      });
+      socket.emit("sttStreamStarted", { streamId: stream.streamId });
+    }));
+
+    socket.on("sttStreamChunk", runSafeHandler("sttStreamChunk", async (data) => {
+      const stream = socket.data.sttStream;
+      if (!stream) {
+        emitSttError(socket, "STT_STREAM_NOT_STARTED", "No active stream");
+        return;
+      }
+
+      enqueueSttTask(async () => {
+        if (stream.closed || (await isSttRateLimited())) {
+          return;
+        }
+
+        let audioBase64;
+        try {
+          if (!data || typeof data !== "object") {
+            throw new Error("Invalid payload");
+          }
+          audioBase64 = parseAudioContent(data.audio);
+        } catch (validationError) {
+          emitSttError(socket, "STT_INVALID_PAYLOAD", validationError.message, {
+            streamId: stream.streamId,
+          });
+          return;
+        }
+
+        let normalizedAudio;
+        try {
+          normalizedAudio = await stream.normalizer.normalize(
+            Buffer.from(audioBase64, "base64")
+          );
+        } catch (formatError) {
+          emitSttError(
+            socket,
+            formatError.code || "STT_INVALID_PAYLOAD",
+            formatError.message,
+            { streamId: stream.streamId }
+          );
+          return;
+        }
+
+        // The stream may have failed while this chunk was being converted.
+        if (stream.closed || !normalizedAudio.audioContent.length) {
+          return;
+        }
+        const { duplicate, late, released } = sequenceChunk(
+          stream,
+          data.sequenceId,
+          normalizedAudio.audioContent,
+          (later) => {
+            queueTask("sttQueue", () => writeStreamChunks(stream, later));
+          }
+        );
+        if (duplicate || late) {
+          reportSkippedChunk(
+            duplicate ? "duplicate" : "late",
+            data.sequenceId,
+            { streamId: stream.streamId }
+          );
+          return;
+        }
+        writeStreamChunks(stream, released);
+      });
+    }));
+
+    socket.on("sttStreamEnd", runSafeHandler("sttStreamEnd", async () => {
+      const stream = socket.data.sttStream;
+      if (!stream) {
+        emitSttError(socket, "STT_STREAM_NOT_STARTED", "No active stream");
+        return;
+      }
+
+      endSttStream(stream);
+    }));
+
+    // Queues are promise chains that may grow while they run.
+    const waitForQueue = async (queueName) => {
+      let queue;
+      do {
+        queue = socket.data[queueName];
+        await queue.catch(() => {});
+      } while (queue !== socket.data[queueName]);
+    };
+
+    // On shutdown: finishes queued audio and the utterance being assembled,
+    // lets an open stream send its final results, then waits for speech.
+    socket.data.drain = async () => {
+      const stream = socket.data.sttStream;
+      const streamFinished =
+        stream &&
+        new Promise((resolve) => {
+          stream.session.once("end", resolve).once("close", resolve);
+        });
+      if (stream) {
+        endSttStream(stream);
+      }
+
+      await waitForQueue("sttQueue");
+      if (utteranceAssembler.hasPending()) {
+        flushPendingUtterance();
+        await waitForQueue("sttQueue");
+      }
+      if (streamFinished) {
+        await streamFinished;
+        await stream.resultQueue;
+      }
+      await waitForQueue("ttsQueue");
+    };
+
+    // Stops streaming and sends the captions of the last utterance.
+    const handleDisconnect = () => {
+      if (socket.data.sttStream) {
+        closeSttStream(socket.data.sttStream);
+      }
+      // Captions of the last utterance still reach the other side.
+      if (utteranceAssembler.hasPending()) {
+        flushPendingUtterance();
+      }
+    };
+
+    return { handleDisconnect };
+  };
+};
+
+module.exports = {
+  ALLOWED_ENCODINGS,
+  createSttHandlers,
+};
@@ -0,0 +1,77 @@
+const { createMemoryStateHub, createMemoryStateStore } = require("./memory");
+const createRedisStateStore = require("./redis");
+
+/**
+ * Shared state for running several instances. Every store exposes:
+ *   incr(key, { ttlMs }) -> Promise<number>
+ *     the expiry is set when the key is created, for fixed-window counters
+ *   publish(channel, message) -> Promise<void>
+ *     JSON messages, delivered to every subscriber including this instance
+ *   subscribe(channel, handler) -> Promise<void>
+ *   createAdapter() -> Socket.IO adapter, so room emits reach every instance
+ *   checkReadiness() -> Promise<{ ready, reason? }>
+ *   close() -> Promise<void>
+ */
+const STATE_STORES = {
+  memory: createMemoryStateStore,
+  redis: createRedisStateStore,
+};
+
+const createStateStore = (name, options = {}) => {
+  const normalizedName = String(name || "memory").trim().toLowerCase();
+  const factory = STATE_STORES[normalizedName];
+  if (!factory) {
+    throw new Error(
+      `Unknown state store "${name}" (expected one of: ${Object.keys(
+        STATE_STORES
+      ).join(", ")})`
+    );
+  }
+  return factory(options);
+};
+
+/**
+ * Keeps an in-memory registry (calls, rooms, preferences, offline queues)
+ * the same on every instance. The registry reports its own changes through
+ * `publish`; changes from other instances go to `registry.applyChange`.
+ * `attach` also asks the running instances for their `snapshot()`, so state
+ * created before this instance started is known. Snapshot changes may
+ * arrive from several instances, so applying one twice must be harmless.
+ */
+const createReplicator = ({ store, channel, instanceId, logger }) => {
+  const send = (payload) =>
+    store
+      .publish(channel, { origin: instanceId, ...payload })
+      .catch((error) => {
+        logger.warn("State replication failed", { channel, error });
+      });
+
+  const publish = (change) => send({ change });
+
+  const attach = async (registry) => {
+    await store.subscribe(channel, ({ origin, target, change, sync }) => {
+      if (origin === instanceId || (target && target !== instanceId)) {
+        return;
+      }
+      if (sync) {
+        registry
+          .snapshot()
+          .forEach((snapshotChange) =>
+            send({ target: origin, change: snapshotChange })
+          );
+        return;
+      }
+      registry.applyChange(change);
+    });
+    await send({ sync: true });
+  };
+
+  return { attach, publish };
+};
+
+module.exports = {
+  STATE_STORES,
+  createMemoryStateHub,
+  createReplicator,
+  createStateStore,
+};
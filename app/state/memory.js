@@ -0,0 +1,130 @@
+const { ClusterAdapterWithHeartbeat } = require("socket.io-adapter");
+
+// How often incr() looks for expired counters to delete.
+const COUNTER_SWEEP_INTERVAL_MS = 60000;
+
+/**
+ * What several memory stores share when they stand in for instances of one
+ * deployment (tests): counters and pub/sub channels. Messages are delivered
+ * asynchronously, like over a network.
+ */
+const createMemoryStateHub = () => {
+  const counters = new Map();
+  const channels = new Map();
+  let nextSweepAt = 0;
+
+  // Rate limit keys carry their window and never come back once it has
+  // passed, so expired counters are deleted rather than left to be reused.
+  const sweepCounters = (now) => {
+    if (now < nextSweepAt) {
+      return;
+    }
+    nextSweepAt = now + COUNTER_SWEEP_INTERVAL_MS;
+    counters.forEach((entry, key) => {
+      if (entry.expiresAt <= now) {
+        counters.delete(key);
+      }
+    });
+  };
+
+  const subscribe = (channel, handler) => {
+    if (!channels.has(channel)) {
+      channels.set(channel, new Set());
+    }
+    channels.get(channel).add(handler);
+    return () => channels.get(channel)?.delete(handler);
+  };
+
+  const deliver = (channel, message) => {
+    const handlers = [...(channels.get(channel) || [])];
+    setImmediate(() => handlers.forEach((handler) => handler(message)));
+  };
+
+  return { counters, deliver, subscribe, sweepCounters };
+};
+
+class MemoryClusterAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, hub) {
+    super(nsp, {});
+    this.hub = hub;
+    this.channel = `socket.io#${nsp.name}`;
+    this.unsubscribers = [
+      hub.subscribe(this.channel, (message) => this.onMessage(message)),
+      hub.subscribe(`${this.channel}#${this.uid}`, (response) =>
+        this.onResponse(response)
+      ),
+    ];
+    // Socket.IO does not call init(); it announces this node to the others.
+    this.init();
+  }
+
+  doPublish(message) {
+    this.hub.deliver(this.channel, message);
+    return Promise.resolve("");
+  }
+
+  doPublishResponse(requesterUid, response) {
+    this.hub.deliver(`${this.channel}#${requesterUid}`, response);
+    return Promise.resolve();
+  }
+
+  close() {
+    super.close();
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }
+}
+
+/**
+ * Keeps shared state in process memory. Stores created with the same `hub`
+ * behave like instances sharing one Redis, which is how tests run several
+ * servers in one process; without one the store serves a single instance.
+ * Messages go through JSON, as they would over Redis.
+ */
+const createMemoryStateStore = ({ hub = createMemoryStateHub() } = {}) => {
+  const incr = async (key, { ttlMs } = {}) => {
+    const now = Date.now();
+    hub.sweepCounters(now);
+    const entry = hub.counters.get(key);
+    if (!entry || entry.expiresAt <= now) {
+      hub.counters.set(key, {
+        value: 1,
+        expiresAt: ttlMs ? now + ttlMs : Infinity,
+      });
+      return 1;
+    }
+    entry.value += 1;
+    return entry.value;
+  };
+
+  const publish = async (channel, message) => {
+    hub.deliver(`state#${channel}`, JSON.stringify(message));
+  };
+
+  const subscribe = async (channel, handler) => {
+    hub.subscribe(`state#${channel}`, (payload) =>
+      handler(JSON.parse(payload))
+    );
+  };
+
+  const createAdapter = () =>
+    class extends MemoryClusterAdapter {
+      constructor(nsp) {
+        super(nsp, hub);
+      }
+    };
+
+  return {
+    name: "memory",
+    checkReadiness: async () => ({ ready: true }),
+    close: async () => {},
+    createAdapter,
+    incr,
+    publish,
+    subscribe,
+  };
+};
+
+module.exports = {
+  createMemoryStateHub,
+  createMemoryStateStore,
+};
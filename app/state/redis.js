@@ -0,0 +1,85 @@
+const {
+  createAdapter: createRedisAdapter,
+} = require("@socket.io/redis-adapter");
+const { createClient } = require("redis");
+const { createLogger } = require("../logger");
+
+/**
+ * Keeps shared state in Redis so several instances behind a load balancer
+ * see the same counters, and broadcasts and registry changes reach all of
+ * them. One connection runs commands, a second one holds subscriptions
+ * (it is shared with the Socket.IO adapter). Commands issued while Redis
+ * is unreachable fail at once instead of waiting for it to reconnect, so
+ * callers can carry on without it; subscriptions wait for the connection
+ * and are restored when it comes back.
+ */
+const createRedisStateStore = ({
+  url = "redis://localhost:6379",
+  keyPrefix = "livetranslate:",
+  logger = createLogger(),
+} = {}) => {
+  const client = createClient({ url, disableOfflineQueue: true });
+  const subscriber = client.duplicate({ disableOfflineQueue: false });
+  const [clientConnected] = [client, subscriber].map((connection) => {
+    connection.on("error", (error) => {
+      logger.warn("Redis connection error", { error });
+    });
+    return connection.connect().catch((error) => {
+      logger.error("Redis connection failed", { error });
+    });
+  });
+
+  const incr = async (key, { ttlMs } = {}) => {
+    const prefixedKey = `${keyPrefix}${key}`;
+    if (!ttlMs) {
+      return client.incr(prefixedKey);
+    }
+    // One transaction, so a counter is never left behind without its
+    // expiry; NX keeps the window from being extended on later hits.
+    const [value] = await client
+      .multi()
+      .incr(prefixedKey)
+      .pExpire(prefixedKey, ttlMs, "NX")
+      .exec();
+    return value;
+  };
+
+  // Messages published before the first connection, such as the snapshot
+  // request at startup, wait for it.
+  const publish = async (channel, message) => {
+    await clientConnected;
+    await client.publish(`${keyPrefix}${channel}`, JSON.stringify(message));
+  };
+
+  const subscribe = async (channel, handler) => {
+    await subscriber.subscribe(`${keyPrefix}${channel}`, (payload) =>
+      handler(JSON.parse(payload))
+    );
+  };
+
+  const checkReadiness = async () =>
+    client.isReady && subscriber.isReady
+      ? { ready: true }
+      : { ready: false, reason: "Redis is not connected" };
+
+  const close = async () => {
+    await Promise.all(
+      [client, subscriber]
+        .filter((connection) => connection.isOpen)
+        .map((connection) => connection.close())
+    );
+  };
+
+  return {
+    name: "redis",
+    checkReadiness,
+    close,
+    createAdapter: () =>
+      createRedisAdapter(client, subscriber, { key: `${keyPrefix}socket.io` }),
+    incr,
+    publish,
+    subscribe,
+  };
+};
+
+module.exports = createRedisStateStore;
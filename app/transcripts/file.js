@@ -0,0 +1,117 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+// Call and room ids are UUIDs; anything else could escape the directory.
+const SAFE_CALL_ID = /^[A-Za-z0-9_-]{1,128}$/;
+
+/**
+ * Persists one JSON file per call under `directory`. The most recently used
+ * `maxCachedCalls` transcripts stay cached in memory, and writes for the
+ * same call are serialized so a slow disk never reorders entries.
+ */
+const createFileTranscriptStore = ({
+  directory = path.join(process.cwd(), "data", "transcripts"),
+  maxCachedCalls = 100,
+} = {}) => {
+  const transcripts = new Map();
+  const writeQueues = new Map();
+
+  const getFilePath = (callId) => {
+    if (!SAFE_CALL_ID.test(callId)) {
+      throw new Error(`Invalid call id "${callId}"`);
+    }
+    return path.join(directory, `${callId}.json`);
+  };
+
+  const cache = (callId, transcript) => {
+    transcripts.delete(callId);
+    transcripts.set(callId, transcript);
+    if (transcripts.size > maxCachedCalls) {
+      transcripts.delete(transcripts.keys().next().value);
+    }
+    return transcript;
+  };
+
+  const load = async (callId) => {
+    if (transcripts.has(callId)) {
+      return cache(callId, transcripts.get(callId));
+    }
+
+    // An evicted transcript may still have a write in flight.
+    await writeQueues.get(callId);
+    let transcript;
+    try {
+      transcript = JSON.parse(await fs.readFile(getFilePath(callId), "utf8"));
+    } catch (readError) {
+      if (readError.code !== "ENOENT") {
+        throw readError;
+      }
+      return null;
+    }
+
+    // Another caller may have loaded or created it while we were reading.
+    return cache(callId, transcripts.get(callId) ?? transcript);
+  };
+
+  const getOrCreate = async (callId) => {
+    const existing = await load(callId);
+    if (existing) {
+      return existing;
+    }
+    return cache(
+      callId,
+      transcripts.get(callId) ?? {
+        callId,
+        createdAt: new Date().toISOString(),
+        participants: [],
+        entries: [],
+      }
+    );
+  };
+
+  const persist = (transcript) => {
+    const { callId } = transcript;
+    const previousWrite = writeQueues.get(callId) || Promise.resolve();
+    const write = previousWrite.then(async () => {
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(getFilePath(callId), JSON.stringify(transcript));
+    });
+    const queued = write
+      .catch(() => {})
+      .then(() => {
+        if (writeQueues.get(callId) === queued) {
+          writeQueues.delete(callId);
+        }
+      });
+    writeQueues.set(callId, queued);
+    return write;
+  };
+
+  const addParticipants = async (callId, userIds) => {
+    const transcript = await getOrCreate(callId);
+    userIds.forEach((userId) => {
+      if (!transcript.participants.includes(userId)) {
+        transcript.participants.push(userId);
+      }
+    });
+    await persist(transcript);
+  };
+
+  const append = async (callId, entry) => {
+    const transcript = await getOrCreate(callId);
+    transcript.entries.push(entry);
+    await persist(transcript);
+  };
+
+  const get = async (callId) => {
+    if (!SAFE_CALL_ID.test(callId)) {
+      return null;
+    }
+    const transcript = await load(callId);
+    return transcript ? structuredClone(transcript) : null;
+  };
+
+  return { name: "file", addParticipants, append, get };
+};
+
+module.exports = createFileTranscriptStore;
@@ -0,0 +1,91 @@
+// Captions shorter than this are hard to read in subtitle players.
+const MIN_CUE_DURATION_MS = 1000;
+
+const pad = (value, length = 2) => String(value).padStart(length, "0");
+
+const formatClock = (offsetMs, millisecondSeparator) => {
+  const totalMs = Math.max(0, Math.round(offsetMs));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const seconds = Math.floor((totalMs % 60000) / 1000);
+  const clock = [hours, minutes, seconds].map((part) => pad(part)).join(":");
+  return `${clock}${millisecondSeparator}${pad(totalMs % 1000, 3)}`;
+};
+
+// Cue times are offsets from the start of the transcript.
+const getCueTimes = (transcript, entry) => {
+  const origin = Date.parse(transcript.createdAt);
+  const start = Date.parse(entry.startedAt) - origin;
+  const end = Math.max(
+    Date.parse(entry.endedAt) - origin,
+    start + MIN_CUE_DURATION_MS
+  );
+  return { start, end };
+};
+
+const getTranslationLines = (entry) =>
+  Object.entries(entry.translations || {}).map(
+    ([language, text]) => `[${language}] ${text}`
+  );
+
+const escapeVttText = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+
+const toJson = (transcript) => JSON.stringify(transcript, null, 2);
+
+const toSrt = (transcript) =>
+  transcript.entries
+    .map((entry, index) => {
+      const { start, end } = getCueTimes(transcript, entry);
+      return [
+        index + 1,
+        `${formatClock(start, ",")} --> ${formatClock(end, ",")}`,
+        `${entry.speaker}: ${entry.text}`,
+        ...getTranslationLines(entry),
+      ].join("\n");
+    })
+    .join("\n\n")
+    .concat("\n");
+
+const toVtt = (transcript) =>
+  ["WEBVTT"]
+    .concat(
+      transcript.entries.map((entry) => {
+        const { start, end } = getCueTimes(transcript, entry);
+        return [
+          `${formatClock(start, ".")} --> ${formatClock(end, ".")}`,
+          `<v ${escapeVttText(entry.speaker)}>${escapeVttText(entry.text)}`,
+          ...getTranslationLines(entry).map(escapeVttText),
+        ].join("\n");
+      })
+    )
+    .join("\n\n")
+    .concat("\n");
+
+const toTxt = (transcript) =>
+  transcript.entries
+    .map((entry) => {
+      const { start } = getCueTimes(transcript, entry);
+      return [
+        `[${formatClock(start, ".").slice(0, 8)}] ${entry.speaker} (${
+          entry.sourceLanguage
+        }): ${entry.text}`,
+        ...getTranslationLines(entry).map((line) => `    ${line}`),
+      ].join("\n");
+    })
+    .join("\n")
+    .concat("\n");
+
+const TRANSCRIPT_FORMATS = {
+  json: { contentType: "application/json", render: toJson },
+  srt: { contentType: "application/x-subrip", render: toSrt },
+  txt: { contentType: "text/plain", render: toTxt },
+  vtt: { contentType: "text/vtt", render: toVtt },
+};
+
+module.exports = {
+  TRANSCRIPT_FORMATS,
+};
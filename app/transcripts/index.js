@@ -0,0 +1,34 @@
+const createFileTranscriptStore = require("./file");
+const createMemoryTranscriptStore = require("./memory");
+
+/**
+ * Transcript stores. Every store exposes:
+ *   addParticipants(callId, userIds) -> Promise<void>
+ *   append(callId, entry) -> Promise<void>
+ *     entry: { sequenceId, streamId, speaker, sourceLanguage, text,
+ *              translations: { [language]: text }, startedAt, endedAt }
+ *   get(callId)
+ *     -> Promise<{ callId, createdAt, participants, entries } | null>
+ */
+const TRANSCRIPT_STORES = {
+  file: createFileTranscriptStore,
+  memory: createMemoryTranscriptStore,
+};
+
+const createTranscriptStore = (name, options = {}) => {
+  const normalizedName = String(name || "memory").trim().toLowerCase();
+  const factory = TRANSCRIPT_STORES[normalizedName];
+  if (!factory) {
+    throw new Error(
+      `Unknown transcript store "${name}" (expected one of: ${Object.keys(
+        TRANSCRIPT_STORES
+      ).join(", ")})`
+    );
+  }
+  return factory(options);
+};
+
+module.exports = {
+  TRANSCRIPT_STORES,
+  createTranscriptStore,
+};
@@ -0,0 +1,46 @@
+/**
+ * Keeps transcripts in process memory. Only the newest `maxCalls`
+ * transcripts are kept; the oldest is evicted first.
+ */
+const createMemoryTranscriptStore = ({ maxCalls = 500 } = {}) => {
+  const transcripts = new Map();
+
+  const getOrCreate = (callId) => {
+    let transcript = transcripts.get(callId);
+    if (!transcript) {
+      transcript = {
+        callId,
+        createdAt: new Date().toISOString(),
+        participants: [],
+        entries: [],
+      };
+      transcripts.set(callId, transcript);
+      if (transcripts.size > maxCalls) {
+        transcripts.delete(transcripts.keys().next().value);
+      }
+    }
+    return transcript;
+  };
+
+  const addParticipants = async (callId, userIds) => {
+    const transcript = getOrCreate(callId);
+    userIds.forEach((userId) => {
+      if (!transcript.participants.includes(userId)) {
+        transcript.participants.push(userId);
+      }
+    });
+  };
+
+  const append = async (callId, entry) => {
+    getOrCreate(callId).entries.push(entry);
+  };
+
+  const get = async (callId) => {
+    const transcript = transcripts.get(callId);
+    return transcript ? structuredClone(transcript) : null;
+  };
+
+  return { name: "memory", addParticipants, append, get };
+};
+
+module.exports = createMemoryTranscriptStore;
@@ -0,0 +1,57 @@
+const express = require("express");
+
+const { requireAuth } = require("../auth");
+const { TRANSCRIPT_FORMATS } = require("./formats");
+
+/**
+ * GET /calls/:callId/transcript?format=json|srt|vtt|txt
+ * Only participants of the call (or conference room) may export it.
+ */
+const createTranscriptRouter = ({ store, authSecret }) => {
+  const router = express.Router();
+
+  router.get(
+    "/calls/:callId/transcript",
+    requireAuth(authSecret),
+    async (req, res) => {
+      const format = String(req.query.format || "json").toLowerCase();
+      const formatter = TRANSCRIPT_FORMATS[format];
+      if (!formatter) {
+        res.status(400).json({
+          code: "INVALID_TRANSCRIPT_FORMAT",
+          message: `format must be one of: ${Object.keys(
+            TRANSCRIPT_FORMATS
+          ).join(", ")}`,
+        });
+        return;
+      }
+
+      const transcript = await store.get(req.params.callId);
+      if (!transcript) {
+        res
+          .status(404)
+          .json({ code: "TRANSCRIPT_NOT_FOUND", message: "Unknown call" });
+        return;
+      }
+
+      if (!transcript.participants.includes(req.user)) {
+        res.status(403).json({
+          code: "FORBIDDEN",
+          message: "Only call participants can export this transcript",
+        });
+        return;
+      }
+
+      res
+        .type(formatter.contentType)
+        .attachment(`transcript-${transcript.callId}.${format}`)
+        .send(formatter.render(transcript));
+    }
+  );
+
+  return router;
+};
+
+module.exports = {
+  createTranscriptRouter,
+};
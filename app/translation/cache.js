@@ -0,0 +1,52 @@
+/**
+ * Least-recently-used cache of finished translations with hit/miss
+ * counters. A `maxEntries` of 0 disables caching but still counts misses.
+ */
+const createTranslationCache = ({ maxEntries = 1000 } = {}) => {
+  const entries = new Map();
+  let hits = 0;
+  let misses = 0;
+
+  const get = (key) => {
+    if (!entries.has(key)) {
+      misses += 1;
+      return undefined;
+    }
+
+    hits += 1;
+    const value = entries.get(key);
+    // Re-inserting moves the key to the most recently used end.
+    entries.delete(key);
+    entries.set(key, value);
+    return value;
+  };
+
+  const set = (key, value) => {
+    if (maxEntries <= 0) {
+      return;
+    }
+    entries.delete(key);
+    entries.set(key, value);
+    if (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  const clear = () => {
+    entries.clear();
+  };
+
+  const stats = () => ({
+    hits,
+    misses,
+    hitRate: hits + misses ? hits / (hits + misses) : 0,
+    size: entries.size,
+    maxEntries,
+  });
+
+  return { clear, get, set, stats };
+};
+
+module.exports = {
+  createTranslationCache,
+};
@@ -0,0 +1,185 @@
+const crypto = require("crypto");
+
+const { createReplicatedMap } = require("../replicatedStore");
+
+const createGlossaryError = (message) => {
+  const glossaryError = new Error(message);
+  glossaryError.code = "INVALID_GLOSSARY_ENTRY";
+  return glossaryError;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Placeholders survive machine translation unchanged; glossary terms are
+// swapped for them before translating and restored afterwards.
+const toPlaceholder = (index) => `[[${index}]]`;
+const PLACEHOLDER_PATTERN = /\[\[\s*(\d+)\s*\]\]/g;
+
+/**
+ * Fixed term translations per language direction, e.g. "day off" ->
+ * "ပိတ်ရက်" for en -> my. Terms match case-insensitively; latin terms only
+ * match whole words. Edits reach other instances like the other stores'
+ * changes (see app/replicatedStore.js); an entry from another instance
+ * replaces the local one for the same term and direction.
+ */
+const createGlossary = ({
+  entries = [],
+  normalizeLanguageCode = (code) => code,
+  onChange,
+} = {}) => {
+  const entriesById = createReplicatedMap({ onChange });
+  let version = 0;
+
+  const getEntryKey = ({ sourceLanguage, targetLanguage, term }) =>
+    `${sourceLanguage}:${targetLanguage}:${term.toLowerCase()}`;
+
+  const normalizeEntry = (data) => {
+    if (!data || typeof data !== "object") {
+      throw createGlossaryError("Glossary entry must be an object");
+    }
+
+    const sourceLanguage = normalizeLanguageCode(data.sourceLanguage);
+    const targetLanguage = normalizeLanguageCode(data.targetLanguage);
+    if (!sourceLanguage || !targetLanguage) {
+      throw createGlossaryError(
+        "sourceLanguage and targetLanguage must be supported languages"
+      );
+    }
+    if (sourceLanguage === targetLanguage) {
+      throw createGlossaryError(
+        "sourceLanguage and targetLanguage must differ"
+      );
+    }
+
+    const [term, translation] = [data.term, data.translation].map((value) =>
+      typeof value === "string" ? value.trim().replace(/\s+/g, " ") : ""
+    );
+    if (!term || !translation) {
+      throw createGlossaryError("term and translation are required");
+    }
+
+    return { sourceLanguage, targetLanguage, term, translation };
+  };
+
+  const list = () => entriesById.values().map((entry) => ({ ...entry }));
+
+  const findByKey = (key) =>
+    entriesById.values().find((entry) => getEntryKey(entry) === key);
+
+  // The entry to store for `data`, keeping the id of the same term.
+  const prepare = (data) => {
+    const normalized = normalizeEntry(data);
+    const existing = findByKey(getEntryKey(normalized));
+    const entry = {
+      id: existing?.id ?? data.id ?? crypto.randomUUID(),
+      ...normalized,
+      updatedAt: new Date().toISOString(),
+    };
+    return { entry, created: !existing };
+  };
+
+  // Adds an entry, or replaces the translation of the same term and direction.
+  const upsert = (data) => {
+    const { entry, created } = prepare(data);
+    entriesById.set(entry.id, entry);
+    version += 1;
+    return { entry: { ...entry }, created };
+  };
+
+  const remove = (id) => {
+    if (!entriesById.get(id)) {
+      return false;
+    }
+    entriesById.delete(id);
+    version += 1;
+    return true;
+  };
+
+  const applyChange = (change) => {
+    const existing =
+      change.type === "set" && findByKey(getEntryKey(change.value));
+    if (existing && existing.id !== change.key) {
+      entriesById.applyChange({ type: "delete", key: existing.id });
+    }
+    entriesById.applyChange(change);
+    version += 1;
+  };
+
+  const getMatcher = (sourceLanguage, targetLanguage) => {
+    const terms = entriesById
+      .values()
+      .filter(
+        (entry) =>
+          entry.sourceLanguage === sourceLanguage &&
+          entry.targetLanguage === targetLanguage
+      )
+      // Longest first, so "day off work" wins over "day off".
+      .sort((a, b) => b.term.length - a.term.length);
+    if (!terms.length) {
+      return null;
+    }
+
+    const alternatives = terms.map(({ term }) => {
+      const pattern = escapeRegExp(term).replace(/ /g, "\\s+");
+      const start = /^[A-Za-z0-9]/.test(term) ? "(?<![A-Za-z0-9])" : "";
+      const end = /[A-Za-z0-9]$/.test(term) ? "(?![A-Za-z0-9])" : "";
+      return `${start}${pattern}${end}`;
+    });
+    return {
+      pattern: new RegExp(alternatives.join("|"), "gi"),
+      translations: new Map(
+        terms.map((entry) => [entry.term.toLowerCase(), entry.translation])
+      ),
+    };
+  };
+
+  /**
+   * Replaces glossary terms with placeholders. Returns the text to send to
+   * the translator and `restore(translatedText)` to put the fixed
+   * translations back.
+   */
+  const protect = (text, sourceLanguage, targetLanguage) => {
+    const matcher = getMatcher(sourceLanguage, targetLanguage);
+    const replacements = [];
+    const protectedText = matcher
+      ? text.replace(matcher.pattern, (match) => {
+          replacements.push(
+            matcher.translations.get(match.replace(/\s+/g, " ").toLowerCase())
+          );
+          return toPlaceholder(replacements.length - 1);
+        })
+      : text;
+
+    const restore = (translatedText) =>
+      replacements.length
+        ? translatedText.replace(
+            PLACEHOLDER_PATTERN,
+            (placeholder, index) => replacements[Number(index)] ?? placeholder
+          )
+        : translatedText;
+
+    return { text: protectedText, restore };
+  };
+
+  // Bumped on every change so cached translations can be told apart.
+  const getVersion = () => version;
+
+  entries.forEach((data) => {
+    const { entry } = prepare(data);
+    entriesById.applyChange({ type: "set", key: entry.id, value: entry });
+  });
+
+  return {
+    applyChange,
+    getVersion,
+    list,
+    protect,
+    remove,
+    snapshot: entriesById.snapshot,
+    upsert,
+  };
+};
+
+module.exports = {
+  createGlossary,
+};
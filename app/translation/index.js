@@ -0,0 +1,56 @@
+const { createTranslationCache } = require("./cache");
+const { createGlossary } = require("./glossary");
+
+// Chunks that differ only in spacing or Unicode composition share a cache
+// entry.
+const normalizeText = (text) =>
+  text.normalize("NFC").trim().replace(/\s+/g, " ");
+
+// Text left over once every glossary term is replaced needs no translator.
+const hasTranslatableText = (text) =>
+  /[\p{L}\p{N}]/u.test(text.replace(/\[\[\s*\d+\s*\]\]/g, ""));
+
+/**
+ * Wraps a provider's translate() with the glossary and an LRU cache. Cache
+ * keys include the glossary version, so edited terms take effect at once.
+ */
+const createTranslator = ({
+  translate,
+  cache = createTranslationCache(),
+  glossary = createGlossary(),
+}) => async ({ text, sourceLanguageCode, targetLanguageCode }) => {
+  const normalizedText = normalizeText(text);
+  const cacheKey = JSON.stringify([
+    sourceLanguageCode,
+    targetLanguageCode,
+    glossary.getVersion(),
+    normalizedText,
+  ]);
+  const cached = cache.get(cacheKey);
+  if (cached !== undefined) {
+    return cached;
+  }
+
+  const { text: protectedText, restore } = glossary.protect(
+    normalizedText,
+    sourceLanguageCode,
+    targetLanguageCode
+  );
+  const translatedText = hasTranslatableText(protectedText)
+    ? await translate({
+        text: protectedText,
+        sourceLanguageCode,
+        targetLanguageCode,
+      })
+    : protectedText;
+
+  const result = restore(translatedText);
+  cache.set(cacheKey, result);
+  return result;
+};
+
+module.exports = {
+  createGlossary,
+  createTranslationCache,
+  createTranslator,
+};
@@ -0,0 +1,59 @@
+const express = require("express");
+
+const { requireAuth, requireRole } = require("../auth");
+
+/**
+ * Admin routes (tokens with role "admin"):
+ *   GET    /admin/glossary              list glossary entries
+ *   PUT    /admin/glossary              add or replace an entry
+ *   DELETE /admin/glossary/:entryId     remove an entry
+ *   GET    /admin/translation-cache     cache hit/miss stats
+ *   DELETE /admin/translation-cache     empty the cache
+ */
+const createTranslationAdminRouter = ({ glossary, cache, authSecret }) => {
+  const router = express.Router();
+  router.use("/admin", requireAuth(authSecret), requireRole("admin"));
+
+  router.get("/admin/glossary", (req, res) => {
+    res.json({ entries: glossary.list() });
+  });
+
+  router.put("/admin/glossary", express.json(), (req, res) => {
+    let result;
+    try {
+      result = glossary.upsert({ ...req.body, id: undefined });
+    } catch (glossaryError) {
+      res
+        .status(400)
+        .json({ code: glossaryError.code, message: glossaryError.message });
+      return;
+    }
+    res.status(result.created ? 201 : 200).json({ entry: result.entry });
+  });
+
+  router.delete("/admin/glossary/:entryId", (req, res) => {
+    if (!glossary.remove(req.params.entryId)) {
+      res.status(404).json({
+        code: "GLOSSARY_ENTRY_NOT_FOUND",
+        message: "Unknown glossary entry",
+      });
+      return;
+    }
+    res.status(204).end();
+  });
+
+  router.get("/admin/translation-cache", (req, res) => {
+    res.json(cache.stats());
+  });
+
+  router.delete("/admin/translation-cache", (req, res) => {
+    cache.clear();
+    res.status(204).end();
+  });
+
+  return router;
+};
+
+module.exports = {
+  createTranslationAdminRouter,
+};
@@ -0,0 +1,251 @@
+const crypto = require("crypto");
+
+// Sequence ids skipped over that are still reported as late when they come.
+const MAX_SKIPPED_SEQUENCE_IDS = 64;
+
+/**
+ * Puts each sender's chunks back in sequenceId order per caption scope (a
+ * callId or roomId). A chunk ahead of the next expected one is held until
+ * the gap fills, or until `reorderWindowMs` passes or `maxHeld` chunks
+ * wait; the held chunks are then released in order and the missing ones
+ * are skipped. `add` returns { duplicate, late, released }, released
+ * listing { item, sequenceId, gap } in order; chunks released by the
+ * window go to the `onRelease` passed with the sender's latest chunk.
+ *
+ * Entries outlive sockets, so chunks a client resends after reconnecting
+ * are refused as duplicates, and a skipped chunk that turns up is refused
+ * as `late`. `reset` forgets a scope when a call starts or ends, or one
+ * sender when they join a room, so numbering may restart; a sender idle
+ * for `ttlMs` is forgotten as well.
+ */
+const createSequenceTracker = ({
+  ttlMs = 60000,
+  maxScopes = 5000,
+  reorderWindowMs = 500,
+  maxHeld = 32,
+} = {}) => {
+  const scopes = new Map();
+
+  const stopWaiting = (entry) => {
+    clearTimeout(entry.timer);
+    entry.timer = null;
+  };
+
+  const forget = (senders) => senders.forEach(stopWaiting);
+
+  // Releases one chunk and whatever was held right behind it.
+  const release = (entry, sequenceId, item, released) => {
+    released.push({
+      item,
+      sequenceId,
+      gap: entry.next !== null && sequenceId !== entry.next,
+    });
+    entry.next = sequenceId + 1;
+    while (entry.held.has(entry.next)) {
+      released.push({
+        item: entry.held.get(entry.next),
+        sequenceId: entry.next,
+        gap: false,
+      });
+      entry.held.delete(entry.next);
+      entry.next += 1;
+    }
+  };
+
+  // Gives up on the missing chunks and releases everything held.
+  const skipAhead = (entry) => {
+    stopWaiting(entry);
+    const released = [];
+    while (entry.held.size) {
+      const sequenceId = Math.min(...entry.held.keys());
+      for (
+        let skipped = Math.max(
+          entry.next,
+          sequenceId - MAX_SKIPPED_SEQUENCE_IDS
+        );
+        skipped < sequenceId;
+        skipped += 1
+      ) {
+        entry.skipped.add(skipped);
+      }
+      const item = entry.held.get(sequenceId);
+      entry.held.delete(sequenceId);
+      release(entry, sequenceId, item, released);
+    }
+    [...entry.skipped]
+      .slice(0, Math.max(0, entry.skipped.size - MAX_SKIPPED_SEQUENCE_IDS))
+      .forEach((skipped) => entry.skipped.delete(skipped));
+    return released;
+  };
+
+  const add = (
+    scopeId,
+    senderId,
+    sequenceId,
+    item,
+    onRelease,
+    now = Date.now()
+  ) => {
+    const senders = scopes.get(scopeId) ?? new Map();
+    let entry = senders.get(senderId);
+    if (!entry || now - entry.seenAt >= ttlMs) {
+      if (entry) {
+        stopWaiting(entry);
+      }
+      entry = { next: null, held: new Map(), skipped: new Set(), timer: null };
+      senders.set(senderId, entry);
+    }
+    entry.seenAt = now;
+    entry.onRelease = onRelease;
+
+    // Re-inserting keeps the least recently used scope first.
+    scopes.delete(scopeId);
+    scopes.set(scopeId, senders);
+    if (scopes.size > maxScopes) {
+      const [oldestId, oldest] = scopes.entries().next().value;
+      forget(oldest);
+      scopes.delete(oldestId);
+    }
+
+    if (
+      entry.next !== null &&
+      (sequenceId < entry.next || entry.held.has(sequenceId))
+    ) {
+      const late = entry.skipped.delete(sequenceId);
+      return { duplicate: !late, late, released: [] };
+    }
+
+    if (entry.next === null || sequenceId === entry.next) {
+      const released = [];
+      release(entry, sequenceId, item, released);
+      if (!entry.held.size) {
+        stopWaiting(entry);
+      }
+      return { duplicate: false, late: false, released };
+    }
+
+    entry.held.set(sequenceId, item);
+    if (entry.held.size > maxHeld || reorderWindowMs === 0) {
+      return { duplicate: false, late: false, released: skipAhead(entry) };
+    }
+    if (!entry.timer) {
+      entry.timer = setTimeout(
+        () => entry.onRelease(skipAhead(entry)),
+        reorderWindowMs
+      );
+      entry.timer.unref?.();
+    }
+    return { duplicate: false, late: false, released: [] };
+  };
+
+  const reset = (scopeId, senderId) => {
+    const senders = scopes.get(scopeId);
+    if (!senders) {
+      return;
+    }
+    if (senderId === undefined) {
+      forget(senders);
+      scopes.delete(scopeId);
+    } else if (senders.has(senderId)) {
+      stopWaiting(senders.get(senderId));
+      senders.delete(senderId);
+    }
+  };
+
+  return { add, reset };
+};
+
+const getDurationMs = (bytes, sampleRateHertz) =>
+  (bytes / 2 / sampleRateHertz) * 1000;
+
+/**
+ * Joins consecutive LINEAR16 chunks of one sender into utterances. `add`
+ * returns the utterances that are complete once the chunk is buffered:
+ * the previous one when the chunk starts a new utterance (another
+ * `groupKey`, another format or `boundary` set, e.g. after a sequence gap)
+ * and the current one once it reaches `maxDurationMs`. Compressed chunks
+ * cannot be joined and are complete on their own. An utterance idle for
+ * `pauseMs` is handed to `onPause`; `take` removes it early.
+ */
+const createUtteranceAssembler = ({
+  pauseMs = 700,
+  maxDurationMs = 10000,
+  onPause,
+}) => {
+  let current = null;
+
+  const finish = ({ chunks, pauseTimer, ...utterance }) => {
+    clearTimeout(pauseTimer);
+    return {
+      ...utterance,
+      audioContent: Buffer.concat(chunks),
+    };
+  };
+
+  const take = () => {
+    if (!current) {
+      return null;
+    }
+    const utterance = finish(current);
+    current = null;
+    return utterance;
+  };
+
+  const isCompatible = (chunk) =>
+    current.groupKey === chunk.groupKey &&
+    current.encoding === chunk.encoding &&
+    current.sampleRateHertz === chunk.sampleRateHertz;
+
+  const startUtterance = (chunk) => ({
+    utteranceId: crypto.randomUUID(),
+    groupKey: chunk.groupKey,
+    context: chunk.context,
+    encoding: chunk.encoding,
+    sampleRateHertz: chunk.sampleRateHertz,
+    firstSequenceId: chunk.sequenceId,
+    startedAt: chunk.receivedAt,
+    chunks: [],
+    durationMs: 0,
+    pauseTimer: null,
+  });
+
+  const append = (utterance, chunk) => {
+    utterance.chunks.push(chunk.audioContent);
+    utterance.lastSequenceId = chunk.sequenceId;
+    utterance.durationMs += getDurationMs(
+      chunk.audioContent.length,
+      chunk.sampleRateHertz
+    );
+  };
+
+  const add = (chunk) => {
+    const completed = [];
+    const joinable = chunk.encoding === "LINEAR16";
+    if (current && (chunk.boundary || !joinable || !isCompatible(chunk))) {
+      completed.push(take());
+    }
+
+    current ??= startUtterance(chunk);
+    append(current, chunk);
+
+    if (!joinable || current.durationMs >= maxDurationMs) {
+      completed.push(take());
+      return completed;
+    }
+
+    clearTimeout(current.pauseTimer);
+    current.pauseTimer = setTimeout(onPause, pauseMs);
+    return completed;
+  };
+
+  return {
+    add,
+    take,
+    hasPending: () => current !== null,
+  };
+};
+
+module.exports = {
+  createSequenceTracker,
+  createUtteranceAssembler,
+};
@@ -0,0 +1,62 @@
+const FRAME_MS = 20;
+
+// RMS level of 16-bit samples in dBFS; digital silence is -Infinity.
+const getLevelDbfs = (pcm, start, end) => {
+  let sumOfSquares = 0;
+  for (let offset = start; offset < end; offset += 2) {
+    const sample = pcm.readInt16LE(offset) / 32768;
+    sumOfSquares += sample * sample;
+  }
+  const sampleCount = (end - start) / 2;
+  return 10 * Math.log10(sumOfSquares / sampleCount);
+};
+
+/**
+ * Energy-based voice activity detection for LINEAR16 mono audio (the
+ * format the audio normalizer produces from PCM and WAV). Audio is split
+ * into 20 ms frames; a chunk counts as speech once frames louder than
+ * `thresholdDbfs` add up to `minSpeechMs` (or the whole chunk, if shorter).
+ * Other encodings cannot be inspected and are always treated as speech.
+ */
+const createVoiceActivityDetector = ({
+  enabled = true,
+  thresholdDbfs = -50,
+  minSpeechMs = 60,
+} = {}) => {
+  const isSilent = ({ audioContent, encoding, sampleRateHertz }) => {
+    if (!enabled || encoding !== "LINEAR16") {
+      return false;
+    }
+
+    const sampleCount = Math.floor(audioContent.length / 2);
+    if (!sampleCount) {
+      return false;
+    }
+
+    const frameSamples = Math.max(
+      1,
+      Math.round((sampleRateHertz * FRAME_MS) / 1000)
+    );
+    const requiredSamples = Math.min(
+      Math.ceil((sampleRateHertz * minSpeechMs) / 1000),
+      sampleCount
+    );
+    let speechSamples = 0;
+    for (let start = 0; start < sampleCount; start += frameSamples) {
+      const end = Math.min(start + frameSamples, sampleCount);
+      if (getLevelDbfs(audioContent, start * 2, end * 2) >= thresholdDbfs) {
+        speechSamples += end - start;
+        if (speechSamples >= requiredSamples) {
+          return false;
+        }
+      }
+    }
+    return true;
+  };
+
+  return { isSilent };
+};
+
+module.exports = {
+  createVoiceActivityDetector,
+};
@@ -5,6 +5,7 @@ ROOT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")/.." && pwd)"
 cd "$ROOT_DIR"
 
 PORT="${PORT:-4030}"
+AUTH_TOKEN_SECRET="${AUTH_TOKEN_SECRET:-smoke-test-secret}"
 LOG_FILE="${TMPDIR:-/tmp}/video_call_backend_smoke_${PORT}.log"
 
 cleanup() {
@@ -30,11 +31,17 @@ require_contains() {
   fi
 }
 
+mint_token() {
+  AUTH_TOKEN_SECRET="$AUTH_TOKEN_SECRET" node -e \
+    'const { signToken } = require("./app/auth"); console.log(signToken({ sub: process.argv[1] }, process.env.AUTH_TOKEN_SECRET));' \
+    "$1"
+}
+
 engine_open() {
-  local caller_id="${1:-}"
+  local token="${1:-}"
   local url="http://127.0.0.1:${PORT}/socket.io/?EIO=4&transport=polling"
-  if [[ -n "$caller_id" ]]; then
-    url+="&callerId=${caller_id}"
+  if [[ -n "$token" ]]; then
+    url+="&token=${token}"
   fi
   curl -fsS "$url"
 }
@@ -54,7 +61,7 @@ connect_client() {
   local open_response
   local sid
 
-  open_response=$(engine_open "$caller_id")
+  open_response=$(engine_open "$(mint_token "$caller_id")")
   sid=$(extract_sid "$open_response")
 
   curl -fsS -X POST \
@@ -75,7 +82,7 @@ echo "[Backend] Installing dependencies"
 npm ci
 
 echo "[Backend] Starting signaling server on port ${PORT}"
-PORT="$PORT" node app/index.js >"$LOG_FILE" 2>&1 &
+PORT="$PORT" AUTH_TOKEN_SECRET="$AUTH_TOKEN_SECRET" SPEECH_PROVIDER="${SPEECH_PROVIDER:-stub}" node app/index.js >"$LOG_FILE" 2>&1 &
 BACK_PID=$!
 sleep 2
 
@@ -83,7 +90,7 @@ if ! kill -0 "$BACK_PID" >/dev/null 2>&1; then
   fail "Server failed to start"
 fi
 
-echo "[Backend] Verifying callerId validation"
+echo "[Backend] Verifying token validation"
 no_caller_open=$(engine_open)
 no_caller_sid=$(extract_sid "$no_caller_open")
 curl -fsS -X POST \
@@ -91,7 +98,7 @@ curl -fsS -X POST \
   -H "Content-Type: text/plain;charset=UTF-8" \
   --data-binary "40" >/dev/null
 no_caller_poll=$(curl -fsS "http://127.0.0.1:${PORT}/socket.io/?EIO=4&transport=polling&sid=${no_caller_sid}")
-require_contains "$no_caller_poll" 'callerId query parameter is required' 'callerId middleware did not reject missing callerId'
+require_contains "$no_caller_poll" 'AUTH_TOKEN_MISSING' 'auth middleware did not reject missing token'
 
 echo "[Backend] Connecting employer/helper mock clients"
 employer_sid=$(connect_client "employer_001")
@@ -0,0 +1,263 @@
+/**
+ * Tests for audio normalization before recognition (app/audio)
+ */
+
+const {
+  createAudioNormalizer,
+  detectContainer,
+  readWav,
+  resample,
+} = require("../app/audio");
+
+// Interleaved 16-bit PCM from one array of samples per channel.
+const buildPcm = (channelSamples) => {
+  const frameCount = channelSamples[0].length;
+  const pcm = Buffer.alloc(frameCount * channelSamples.length * 2);
+  for (let frame = 0; frame < frameCount; frame += 1) {
+    channelSamples.forEach((samples, channel) => {
+      pcm.writeInt16LE(
+        samples[frame],
+        (frame * channelSamples.length + channel) * 2
+      );
+    });
+  }
+  return pcm;
+};
+
+const buildWav = (
+  pcm,
+  { sampleRate = 16000, channels = 1, bitDepth = 16, audioFormat = 1 } = {}
+) => {
+  const header = Buffer.alloc(44);
+  header.write("RIFF", 0, "ascii");
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write("WAVE", 8, "ascii");
+  header.write("fmt ", 12, "ascii");
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(audioFormat, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE((sampleRate * channels * bitDepth) / 8, 28);
+  header.writeUInt16LE((channels * bitDepth) / 8, 32);
+  header.writeUInt16LE(bitDepth, 34);
+  header.write("data", 36, "ascii");
+  header.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([header, pcm]);
+};
+
+const readSamples = (buffer) =>
+  Array.from({ length: buffer.length / 2 }, (_, index) =>
+    buffer.readInt16LE(index * 2)
+  );
+
+describe("detectContainer", () => {
+  test("recognizes WAV, Ogg, FLAC and WebM magic bytes", () => {
+    const pad = (head) => Buffer.concat([head, Buffer.alloc(12)]);
+
+    expect(detectContainer(buildWav(Buffer.alloc(4)))).toBe("WAV");
+    expect(detectContainer(pad(Buffer.from("OggS")))).toBe("OGG_OPUS");
+    expect(detectContainer(pad(Buffer.from("fLaC")))).toBe("FLAC");
+    expect(detectContainer(pad(Buffer.from([0x1a, 0x45, 0xdf, 0xa3])))).toBe(
+      "WEBM_OPUS"
+    );
+    expect(detectContainer(Buffer.from("hello there, raw pcm"))).toBeNull();
+  });
+});
+
+describe("readWav", () => {
+  test("returns the header format and sample data", async () => {
+    const pcm = buildPcm([[1, 2], [3, 4]]);
+    const { format, data } = await readWav(
+      buildWav(pcm, { sampleRate: 44100, channels: 2 })
+    );
+
+    expect(format).toMatchObject({
+      sampleRate: 44100,
+      channels: 2,
+      bitDepth: 16,
+    });
+    expect(data.equals(pcm)).toBe(true);
+  });
+
+  test("rejects a truncated header as an invalid payload", async () => {
+    await expect(
+      readWav(buildWav(Buffer.alloc(4)).subarray(0, 20))
+    ).rejects.toMatchObject({ code: "STT_INVALID_PAYLOAD" });
+  });
+});
+
+describe("resample", () => {
+  test("interpolates linearly between neighbouring samples", () => {
+    expect(Array.from(resample(Float64Array.from([0, 1]), 8000, 16000)))
+      .toEqual([0, 0.5, 1, 1]);
+    expect(
+      Array.from(resample(Float64Array.from([0, 0.5, 1, 0.5]), 16000, 8000))
+    ).toEqual([0, 1]);
+  });
+});
+
+describe("createAudioNormalizer", () => {
+  test("downmixes stereo 44.1 kHz WAV to mono 16 kHz LINEAR16", async () => {
+    const frames = 441;
+    const wav = buildWav(
+      buildPcm([
+        new Array(frames).fill(1000),
+        new Array(frames).fill(3000),
+      ]),
+      { sampleRate: 44100, channels: 2 }
+    );
+
+    const result = await createAudioNormalizer().normalize(wav);
+
+    expect(result.encoding).toBe("LINEAR16");
+    expect(result.sampleRateHertz).toBe(16000);
+    const samples = readSamples(result.audioContent);
+    expect(samples).toHaveLength(160);
+    samples.forEach((sample) => {
+      expect(Math.abs(sample - 2000)).toBeLessThan(2);
+    });
+  });
+
+  test("keeps WAV audio below the target rate at its own rate", async () => {
+    const wav = buildWav(buildPcm([[10, 20, 30]]), { sampleRate: 8000 });
+
+    const result = await createAudioNormalizer().normalize(wav);
+
+    expect(result.sampleRateHertz).toBe(8000);
+    expect(readSamples(result.audioContent)).toEqual([10, 20, 30]);
+  });
+
+  test("passes raw mono PCM at the output rate through untouched", async () => {
+    const audio = Buffer.from("hello there");
+
+    const result = await createAudioNormalizer({
+      encoding: "LINEAR16",
+      sampleRateHertz: 16000,
+    }).normalize(audio);
+
+    expect(result).toEqual({
+      audioContent: audio,
+      encoding: "LINEAR16",
+      sampleRateHertz: 16000,
+    });
+  });
+
+  test("converts raw PCM using the declared rate and channels", async () => {
+    const pcm = buildPcm([
+      new Array(96).fill(-400),
+      new Array(96).fill(400),
+    ]);
+
+    const result = await createAudioNormalizer({
+      sampleRateHertz: 48000,
+      channels: 2,
+    }).normalize(pcm);
+
+    expect(result.sampleRateHertz).toBe(16000);
+    expect(readSamples(result.audioContent)).toEqual(new Array(32).fill(0));
+  });
+
+  test("passes compressed containers through as detected", async () => {
+    const ogg = Buffer.concat([Buffer.from("OggS"), Buffer.alloc(20)]);
+
+    const result = await createAudioNormalizer({
+      sampleRateHertz: 48000,
+    }).normalize(ogg);
+
+    expect(result).toEqual({
+      audioContent: ogg,
+      encoding: "OGG_OPUS",
+      sampleRateHertz: 48000,
+    });
+  });
+
+  test.each([
+    [
+      "a declared encoding",
+      { encoding: "OGG_OPUS" },
+      { sampleRate: 16000 },
+      /declared as OGG_OPUS/,
+    ],
+    [
+      "a declared sample rate",
+      { sampleRateHertz: 16000 },
+      { sampleRate: 44100 },
+      /44100 Hz but 16000 Hz/,
+    ],
+    [
+      "a declared channel count",
+      { channels: 1 },
+      { channels: 2 },
+      /2 channel\(s\) but 1/,
+    ],
+  ])("reports a WAV header contradicting %s", async (_, declared, wav, text) =>
+    expect(
+      createAudioNormalizer(declared).normalize(
+        buildWav(Buffer.alloc(8), wav)
+      )
+    ).rejects.toMatchObject({ code: "STT_FORMAT_MISMATCH", message: text })
+  );
+
+  test("reports a container contradicting the declared encoding", async () => {
+    const ogg = Buffer.concat([Buffer.from("OggS"), Buffer.alloc(20)]);
+
+    await expect(
+      createAudioNormalizer({ encoding: "FLAC" }).normalize(ogg)
+    ).rejects.toMatchObject({
+      code: "STT_FORMAT_MISMATCH",
+      message: "Audio is OGG_OPUS but was declared as FLAC",
+    });
+  });
+
+  test("rejects compressed WAV and partial PCM frames", async () => {
+    const normalizer = createAudioNormalizer({ sampleRateHertz: 44100 });
+
+    await expect(
+      normalizer.normalize(
+        buildWav(Buffer.alloc(8), { audioFormat: 6, sampleRate: 44100 })
+      )
+    ).rejects.toMatchObject({ code: "STT_FORMAT_MISMATCH" });
+    await expect(normalizer.normalize(Buffer.alloc(15))).rejects.toMatchObject(
+      { code: "STT_FORMAT_MISMATCH" }
+    );
+  });
+
+  test("applies a streamed WAV header to the chunks that follow", async () => {
+    const normalizer = createAudioNormalizer({ fixedOutput: true });
+    const stereo = buildPcm([
+      new Array(6).fill(100),
+      new Array(6).fill(300),
+    ]);
+
+    const first = await normalizer.normalize(
+      buildWav(stereo, { sampleRate: 16000, channels: 2 })
+    );
+    const next = await normalizer.normalize(stereo);
+
+    expect(normalizer.outputFormat).toEqual({
+      encoding: "LINEAR16",
+      sampleRateHertz: 16000,
+    });
+    expect(readSamples(first.audioContent)).toEqual(new Array(6).fill(200));
+    expect(readSamples(next.audioContent)).toEqual(new Array(6).fill(200));
+    await expect(
+      normalizer.normalize(
+        buildWav(stereo, { sampleRate: 44100, channels: 2 })
+      )
+    ).rejects.toMatchObject({
+      code: "STT_FORMAT_MISMATCH",
+      message: "WAV header does not match the format the stream started with",
+    });
+  });
+
+  test("converts streamed WAV to the stream's starting rate", async () => {
+    const normalizer = createAudioNormalizer({ fixedOutput: true });
+
+    const result = await normalizer.normalize(
+      buildWav(buildPcm([new Array(16).fill(500)]), { sampleRate: 8000 })
+    );
+
+    expect(result.sampleRateHertz).toBe(16000);
+    expect(readSamples(result.audioContent)).toHaveLength(32);
+  });
+});
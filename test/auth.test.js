@@ -0,0 +1,185 @@
+/**
+ * Tests for signed-token authentication helpers (app/auth)
+ */
+
+const {
+  AUTH_ERROR_CODES,
+  getHandshakeToken,
+  getRequestToken,
+  requireAuth,
+  requireRole,
+  signToken,
+  verifyToken,
+} = require("../app/auth");
+
+const SECRET = "test-secret";
+
+const expectAuthError = (fn, code) => {
+  let thrown;
+  try {
+    fn();
+  } catch (authError) {
+    thrown = authError;
+  }
+  expect(thrown).toBeInstanceOf(Error);
+  expect(thrown.code).toBe(code);
+  expect(thrown.data).toEqual({ code });
+};
+
+describe("signToken / verifyToken", () => {
+  test("round-trips claims for a valid token", () => {
+    const token = signToken({ sub: "employer-1", role: "employer" }, SECRET);
+    const claims = verifyToken(token, SECRET);
+
+    expect(claims.sub).toBe("employer-1");
+    expect(claims.role).toBe("employer");
+    expect(claims.exp).toBeGreaterThan(Date.now() / 1000);
+  });
+
+  test("rejects a missing token", () => {
+    expectAuthError(
+      () => verifyToken(undefined, SECRET),
+      AUTH_ERROR_CODES.TOKEN_MISSING
+    );
+    expectAuthError(
+      () => verifyToken("  ", SECRET),
+      AUTH_ERROR_CODES.TOKEN_MISSING
+    );
+  });
+
+  test("rejects malformed tokens", () => {
+    expectAuthError(
+      () => verifyToken("not-a-jwt", SECRET),
+      AUTH_ERROR_CODES.TOKEN_MALFORMED
+    );
+    expectAuthError(
+      () => verifyToken("a.b.c", SECRET),
+      AUTH_ERROR_CODES.TOKEN_MALFORMED
+    );
+  });
+
+  test("rejects tokens without a subject", () => {
+    const token = signToken({ role: "helper" }, SECRET);
+    expectAuthError(
+      () => verifyToken(token, SECRET),
+      AUTH_ERROR_CODES.TOKEN_MALFORMED
+    );
+  });
+
+  test("rejects unsigned (alg none) tokens", () => {
+    const [, payload] = signToken({ sub: "helper-1" }, SECRET).split(".");
+    const header = Buffer.from(JSON.stringify({ alg: "none" })).toString(
+      "base64url"
+    );
+    expectAuthError(
+      () => verifyToken(`${header}.${payload}.`, SECRET),
+      AUTH_ERROR_CODES.TOKEN_MALFORMED
+    );
+  });
+
+  test("rejects tokens signed with another secret", () => {
+    const token = signToken({ sub: "helper-1" }, "other-secret");
+    expectAuthError(
+      () => verifyToken(token, SECRET),
+      AUTH_ERROR_CODES.TOKEN_INVALID_SIGNATURE
+    );
+  });
+
+  test("rejects tampered claims", () => {
+    const [header, , signature] = signToken({ sub: "helper-1" }, SECRET).split(
+      "."
+    );
+    const forged = Buffer.from(JSON.stringify({ sub: "employer-1" })).toString(
+      "base64url"
+    );
+    expectAuthError(
+      () => verifyToken(`${header}.${forged}.${signature}`, SECRET),
+      AUTH_ERROR_CODES.TOKEN_INVALID_SIGNATURE
+    );
+  });
+
+  test("rejects expired tokens", () => {
+    const token = signToken({ sub: "helper-1" }, SECRET, {
+      expiresInSeconds: 60,
+    });
+    expectAuthError(
+      () => verifyToken(token, SECRET, { now: Date.now() + 61 * 1000 }),
+      AUTH_ERROR_CODES.TOKEN_EXPIRED
+    );
+  });
+});
+
+describe("getHandshakeToken", () => {
+  test("prefers the auth payload over the query string", () => {
+    expect(
+      getHandshakeToken({ auth: { token: "from-auth" }, query: { token: "q" } })
+    ).toBe("from-auth");
+    expect(getHandshakeToken({ auth: {}, query: { token: "q" } })).toBe("q");
+    expect(getHandshakeToken(undefined)).toBeUndefined();
+  });
+});
+
+describe("getRequestToken", () => {
+  test("reads bearer tokens before the query string", () => {
+    expect(
+      getRequestToken({
+        headers: { authorization: "Bearer from-header" },
+        query: { token: "q" },
+      })
+    ).toBe("from-header");
+    expect(
+      getRequestToken({ headers: { authorization: "Basic abc" }, query: {} })
+    ).toBeUndefined();
+    expect(getRequestToken({ headers: {}, query: { token: "q" } })).toBe("q");
+  });
+});
+
+describe("requireAuth", () => {
+  const createResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  test("sets req.user from a valid token", () => {
+    const req = {
+      headers: {
+        authorization: `Bearer ${signToken({ sub: "helper-1" }, SECRET)}`,
+      },
+      query: {},
+    };
+    const next = jest.fn();
+
+    requireAuth(SECRET)(req, createResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toBe("helper-1");
+  });
+
+  test("responds 401 with the auth error code", () => {
+    const res = createResponse();
+    const next = jest.fn();
+
+    requireAuth(SECRET)({ headers: {}, query: {} }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ code: AUTH_ERROR_CODES.TOKEN_MISSING })
+    );
+  });
+});
+
+describe("requireRole", () => {
+  test("only passes requests carrying the role claim", () => {
+    const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+    const next = jest.fn();
+
+    requireRole("admin")({ auth: { role: "admin" } }, res, next);
+    requireRole("admin")({ auth: { role: "employer" } }, res, next);
+
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+});
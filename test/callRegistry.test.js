@@ -0,0 +1,358 @@
+/**
+ * Tests for the server-side call session registry (app/callRegistry)
+ */
+
+const { CALL_STATES, createCallRegistry } = require("../app/callRegistry");
+
+describe("createCallRegistry", () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = createCallRegistry();
+  });
+
+  test("creates ringing calls with a unique callId", () => {
+    const first = registry.createCall({ callerId: "emp-1", calleeId: "hlp-1" });
+    const second = registry.createCall({ callerId: "emp-2", calleeId: "hlp-2" });
+
+    expect(first.state).toBe(CALL_STATES.RINGING);
+    expect(first.callId).toEqual(expect.any(String));
+    expect(first.callId).not.toBe(second.callId);
+    expect(registry.size()).toBe(2);
+  });
+
+  test("marks both participants as busy until the call ends", () => {
+    const call = registry.createCall({ callerId: "emp-1", calleeId: "hlp-1" });
+
+    expect(registry.isUserBusy("emp-1")).toBe(true);
+    expect(registry.isUserBusy("hlp-1")).toBe(true);
+    expect(registry.isUserBusy("hlp-2")).toBe(false);
+
+    const ended = registry.endCall(call.callId, "hangup");
+    expect(ended.state).toBe(CALL_STATES.ENDED);
+    expect(ended.endReason).toBe("hangup");
+    expect(registry.isUserBusy("emp-1")).toBe(false);
+    expect(registry.isUserBusy("hlp-1")).toBe(false);
+    expect(registry.getCall(call.callId)).toBeNull();
+  });
+
+  test("answerCall only transitions ringing calls", () => {
+    const call = registry.createCall({ callerId: "emp-1", calleeId: "hlp-1" });
+
+    expect(registry.answerCall(call.callId).state).toBe(CALL_STATES.ACTIVE);
+    expect(registry.answerCall(call.callId)).toBeNull();
+    expect(registry.answerCall("unknown")).toBeNull();
+  });
+
+  test("endCall returns null for unknown calls", () => {
+    expect(registry.endCall("unknown")).toBeNull();
+  });
+
+  test("countByState counts ringing and active calls", () => {
+    const first = registry.createCall({ callerId: "emp-1", calleeId: "hlp-1" });
+    registry.createCall({ callerId: "emp-2", calleeId: "hlp-2" });
+    registry.answerCall(first.callId);
+
+    expect(registry.countByState()).toEqual({
+      [CALL_STATES.RINGING]: 1,
+      [CALL_STATES.ACTIVE]: 1,
+    });
+  });
+
+  test("getPeerId returns the other participant", () => {
+    const call = registry.createCall({ callerId: "emp-1", calleeId: "hlp-1" });
+
+    expect(registry.getPeerId(call, "emp-1")).toBe("hlp-1");
+    expect(registry.getPeerId(call, "hlp-1")).toBe("emp-1");
+  });
+
+  describe("resolveCall", () => {
+    test("resolves by callId for participants only", () => {
+      const call = registry.createCall({ callerId: "emp-1", calleeId: "hlp-1" });
+
+      expect(registry.resolveCall("hlp-1", { callId: call.callId })).toBe(call);
+      expect(registry.resolveCall("intruder", { callId: call.callId })).toBeNull();
+    });
+
+    test("falls back to the user's current call with the given peer", () => {
+      const call = registry.createCall({ callerId: "emp-1", calleeId: "hlp-1" });
+
+      expect(registry.resolveCall("emp-1", { peerId: "hlp-1" })).toBe(call);
+      expect(registry.resolveCall("emp-1", { peerId: "hlp-9" })).toBeNull();
+      expect(registry.resolveCall("emp-2", { peerId: "hlp-1" })).toBeNull();
+    });
+  });
+
+  describe("ring timeout", () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test("ends unanswered calls and reports them", () => {
+      const onRingTimeout = jest.fn();
+      registry = createCallRegistry({ ringTimeoutMs: 1000, onRingTimeout });
+      const call = registry.createCall({ callerId: "emp-1", calleeId: "hlp-1" });
+
+      jest.advanceTimersByTime(999);
+      expect(onRingTimeout).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1);
+      expect(onRingTimeout).toHaveBeenCalledWith(
+        expect.objectContaining({
+          callId: call.callId,
+          state: CALL_STATES.ENDED,
+          endReason: "timeout",
+        })
+      );
+      expect(registry.isUserBusy("hlp-1")).toBe(false);
+    });
+
+    test("does not fire for answered or ended calls", () => {
+      const onRingTimeout = jest.fn();
+      registry = createCallRegistry({ ringTimeoutMs: 1000, onRingTimeout });
+      const answered = registry.createCall({ callerId: "emp-1", calleeId: "hlp-1" });
+      const ended = registry.createCall({ callerId: "emp-2", calleeId: "hlp-2" });
+
+      registry.answerCall(answered.callId);
+      registry.endCall(ended.callId);
+      jest.advanceTimersByTime(5000);
+
+      expect(onRingTimeout).not.toHaveBeenCalled();
+      expect(registry.getCall(answered.callId).state).toBe(CALL_STATES.ACTIVE);
+    });
+  });
+
+  describe("reconnect grace window", () => {
+    let onReconnectTimeout;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      onReconnectTimeout = jest.fn();
+      registry = createCallRegistry({
+        reconnectGraceMs: 1000,
+        onReconnectTimeout,
+      });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    const startActiveCall = () => {
+      const call = registry.createCall({ callerId: "emp-1", calleeId: "hlp-1" });
+      registry.answerCall(call.callId);
+      return call;
+    };
+
+    test("holds active calls for a disconnected participant", () => {
+      const call = startActiveCall();
+
+      expect(registry.markDisconnected(call.callId, "hlp-1")).toBe(true);
+      expect(call.disconnectedUsers).toEqual(["hlp-1"]);
+      expect(registry.isUserBusy("hlp-1")).toBe(true);
+    });
+
+    test("does not hold ringing calls", () => {
+      const call = registry.createCall({ callerId: "emp-1", calleeId: "hlp-1" });
+
+      expect(registry.markDisconnected(call.callId, "hlp-1")).toBe(false);
+    });
+
+    test("resumes the call when the user reconnects in time", () => {
+      const call = startActiveCall();
+      registry.markDisconnected(call.callId, "hlp-1");
+
+      jest.advanceTimersByTime(500);
+      expect(registry.markReconnected("hlp-1")).toBe(call);
+      expect(registry.markReconnected("hlp-1")).toBeNull();
+
+      jest.advanceTimersByTime(5000);
+      expect(onReconnectTimeout).not.toHaveBeenCalled();
+      expect(call.state).toBe(CALL_STATES.ACTIVE);
+    });
+
+    test("ends the call with connection_lost after the grace window", () => {
+      const call = startActiveCall();
+      registry.markDisconnected(call.callId, "hlp-1");
+
+      jest.advanceTimersByTime(1000);
+      expect(onReconnectTimeout).toHaveBeenCalledWith(
+        expect.objectContaining({
+          callId: call.callId,
+          endReason: "connection_lost",
+        }),
+        "hlp-1"
+      );
+      expect(registry.getCall(call.callId)).toBeNull();
+    });
+  });
+
+  describe("replication", () => {
+    // Changes travel as JSON between instances.
+    const relay = (target) => (change) =>
+      target.applyChange(JSON.parse(JSON.stringify(change)));
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test("reports every change", () => {
+      const onChange = jest.fn();
+      registry = createCallRegistry({ onChange });
+      const call = registry.createCall({ callerId: "emp-1", calleeId: "hlp-1" });
+      registry.answerCall(call.callId);
+      registry.endCall(call.callId);
+
+      expect(onChange.mock.calls.map(([change]) => change.type)).toEqual([
+        "upsert",
+        "upsert",
+        "remove",
+      ]);
+      expect(onChange).toHaveBeenLastCalledWith({
+        type: "remove",
+        callId: call.callId,
+      });
+    });
+
+    test("a replica follows the calls of another registry", () => {
+      const replica = createCallRegistry({ ringTimeoutMs: 1000 });
+      registry = createCallRegistry({ onChange: relay(replica) });
+
+      const call = registry.createCall({ callerId: "emp-1", calleeId: "hlp-1" });
+      expect(replica.isUserBusy("hlp-1")).toBe(true);
+      expect(replica.resolveCall("hlp-1", { peerId: "emp-1" })).toEqual(call);
+
+      registry.answerCall(call.callId);
+      expect(replica.getCall(call.callId).state).toBe(CALL_STATES.ACTIVE);
+
+      registry.endCall(call.callId);
+      expect(replica.getCallForUser("emp-1")).toBeNull();
+    });
+
+    test("timers only run where they started", () => {
+      const onRingTimeout = jest.fn();
+      const replica = createCallRegistry({
+        ringTimeoutMs: 1000,
+        onRingTimeout,
+      });
+      registry = createCallRegistry({
+        ringTimeoutMs: 1000,
+        onRingTimeout,
+        onChange: relay(replica),
+      });
+
+      registry.createCall({ callerId: "emp-1", calleeId: "hlp-1" });
+      jest.advanceTimersByTime(1000);
+
+      expect(onRingTimeout).toHaveBeenCalledTimes(1);
+      expect(replica.size()).toBe(0);
+    });
+
+    test("any instance ends a ringing call its owner never timed out", () => {
+      const onRingTimeout = jest.fn();
+      const replica = createCallRegistry({
+        ringTimeoutMs: 1000,
+        onRingTimeout,
+        staleCallGraceMs: 2000,
+      });
+      let ownerAlive = true;
+      const owner = createCallRegistry({
+        ringTimeoutMs: 1000,
+        onChange: (change) => ownerAlive && relay(replica)(change),
+      });
+      const call = owner.createCall({ callerId: "emp-1", calleeId: "hlp-1" });
+      // The owner goes away before its ring timer fires.
+      ownerAlive = false;
+      expect(replica.getCall(call.callId).expiresAt).toEqual(
+        expect.any(String)
+      );
+
+      jest.advanceTimersByTime(2999);
+      expect(replica.isUserBusy("emp-1")).toBe(true);
+      expect(onRingTimeout).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1);
+      expect(replica.isUserBusy("emp-1")).toBe(false);
+      expect(replica.isUserBusy("hlp-1")).toBe(false);
+      expect(onRingTimeout).toHaveBeenCalledWith(
+        expect.objectContaining({ callId: call.callId, endReason: "timeout" })
+      );
+    });
+
+    test("any instance ends a held call long past its grace window", () => {
+      const onReconnectTimeout = jest.fn();
+      const onChange = jest.fn();
+      const replica = createCallRegistry({
+        onReconnectTimeout,
+        onChange,
+        staleCallGraceMs: 2000,
+      });
+      let ownerAlive = true;
+      const owner = createCallRegistry({
+        reconnectGraceMs: 1000,
+        onChange: (change) => ownerAlive && relay(replica)(change),
+      });
+      const call = owner.createCall({ callerId: "emp-1", calleeId: "hlp-1" });
+      owner.answerCall(call.callId);
+      expect(replica.getCall(call.callId).expiresAt).toBeNull();
+      owner.markDisconnected(call.callId, "hlp-1");
+      ownerAlive = false;
+
+      jest.advanceTimersByTime(3000);
+
+      expect(replica.countByState()).toEqual({
+        [CALL_STATES.RINGING]: 0,
+        [CALL_STATES.ACTIVE]: 0,
+      });
+      expect(onReconnectTimeout).toHaveBeenCalledWith(
+        expect.objectContaining({ endReason: "connection_lost" }),
+        "hlp-1"
+      );
+      expect(onChange).toHaveBeenCalledWith({
+        type: "remove",
+        callId: call.callId,
+      });
+    });
+
+    test("a replicated answer clears the ring timer", () => {
+      const onRingTimeout = jest.fn();
+      registry = createCallRegistry({ ringTimeoutMs: 1000, onRingTimeout });
+      const replica = createCallRegistry({ onChange: relay(registry) });
+      const call = registry.createCall({ callerId: "emp-1", calleeId: "hlp-1" });
+      registry.snapshot().forEach(relay(replica));
+
+      replica.answerCall(call.callId);
+      jest.advanceTimersByTime(5000);
+
+      expect(onRingTimeout).not.toHaveBeenCalled();
+      expect(registry.getCall(call.callId).state).toBe(CALL_STATES.ACTIVE);
+    });
+
+    test("a replicated reconnect clears the grace timer", () => {
+      const onReconnectTimeout = jest.fn();
+      registry = createCallRegistry({
+        reconnectGraceMs: 1000,
+        onReconnectTimeout,
+      });
+      const replica = createCallRegistry({ onChange: relay(registry) });
+      const call = registry.createCall({ callerId: "emp-1", calleeId: "hlp-1" });
+      registry.answerCall(call.callId);
+      registry.markDisconnected(call.callId, "hlp-1");
+      registry.snapshot().forEach(relay(replica));
+
+      expect(replica.markReconnected("hlp-1").callId).toBe(call.callId);
+      jest.advanceTimersByTime(5000);
+
+      expect(onReconnectTimeout).not.toHaveBeenCalled();
+      expect(registry.getCall(call.callId).disconnectedUsers).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Tests for the load balancer probes (app/health)
+ */
+
+const express = require("express");
+const http = require("http");
+
+const { createHealthRouter } = require("../app/health");
+
+describe("health routes", () => {
+  let server;
+  let baseUrl;
+
+  const start = async (checks) => {
+    const app = express();
+    app.use(createHealthRouter({ checks }));
+    server = http.createServer(app);
+    await new Promise((resolve) => server.listen(0, resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  };
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  test("healthz answers without running readiness checks", async () => {
+    const check = jest.fn();
+    await start([check]);
+
+    const response = await fetch(`${baseUrl}/healthz`);
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({
+      status: "ok",
+      uptimeSeconds: expect.any(Number),
+    });
+    expect(check).not.toHaveBeenCalled();
+  });
+
+  test("readyz is ready when every check passes", async () => {
+    await start([async () => ({ ready: true }), async () => ({ ready: true })]);
+
+    const response = await fetch(`${baseUrl}/readyz`);
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ status: "ready" });
+  });
+
+  test("readyz reports the first failing check with 503", async () => {
+    const later = jest.fn();
+    await start([
+      async () => ({ ready: true }),
+      async () => ({ ready: false, reason: "project id is not set" }),
+      later,
+    ]);
+
+    const response = await fetch(`${baseUrl}/readyz`);
+
+    expect(response.status).toBe(503);
+    expect(await response.json()).toEqual({
+      status: "unavailable",
+      reason: "project id is not set",
+    });
+    expect(later).not.toHaveBeenCalled();
+  });
+
+  test("readyz treats a throwing check as not ready", async () => {
+    await start([
+      async () => {
+        throw new Error("credentials exploded");
+      },
+    ]);
+
+    const response = await fetch(`${baseUrl}/readyz`);
+
+    expect(response.status).toBe(503);
+    expect((await response.json()).reason).toBe("credentials exploded");
+  });
+});
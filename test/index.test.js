@@ -1,103 +1,111 @@
 /**
- * Mock Tests for Video Call Interview Backend
- * (Socket.IO Signaling + Google Cloud STT + Translation)
+ * Tests for the signaling and translation server (app/server)
+ *
+ * The integration tests run the real server from createTranslationServer,
+ * with a mocked speech provider.
  *
  * Tests cover:
  *  1. Utility / validation helpers
- *  2. Socket middleware (callerId auth)
- *  3. Call signaling events (makeCall, answerCall, endCall, IceCandidate)
+ *  2. Socket middleware (signed-token auth)
+ *  3. Call signaling events (makeCall, answerCall, rejectCall, endCall,
+ *     IceCandidate, reconnects) and conference rooms
  *  4. Audio recording pipeline (audioRecording -> STT -> Translation -> sttResult)
- *  5. Rate-limiting & back-pressure
- *  6. Edge cases and error handling
+ *  5. Back-pressure
+ *  6. Streaming recognition (sttStreamStart/Chunk/End -> sttPartial, sttResult)
+ *  7. Limits and timers that need their own settings
+ *  8. Embedding, injected dependencies and shutdown
  */
 
-// ─── Mocks ───────────────────────────────────────────────────────────────────
-
-// Mock Google Cloud Speech
-const mockRecognize = jest.fn();
-jest.mock("@google-cloud/speech", () => ({
-  SpeechClient: jest.fn().mockImplementation(() => ({
-    recognize: mockRecognize,
-  })),
-}));
-
-// Mock Google Cloud Translation
-const mockTranslateText = jest.fn();
-jest.mock("@google-cloud/translate", () => ({
-  v3: {
-    TranslationServiceClient: jest.fn().mockImplementation(() => ({
-      translateText: mockTranslateText,
-    })),
-  },
-}));
-
-// Mock dotenv & fs so the module loads without real credentials
-jest.mock("dotenv", () => ({ config: jest.fn() }));
-
-const { Server } = require("socket.io");
-const { createServer } = require("http");
+const express = require("express");
+const { EventEmitter } = require("events");
+const http = require("http");
 const { io: ioClient } = require("socket.io-client");
+const { signToken } = require("../app/auth");
+const { loadConfig } = require("../app/config");
+const { isValidLanguageCode } = require("../app/languages");
+const { createLogger } = require("../app/logger");
+const { createProvider } = require("../app/providers");
+const {
+  ALLOWED_ENCODINGS,
+  createTranslationServer,
+  isNonEmptyString,
+  normalizeAudioToBase64,
+} = require("../app/server");
+const { createMemoryStateHub, createStateStore } = require("../app/state");
+
+const AUTH_TOKEN_SECRET = "test-auth-secret";
+
+const silentLogger = createLogger({ write: () => {} });
+
+// The stub provider with recognition, translation and synthesis mocked per
+// test.
+const mockRecognize = jest.fn();
+const mockTranslate = jest.fn();
+const mockSynthesize = jest.fn();
+const sttProvider = {
+  ...createProvider("stub"),
+  recognize: mockRecognize,
+  translate: mockTranslate,
+  synthesize: mockSynthesize,
+};
 
-// ─── Helpers extracted from source for unit-testing ──────────────────────────
-
-// Re-implement pure helpers so we can test them in isolation without loading the
-// full server module (which has side-effects).
+// Every LINEAR16 chunk is recognized on its own, silent or not.
+const createTestConfig = (env = {}) =>
+  loadConfig({
+    AUTH_TOKEN_SECRET,
+    SPEECH_PROVIDER: "stub",
+    VAD_ENABLED: "false",
+    UTTERANCE_MAX_MS: "0",
+    SHUTDOWN_DRAIN_TIMEOUT_MS: "500",
+    ...env,
+  });
 
-const isNonEmptyString = (value) =>
-  typeof value === "string" && value.trim().length > 0;
+// Even-length LINEAR16 audio.
+const createAudio = (label) =>
+  Buffer.from(label.padEnd(32, ".")).toString("base64");
 
-const isValidLanguageCode = (languageCode) =>
-  typeof languageCode === "string" &&
-  /^[a-z]{2,3}(?:-[A-Za-z]{2,8})*$/i.test(languageCode.trim());
+// Wait for a socket event with timeout
+const waitForEvent = (socket, event, timeoutMs = 3000) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(
+      () => reject(new Error(`Timeout waiting for '${event}'`)),
+      timeoutMs
+    );
+    socket.once(event, (data) => {
+      clearTimeout(timer);
+      resolve(data);
+    });
+  });
 
-const normalizeTranslationLanguageCode = (languageCode) => {
-  if (!languageCode) return "en";
-  const normalized = String(languageCode).trim().toLowerCase();
-  if (normalized.startsWith("my")) return "my";
-  if (normalized.startsWith("en")) return "en";
-  return normalized.split("-")[0];
-};
+const createClient = (port, auth) =>
+  ioClient(`http://localhost:${port}`, {
+    transports: ["websocket"],
+    auth,
+  });
 
-const resolveTargetLanguage = (sourceLanguageCode, requestedTargetLanguage) => {
-  if (isValidLanguageCode(requestedTargetLanguage)) {
-    const normalizedRequested = normalizeTranslationLanguageCode(
-      requestedTargetLanguage
-    );
-    if (normalizedRequested === "en" || normalizedRequested === "my") {
-      return normalizedRequested;
-    }
-  }
-  const source = normalizeTranslationLanguageCode(sourceLanguageCode);
-  return source === "en" ? "my" : "en";
-};
+// Resolves with a client once it is connected as `userId`.
+const connectClient = (port, userId, claims = {}) =>
+  new Promise((resolve, reject) => {
+    const client = createClient(port, {
+      token: signToken({ sub: userId, ...claims }, AUTH_TOKEN_SECRET),
+    });
+    client.once("connect", () => resolve(client));
+    client.once("connect_error", reject);
+  });
 
-const normalizeAudioToBase64 = (audio) => {
-  if (typeof audio === "string") {
-    const withoutPrefix = audio.startsWith("data:")
-      ? audio.slice(audio.indexOf(",") + 1)
-      : audio;
-    const normalized = withoutPrefix.replace(/\s/g, "");
-    if (!normalized) throw new Error("Empty audio payload");
-    if (!/^[A-Za-z0-9+/=]+$/.test(normalized))
-      throw new Error("Audio payload is not valid base64");
-    return normalized;
-  }
-  if (Buffer.isBuffer(audio)) return audio.toString("base64");
-  if (audio instanceof Uint8Array || Array.isArray(audio))
-    return Buffer.from(audio).toString("base64");
-  throw new Error("Unsupported audio payload type");
+// Rings `calleeId` from `caller` and answers on `callee`; resolves with the
+// call id.
+const startCall = async (caller, callee, calleeId) => {
+  const newCall = waitForEvent(callee, "newCall");
+  caller.emit("makeCall", { calleeId, sdpOffer: "mock-sdp-offer" });
+  const { callId, callerId } = await newCall;
+
+  const answered = waitForEvent(caller, "callAnswered");
+  callee.emit("answerCall", { callId, callerId, sdpAnswer: "mock-answer" });
+  await answered;
+  return callId;
 };
 
-const ALLOWED_ENCODINGS = new Set([
-  "LINEAR16",
-  "WEBM_OPUS",
-  "OGG_OPUS",
-  "FLAC",
-  "MULAW",
-  "AMR",
-  "AMR_WB",
-  "SPEEX_WITH_HEADER_BYTE",
-]);
 
 // ─── Unit Tests: Utility Helpers ─────────────────────────────────────────────
 
@@ -137,47 +145,6 @@ describe("isValidLanguageCode", () => {
   });
 });
 
-describe("normalizeTranslationLanguageCode", () => {
-  test("normalizes English variants to 'en'", () => {
-    expect(normalizeTranslationLanguageCode("en")).toBe("en");
-    expect(normalizeTranslationLanguageCode("en-US")).toBe("en");
-    expect(normalizeTranslationLanguageCode("EN-GB")).toBe("en");
-  });
-
-  test("normalizes Myanmar variants to 'my'", () => {
-    expect(normalizeTranslationLanguageCode("my")).toBe("my");
-    expect(normalizeTranslationLanguageCode("my-MM")).toBe("my");
-  });
-
-  test("defaults to 'en' for falsy input", () => {
-    expect(normalizeTranslationLanguageCode(null)).toBe("en");
-    expect(normalizeTranslationLanguageCode(undefined)).toBe("en");
-    expect(normalizeTranslationLanguageCode("")).toBe("en");
-  });
-
-  test("extracts base language for unknown codes", () => {
-    expect(normalizeTranslationLanguageCode("ja-JP")).toBe("ja");
-    expect(normalizeTranslationLanguageCode("fr")).toBe("fr");
-  });
-});
-
-describe("resolveTargetLanguage", () => {
-  test("returns requested target when valid and supported", () => {
-    expect(resolveTargetLanguage("en-US", "my")).toBe("my");
-    expect(resolveTargetLanguage("my-MM", "en")).toBe("en");
-  });
-
-  test("auto-flips EN->MY and MY->EN when target is invalid", () => {
-    expect(resolveTargetLanguage("en-US", null)).toBe("my");
-    expect(resolveTargetLanguage("my-MM", null)).toBe("en");
-  });
-
-  test("auto-flips when requested target is unsupported (e.g. ja)", () => {
-    expect(resolveTargetLanguage("en-US", "ja")).toBe("my");
-    expect(resolveTargetLanguage("my-MM", "fr")).toBe("en");
-  });
-});
-
 describe("normalizeAudioToBase64", () => {
   const validB64 = Buffer.from("hello world").toString("base64");
 
@@ -236,450 +203,621 @@ describe("ALLOWED_ENCODINGS", () => {
 // ─── Integration Tests: Socket.IO Server ─────────────────────────────────────
 
 describe("Socket.IO Server Integration", () => {
-  let httpServer;
-  let ioServer;
+  let translationServer;
   let port;
+  let clients = [];
 
-  beforeAll((done) => {
-    // Set env for tests
-    process.env.GOOGLE_CLOUD_PROJECT_ID = "test-project";
-
-    httpServer = createServer();
-    ioServer = new Server(httpServer, {
-      cors: { origin: "*", methods: ["GET", "POST"] },
+  beforeAll(async () => {
+    translationServer = createTranslationServer({
+      config: createTestConfig(),
+      sttProvider,
+      logger: silentLogger,
     });
+    ({ port } = await translationServer.listen(0));
+  });
 
-    // ── Reproduce middleware from source ──
-    ioServer.use((socket, next) => {
-      const callerId = socket.handshake?.query?.callerId;
-      if (typeof callerId !== "string" || !callerId.trim()) {
-        next(new Error("callerId query parameter is required"));
-        return;
-      }
-      socket.user = callerId.trim();
-      next();
-    });
-
-    // ── Reproduce event handlers ──
-    ioServer.on("connection", (socket) => {
-      socket.join(socket.user);
-      socket.data.sttRateTimestamps = [];
-      socket.data.sttQueue = Promise.resolve();
-      socket.data.pendingSttRequests = 0;
-
-      socket.on("makeCall", (data) => {
-        if (!data || !data.calleeId || !data.sdpOffer) {
-          socket.emit("signalError", {
-            code: "INVALID_MAKE_CALL_PAYLOAD",
-            message: "calleeId and sdpOffer are required",
-          });
-          return;
-        }
-        socket.to(data.calleeId.trim()).emit("newCall", {
-          callerId: socket.user,
-          sdpOffer: data.sdpOffer,
-        });
-      });
+  afterAll(async () => {
+    await translationServer.shutdown("test");
+  });
 
-      socket.on("answerCall", (data) => {
-        if (!data || !data.callerId || !data.sdpAnswer) {
-          socket.emit("signalError", {
-            code: "INVALID_ANSWER_CALL_PAYLOAD",
-            message: "callerId and sdpAnswer are required",
-          });
-          return;
-        }
-        socket.to(data.callerId.trim()).emit("callAnswered", {
-          callee: socket.user,
-          sdpAnswer: data.sdpAnswer,
-        });
-      });
+  afterEach(() => {
+    clients.forEach((client) => client.close());
+    clients = [];
+    mockRecognize.mockReset();
+    mockTranslate.mockReset();
+    mockSynthesize.mockReset();
+  });
 
-      socket.on("endCall", (data) => {
-        if (!data || !data.calleeId) {
-          socket.emit("signalError", {
-            code: "INVALID_END_CALL_PAYLOAD",
-            message: "calleeId is required",
-          });
-          return;
-        }
-        socket.to(data.calleeId.trim()).emit("callEnded", { from: socket.user });
-        socket.emit("leaveCall", { to: data.calleeId });
-      });
+  const connect = async (userId) => {
+    const client = await connectClient(port, userId);
+    clients.push(client);
+    return client;
+  };
 
-      socket.on("IceCandidate", (data) => {
-        if (!data || !data.calleeId || data.iceCandidate == null) {
-          socket.emit("signalError", {
-            code: "INVALID_ICE_CANDIDATE_PAYLOAD",
-            message: "calleeId and iceCandidate are required",
-          });
-          return;
-        }
-        socket.to(data.calleeId.trim()).emit("IceCandidate", {
-          sender: socket.user,
-          iceCandidate: data.iceCandidate,
-        });
+  // ─── Middleware Tests ──────────────────────────────────────────────────────
+
+  describe("Middleware: token validation", () => {
+    const expectConnectError = async (options, code) => {
+      const client = ioClient(`http://localhost:${port}`, {
+        transports: ["websocket"],
+        ...options,
       });
+      clients.push(client);
 
-      socket.on("audioRecording", async (data) => {
-        const MAX_STT_PENDING = 8;
-        if (socket.data.pendingSttRequests >= MAX_STT_PENDING) {
-          socket.emit("sttError", {
-            code: "STT_BACKPRESSURE",
-            message: "Too many queued audio chunks",
-          });
-          return;
-        }
+      const connectError = await waitForEvent(client, "connect_error");
+      expect(connectError.data).toEqual({ code });
+    };
 
-        socket.data.pendingSttRequests += 1;
-
-        socket.data.sttQueue = socket.data.sttQueue
-          .then(async () => {
-            // Validate payload
-            if (!data || !data.to || !data.audio) {
-              socket.emit("sttError", {
-                code: "STT_INVALID_PAYLOAD",
-                message: "Missing required fields",
-              });
-              return;
-            }
+    test("rejects connection without a token", async () => {
+      await expectConnectError({ auth: {} }, "AUTH_TOKEN_MISSING");
+    });
 
-            try {
-              const audioBase64 =
-                typeof data.audio === "string"
-                  ? data.audio
-                  : Buffer.from(data.audio).toString("base64");
-
-              const [sttResponse] = await mockRecognize({
-                config: {
-                  encoding: data.encoding || "LINEAR16",
-                  sampleRateHertz: data.sampleRateHertz || 16000,
-                  languageCode: data.language || "en-US",
-                  enableAutomaticPunctuation: true,
-                },
-                audio: { content: audioBase64 },
-              });
-
-              const transcription = (sttResponse.results || [])
-                .map((r) => r.alternatives?.[0]?.transcript || "")
-                .join(" ")
-                .trim();
-
-              if (!transcription) return;
-
-              let translatedText = transcription;
-              const sourceLanguageCode = normalizeTranslationLanguageCode(
-                data.language
-              );
-              const targetLanguageCode = resolveTargetLanguage(
-                data.language,
-                data.targetLanguage
-              );
-
-              if (sourceLanguageCode !== targetLanguageCode) {
-                const [translationResponse] = await mockTranslateText({
-                  parent: `projects/test-project/locations/global`,
-                  contents: [transcription],
-                  mimeType: "text/plain",
-                  sourceLanguageCode,
-                  targetLanguageCode,
-                });
-                translatedText =
-                  translationResponse?.translations?.[0]?.translatedText ||
-                  transcription;
-              }
-
-              socket.to(data.to.trim()).emit("sttResult", {
-                text: transcription,
-                translated: translatedText,
-                from: socket.user,
-                to: data.to.trim(),
-                sequenceId: data.sequenceId ?? null,
-              });
-            } catch (err) {
-              socket.emit("sttError", {
-                code: "STT_PROCESSING_FAILED",
-                message: "Unable to process this audio chunk",
-              });
-            }
-          })
-          .finally(() => {
-            socket.data.pendingSttRequests = Math.max(
-              0,
-              socket.data.pendingSttRequests - 1
-            );
-          });
+    test("rejects connection with a malformed token", async () => {
+      await expectConnectError(
+        { auth: { token: "garbage" } },
+        "AUTH_TOKEN_MALFORMED"
+      );
+    });
+
+    test("rejects connection with a wrongly signed token", async () => {
+      const token = signToken({ sub: "test-user-123" }, "other-secret");
+      await expectConnectError(
+        { auth: { token } },
+        "AUTH_TOKEN_INVALID_SIGNATURE"
+      );
+    });
+
+    test("rejects connection with an expired token", async () => {
+      const token = signToken({ sub: "test-user-123" }, AUTH_TOKEN_SECRET, {
+        expiresInSeconds: -1,
       });
+      await expectConnectError({ auth: { token } }, "AUTH_TOKEN_EXPIRED");
     });
 
-    httpServer.listen(0, () => {
-      port = httpServer.address().port;
-      done();
+    test("ignores callerId in the query string", async () => {
+      await expectConnectError(
+        { query: { callerId: "test-user-123" } },
+        "AUTH_TOKEN_MISSING"
+      );
     });
-  });
 
-  afterAll((done) => {
-    ioServer.close();
-    httpServer.close(done);
+    test("accepts connection with a valid token", async () => {
+      const client = await connect("test-user-123");
+      expect(client.connected).toBe(true);
+    });
   });
 
-  afterEach(() => {
-    jest.clearAllMocks();
-  });
+  // ─── Call Signaling Tests ──────────────────────────────────────────────────
 
-  // Helper to create a connected client
-  function createClient(callerId) {
-    return ioClient(`http://localhost:${port}`, {
-      transports: ["websocket"],
-      query: { callerId },
-    });
-  }
+  describe("Call Signaling: makeCall", () => {
+    test("employer makes call and helper receives newCall", async () => {
+      const employer = await connect("employer-1");
+      const helper = await connect("helper-1");
+      const newCall = waitForEvent(helper, "newCall");
+      const ringing = waitForEvent(employer, "callRinging");
+
+      employer.emit("makeCall", {
+        calleeId: "helper-1",
+        sdpOffer: "mock-sdp-offer",
+      });
 
-  // Wait for a socket event with timeout
-  function waitForEvent(socket, event, timeoutMs = 3000) {
-    return new Promise((resolve, reject) => {
-      const timer = setTimeout(
-        () => reject(new Error(`Timeout waiting for '${event}'`)),
-        timeoutMs
-      );
-      socket.once(event, (data) => {
-        clearTimeout(timer);
-        resolve(data);
+      const data = await newCall;
+      expect(data.callerId).toBe("employer-1");
+      expect(data.sdpOffer).toBe("mock-sdp-offer");
+      expect(await ringing).toEqual({
+        callId: data.callId,
+        calleeId: "helper-1",
       });
     });
-  }
 
-  // ─── Middleware Tests ──────────────────────────────────────────────────────
+    test("emits signalError when calleeId is missing", async () => {
+      const client = await connect("employer-2");
+      const signalError = waitForEvent(client, "signalError");
 
-  describe("Middleware: callerId validation", () => {
-    test("rejects connection without callerId", (done) => {
-      const client = ioClient(`http://localhost:${port}`, {
-        transports: ["websocket"],
-        query: {},
+      client.emit("makeCall", { sdpOffer: "offer" });
+
+      expect((await signalError).code).toBe("INVALID_MAKE_CALL_PAYLOAD");
+    });
+
+    test("emits signalError when sdpOffer is missing", async () => {
+      const client = await connect("employer-3");
+      const signalError = waitForEvent(client, "signalError");
+
+      client.emit("makeCall", { calleeId: "helper-x" });
+
+      expect((await signalError).code).toBe("INVALID_MAKE_CALL_PAYLOAD");
+    });
+
+    test("tells the caller when the callee is offline", async () => {
+      const client = await connect("employer-4");
+      const unavailable = waitForEvent(client, "calleeUnavailable");
+
+      client.emit("makeCall", { calleeId: "helper-offline", sdpOffer: "o" });
+
+      expect((await unavailable).calleeId).toBe("helper-offline");
+    });
+  });
+
+  describe("Call Signaling: answerCall", () => {
+    test("helper answers and employer receives callAnswered", async () => {
+      const employer = await connect("emp-answer-1");
+      const helper = await connect("hlp-answer-1");
+      const newCall = waitForEvent(helper, "newCall");
+      employer.emit("makeCall", {
+        calleeId: "hlp-answer-1",
+        sdpOffer: "mock-sdp-offer",
       });
+      const { callId } = await newCall;
+      const answered = waitForEvent(employer, "callAnswered");
 
-      client.on("connect_error", (err) => {
-        expect(err.message).toContain("callerId");
-        client.close();
-        done();
+      helper.emit("answerCall", {
+        callerId: "emp-answer-1",
+        sdpAnswer: "mock-sdp-answer",
       });
-    });
 
-    test("rejects connection with empty callerId", (done) => {
-      const client = ioClient(`http://localhost:${port}`, {
-        transports: ["websocket"],
-        query: { callerId: "   " },
+      expect(await answered).toEqual({
+        callId,
+        callee: "hlp-answer-1",
+        sdpAnswer: "mock-sdp-answer",
       });
+    });
+
+    test("emits signalError when callerId is missing", async () => {
+      const client = await connect("hlp-answer-2");
+      const signalError = waitForEvent(client, "signalError");
+
+      client.emit("answerCall", { sdpAnswer: "answer" });
+
+      expect((await signalError).code).toBe("INVALID_ANSWER_CALL_PAYLOAD");
+    });
+
+    test("emits signalError when no call is ringing", async () => {
+      const client = await connect("hlp-answer-3");
+      const signalError = waitForEvent(client, "signalError");
 
-      client.on("connect_error", (err) => {
-        expect(err.message).toContain("callerId");
-        client.close();
-        done();
+      client.emit("answerCall", {
+        callerId: "emp-answer-3",
+        sdpAnswer: "answer",
       });
+
+      expect((await signalError).code).toBe("CALL_NOT_FOUND");
     });
+  });
 
-    test("accepts connection with valid callerId", (done) => {
-      const client = createClient("test-user-123");
-      client.on("connect", () => {
-        expect(client.connected).toBe(true);
-        client.close();
-        done();
+  describe("Call Signaling: rejectCall", () => {
+    test("helper declines and employer receives callRejected", async () => {
+      const employer = await connect("emp-reject-1");
+      const helper = await connect("hlp-reject-1");
+      const newCall = waitForEvent(helper, "newCall");
+      employer.emit("makeCall", { calleeId: "hlp-reject-1", sdpOffer: "offer" });
+      const { callId, callerId } = await newCall;
+      const rejected = waitForEvent(employer, "callRejected");
+
+      helper.emit("rejectCall", { callId, callerId, reason: "busy" });
+
+      expect(await rejected).toEqual({
+        callId,
+        callee: "hlp-reject-1",
+        reason: "busy",
       });
+      // The call is gone, so the employer may ring again.
+      const ringing = waitForEvent(employer, "callRinging");
+      employer.emit("makeCall", { calleeId: "hlp-reject-1", sdpOffer: "offer" });
+      expect((await ringing).callId).not.toBe(callId);
+    });
+
+    test("reports unknown reasons as declined", async () => {
+      const employer = await connect("emp-reject-2");
+      const helper = await connect("hlp-reject-2");
+      const newCall = waitForEvent(helper, "newCall");
+      employer.emit("makeCall", { calleeId: "hlp-reject-2", sdpOffer: "offer" });
+      const { callerId } = await newCall;
+      const rejected = waitForEvent(employer, "callRejected");
+
+      helper.emit("rejectCall", { callerId, reason: "asleep" });
+
+      expect((await rejected).reason).toBe("declined");
+    });
+
+    test("emits signalError when no call is ringing", async () => {
+      const helper = await connect("hlp-reject-3");
+      const signalError = waitForEvent(helper, "signalError");
+
+      helper.emit("rejectCall", { callerId: "emp-reject-3" });
+
+      expect((await signalError).code).toBe("CALL_NOT_FOUND");
     });
   });
 
-  // ─── Call Signaling Tests ──────────────────────────────────────────────────
+  describe("Call Signaling: endCall", () => {
+    test("employer ends call and helper receives callEnded", async () => {
+      const employer = await connect("emp-end-1");
+      const helper = await connect("hlp-end-1");
+      const callId = await startCall(employer, helper, "hlp-end-1");
+      const ended = waitForEvent(helper, "callEnded");
+      const left = waitForEvent(employer, "leaveCall");
 
-  describe("Call Signaling: makeCall", () => {
-    test("employer makes call and helper receives newCall", (done) => {
-      const employer = createClient("employer-1");
-      const helper = createClient("helper-1");
-
-      let connected = 0;
-      const onBothConnected = () => {
-        connected++;
-        if (connected < 2) return;
-
-        helper.on("newCall", (data) => {
-          expect(data.callerId).toBe("employer-1");
-          expect(data.sdpOffer).toBe("mock-sdp-offer");
-          employer.close();
-          helper.close();
-          done();
-        });
+      employer.emit("endCall", { calleeId: "hlp-end-1" });
 
-        employer.emit("makeCall", {
-          calleeId: "helper-1",
-          sdpOffer: "mock-sdp-offer",
-        });
-      };
+      expect(await ended).toEqual({ callId, from: "emp-end-1" });
+      expect(await left).toEqual({ callId, to: "hlp-end-1" });
+    });
 
-      employer.on("connect", onBothConnected);
-      helper.on("connect", onBothConnected);
+    test("emits signalError when there is no call to end", async () => {
+      const employer = await connect("emp-end-2");
+      const signalError = waitForEvent(employer, "signalError");
+
+      employer.emit("endCall", { calleeId: "hlp-end-2" });
+
+      expect((await signalError).code).toBe("CALL_NOT_FOUND");
     });
 
-    test("emits signalError when calleeId is missing", (done) => {
-      const client = createClient("employer-2");
-      client.on("connect", () => {
-        client.on("signalError", (data) => {
-          expect(data.code).toBe("INVALID_MAKE_CALL_PAYLOAD");
-          client.close();
-          done();
-        });
+    test("emits signalError when calleeId is missing", async () => {
+      const client = await connect("emp-end-3");
+      const signalError = waitForEvent(client, "signalError");
 
-        client.emit("makeCall", { sdpOffer: "offer" });
-      });
+      client.emit("endCall", {});
+
+      expect((await signalError).code).toBe("INVALID_END_CALL_PAYLOAD");
     });
+  });
 
-    test("emits signalError when sdpOffer is missing", (done) => {
-      const client = createClient("employer-3");
-      client.on("connect", () => {
-        client.on("signalError", (data) => {
-          expect(data.code).toBe("INVALID_MAKE_CALL_PAYLOAD");
-          client.close();
-          done();
-        });
+  describe("Call Signaling: reconnect", () => {
+    test("tells both sides when a participant drops and comes back", async () => {
+      const employer = await connect("emp-rejoin-0");
+      let helper = await connect("hlp-rejoin-0");
+      const callId = await startCall(employer, helper, "hlp-rejoin-0");
+      const disconnected = waitForEvent(employer, "peerDisconnected");
+
+      helper.close();
+
+      expect(await disconnected).toEqual({
+        callId,
+        userId: "hlp-rejoin-0",
+        graceMs: 15000,
+        timestamp: expect.any(String),
+      });
+      const employerNotified = waitForEvent(employer, "peerReconnected");
+      helper = createClient(port, {
+        token: signToken({ sub: "hlp-rejoin-0" }, AUTH_TOKEN_SECRET),
+      });
+      clients.push(helper);
+      const helperNotified = waitForEvent(helper, "peerReconnected");
+
+      const expected = {
+        callId,
+        userId: "hlp-rejoin-0",
+        timestamp: expect.any(String),
+      };
+      expect(await employerNotified).toEqual(expected);
+      expect(await helperNotified).toEqual(expected);
+      // The call carries on.
+      const ended = waitForEvent(helper, "callEnded");
+      employer.emit("endCall", { calleeId: "hlp-rejoin-0" });
+      expect((await ended).callId).toBe(callId);
+    });
 
-        client.emit("makeCall", { calleeId: "helper-x" });
+    test("keeps caption preferences while the call waits for a reconnect", async () => {
+      const employer = await connect("emp-rejoin-1");
+      let helper = await connect("hlp-rejoin-1");
+      await startCall(employer, helper, "hlp-rejoin-1");
+      const updated = waitForEvent(helper, "languagePreferencesUpdated");
+      helper.emit("setLanguagePreferences", {
+        captionLanguage: "my",
+        tts: true,
+      });
+      await updated;
+
+      const disconnected = waitForEvent(employer, "peerDisconnected");
+      helper.close();
+      await disconnected;
+      const reconnected = waitForEvent(employer, "peerReconnected");
+      helper = await connect("hlp-rejoin-1");
+      await reconnected;
+
+      mockRecognize.mockResolvedValueOnce({
+        transcript: "Hello",
+        languageCode: "en-US",
+      });
+      mockTranslate.mockResolvedValueOnce("မင်္ဂလာပါ");
+      mockSynthesize.mockResolvedValueOnce({
+        audioContent: Buffer.from("speech"),
+        encoding: "LINEAR16",
+        sampleRateHertz: 24000,
+        mimeType: "audio/wav",
       });
+      const result = waitForEvent(helper, "sttResult");
+      const speech = waitForEvent(helper, "ttsAudio");
+
+      employer.emit("audioRecording", {
+        to: "hlp-rejoin-1",
+        audio: createAudio("rejoin-audio"),
+        language: "en-US",
+        encoding: "LINEAR16",
+        sampleRateHertz: 16000,
+      });
+
+      expect((await result).translated).toBe("မင်္ဂလာပါ");
+      expect(mockTranslate).toHaveBeenCalledWith(
+        expect.objectContaining({ targetLanguageCode: "my" })
+      );
+      expect((await speech).language).toBe("my");
     });
   });
 
-  describe("Call Signaling: answerCall", () => {
-    test("helper answers and employer receives callAnswered", (done) => {
-      const employer = createClient("emp-answer-1");
-      const helper = createClient("hlp-answer-1");
-
-      let connected = 0;
-      const onBothConnected = () => {
-        connected++;
-        if (connected < 2) return;
-
-        employer.on("callAnswered", (data) => {
-          expect(data.callee).toBe("hlp-answer-1");
-          expect(data.sdpAnswer).toBe("mock-sdp-answer");
-          employer.close();
-          helper.close();
-          done();
-        });
+  describe("Call Signaling: IceCandidate", () => {
+    test("forwards ICE candidate to the correct peer", async () => {
+      const employer = await connect("emp-ice-1");
+      const helper = await connect("hlp-ice-1");
+      const callId = await startCall(employer, helper, "hlp-ice-1");
+      const candidate = waitForEvent(helper, "IceCandidate");
+
+      employer.emit("IceCandidate", {
+        calleeId: "hlp-ice-1",
+        iceCandidate: { candidate: "mock-candidate" },
+      });
 
-        helper.emit("answerCall", {
-          callerId: "emp-answer-1",
-          sdpAnswer: "mock-sdp-answer",
-        });
-      };
+      expect(await candidate).toEqual({
+        callId,
+        sender: "emp-ice-1",
+        iceCandidate: { candidate: "mock-candidate" },
+      });
+    });
+
+    test("emits signalError when iceCandidate is null", async () => {
+      const client = await connect("emp-ice-2");
+      const signalError = waitForEvent(client, "signalError");
 
-      employer.on("connect", onBothConnected);
-      helper.on("connect", onBothConnected);
+      client.emit("IceCandidate", {
+        calleeId: "hlp-ice-2",
+        iceCandidate: null,
+      });
+
+      expect((await signalError).code).toBe("INVALID_ICE_CANDIDATE_PAYLOAD");
     });
 
-    test("emits signalError when callerId is missing", (done) => {
-      const client = createClient("hlp-answer-2");
-      client.on("connect", () => {
-        client.on("signalError", (data) => {
-          expect(data.code).toBe("INVALID_ANSWER_CALL_PAYLOAD");
-          client.close();
-          done();
-        });
+    test("refuses ICE candidates outside a call", async () => {
+      const employer = await connect("emp-ice-3");
+      await connect("hlp-ice-3");
+      const signalError = waitForEvent(employer, "signalError");
 
-        client.emit("answerCall", { sdpAnswer: "answer" });
+      employer.emit("IceCandidate", {
+        calleeId: "hlp-ice-3",
+        iceCandidate: { candidate: "mock-candidate" },
       });
+
+      expect((await signalError).code).toBe("FORBIDDEN");
     });
   });
 
-  describe("Call Signaling: endCall", () => {
-    test("employer ends call and helper receives callEnded", (done) => {
-      const employer = createClient("emp-end-1");
-      const helper = createClient("hlp-end-1");
-
-      let connected = 0;
-      const onBothConnected = () => {
-        connected++;
-        if (connected < 2) return;
-
-        helper.on("callEnded", (data) => {
-          expect(data.from).toBe("emp-end-1");
-          employer.close();
-          helper.close();
-          done();
-        });
+  // ─── Conference Rooms ──────────────────────────────────────────────────────
+
+  describe("Conference rooms", () => {
+    // Creates a room owned by `owner` and joins `others` one by one.
+    const createRoom = async (owner, others) => {
+      const created = waitForEvent(owner, "roomCreated");
+      owner.emit("createRoom", { name: "Interview" });
+      const { roomId } = await created;
+      for (const participant of others) {
+        const joined = waitForEvent(participant, "roomJoined");
+        participant.emit("joinRoom", { roomId });
+        await joined;
+      }
+      return roomId;
+    };
+
+    test("announces participants as they join and leave", async () => {
+      const owner = await connect("room-owner-1");
+      const guest = await connect("room-guest-1");
+      const created = waitForEvent(owner, "roomCreated");
+      owner.emit("createRoom", { name: "Interview" });
+      const room = await created;
+      expect(room).toEqual({
+        roomId: expect.any(String),
+        ownerId: "room-owner-1",
+        name: "Interview",
+        participants: ["room-owner-1"],
+        createdAt: expect.any(String),
+      });
 
-        employer.emit("endCall", { calleeId: "hlp-end-1" });
-      };
+      const joined = waitForEvent(guest, "roomJoined");
+      const ownerSeesJoin = waitForEvent(owner, "participantJoined");
+      guest.emit("joinRoom", { roomId: room.roomId });
 
-      employer.on("connect", onBothConnected);
-      helper.on("connect", onBothConnected);
+      expect((await joined).participants).toEqual([
+        "room-owner-1",
+        "room-guest-1",
+      ]);
+      expect(await ownerSeesJoin).toEqual({
+        roomId: room.roomId,
+        userId: "room-guest-1",
+        participants: ["room-owner-1", "room-guest-1"],
+      });
+
+      const left = waitForEvent(guest, "roomLeft");
+      const ownerSeesLeave = waitForEvent(owner, "participantLeft");
+      guest.emit("leaveRoom", { roomId: room.roomId });
+
+      expect(await left).toEqual({ roomId: room.roomId });
+      expect(await ownerSeesLeave).toEqual({
+        roomId: room.roomId,
+        userId: "room-guest-1",
+        participants: ["room-owner-1"],
+      });
     });
 
-    test("employer receives leaveCall after ending", (done) => {
-      const employer = createClient("emp-end-2");
+    test("removes a participant whose last socket disconnects", async () => {
+      const owner = await connect("room-owner-2");
+      const guest = await connect("room-guest-2");
+      const roomId = await createRoom(owner, [guest]);
+      const ownerSeesLeave = waitForEvent(owner, "participantLeft");
 
-      employer.on("connect", () => {
-        employer.on("leaveCall", (data) => {
-          expect(data.to).toBe("hlp-end-2");
-          employer.close();
-          done();
-        });
+      guest.close();
 
-        employer.emit("endCall", { calleeId: "hlp-end-2" });
+      expect(await ownerSeesLeave).toEqual({
+        roomId,
+        userId: "room-guest-2",
+        participants: ["room-owner-2"],
       });
     });
 
-    test("emits signalError when calleeId is missing", (done) => {
-      const client = createClient("emp-end-3");
-      client.on("connect", () => {
-        client.on("signalError", (data) => {
-          expect(data.code).toBe("INVALID_END_CALL_PAYLOAD");
-          client.close();
-          done();
-        });
+    test("emits signalError for a room that does not exist", async () => {
+      const guest = await connect("room-guest-3");
+      const signalError = waitForEvent(guest, "signalError");
 
-        client.emit("endCall", {});
+      guest.emit("joinRoom", { roomId: "no-such-room" });
+
+      expect(await signalError).toMatchObject({
+        code: "ROOM_NOT_FOUND",
+        roomId: "no-such-room",
       });
     });
-  });
 
-  describe("Call Signaling: IceCandidate", () => {
-    test("forwards ICE candidate to the correct peer", (done) => {
-      const employer = createClient("emp-ice-1");
-      const helper = createClient("hlp-ice-1");
-
-      let connected = 0;
-      const onBothConnected = () => {
-        connected++;
-        if (connected < 2) return;
-
-        helper.on("IceCandidate", (data) => {
-          expect(data.sender).toBe("emp-ice-1");
-          expect(data.iceCandidate).toEqual({ candidate: "mock-candidate" });
-          employer.close();
-          helper.close();
-          done();
-        });
+    test("synthesizes each caption once for the listeners who want speech", async () => {
+      const speaker = await connect("room-speaker-5");
+      const listeners = [
+        await connect("room-listener-a-5"),
+        await connect("room-listener-b-5"),
+        await connect("room-listener-c-5"),
+      ];
+      const roomId = await createRoom(speaker, listeners);
+      for (const [listener, tts] of [
+        [listeners[0], true],
+        [listeners[1], true],
+        [listeners[2], false],
+      ]) {
+        const updated = waitForEvent(listener, "languagePreferencesUpdated");
+        listener.emit("setLanguagePreferences", { captionLanguage: "my", tts });
+        await updated;
+      }
+      mockRecognize.mockResolvedValueOnce({
+        transcript: "Good afternoon",
+        languageCode: "en-US",
+      });
+      mockTranslate.mockResolvedValue("မင်္ဂလာ နေ့လည်ခင်းပါ");
+      mockSynthesize.mockResolvedValue({
+        audioContent: Buffer.from("speech"),
+        encoding: "LINEAR16",
+        sampleRateHertz: 24000,
+        mimeType: "audio/wav",
+      });
+      const silentListener = jest.fn();
+      listeners[2].on("ttsAudio", silentListener);
+      const speech = listeners
+        .slice(0, 2)
+        .map((listener) => waitForEvent(listener, "ttsAudio"));
+      const lastCaption = waitForEvent(listeners[2], "sttResult");
+
+      speaker.emit("audioRecording", {
+        roomId,
+        audio: createAudio("room-tts-audio"),
+        language: "en-US",
+        encoding: "LINEAR16",
+        sampleRateHertz: 16000,
+      });
 
-        employer.emit("IceCandidate", {
-          calleeId: "hlp-ice-1",
-          iceCandidate: { candidate: "mock-candidate" },
-        });
-      };
+      const delivered = await Promise.all(speech);
+      await lastCaption;
+      expect(delivered.map((data) => data.to)).toEqual([
+        "room-listener-a-5",
+        "room-listener-b-5",
+      ]);
+      expect(delivered[0].roomId).toBe(roomId);
+      expect(mockSynthesize).toHaveBeenCalledTimes(1);
+      expect(silentListener).not.toHaveBeenCalled();
+    });
+
+    test("still captions the room when one language fails to translate", async () => {
+      const speaker = await connect("room-speaker-6");
+      const listeners = [
+        await connect("room-listener-my-6"),
+        await connect("room-listener-fil-6"),
+      ];
+      const roomId = await createRoom(speaker, listeners);
+      for (const [listener, captionLanguage] of [
+        [listeners[0], "my"],
+        [listeners[1], "fil"],
+      ]) {
+        const updated = waitForEvent(listener, "languagePreferencesUpdated");
+        listener.emit("setLanguagePreferences", { captionLanguage });
+        await updated;
+      }
+      mockRecognize.mockResolvedValueOnce({
+        transcript: "Please take a seat",
+        languageCode: "en-US",
+      });
+      mockTranslate.mockImplementation(async ({ text, targetLanguageCode }) => {
+        if (targetLanguageCode === "my") {
+          throw new Error("Translation quota exceeded");
+        }
+        return `[${targetLanguageCode}] ${text}`;
+      });
+      const failed = waitForEvent(speaker, "sttError");
+      const caption = waitForEvent(listeners[1], "sttResult");
+      const missedCaption = jest.fn();
+      listeners[0].on("sttResult", missedCaption);
+
+      speaker.emit("audioRecording", {
+        roomId,
+        audio: createAudio("room-partial-audio"),
+        language: "en-US",
+        encoding: "LINEAR16",
+        sampleRateHertz: 16000,
+      });
 
-      employer.on("connect", onBothConnected);
-      helper.on("connect", onBothConnected);
+      expect(await failed).toMatchObject({
+        code: "CAPTION_TRANSLATION_FAILED",
+        to: "room-listener-my-6",
+      });
+      expect((await caption).translated).toBe("[fil] Please take a seat");
+      expect(missedCaption).not.toHaveBeenCalled();
     });
 
-    test("emits signalError when iceCandidate is null", (done) => {
-      const client = createClient("emp-ice-2");
-      client.on("connect", () => {
-        client.on("signalError", (data) => {
-          expect(data.code).toBe("INVALID_ICE_CANDIDATE_PAYLOAD");
-          client.close();
-          done();
-        });
+    test("translates room captions for each participant", async () => {
+      const speaker = await connect("room-speaker-4");
+      const listeners = [
+        await connect("room-listener-my-4"),
+        await connect("room-listener-fil-4"),
+      ];
+      const roomId = await createRoom(speaker, listeners);
+      for (const [listener, captionLanguage] of [
+        [listeners[0], "my"],
+        [listeners[1], "fil"],
+      ]) {
+        const updated = waitForEvent(listener, "languagePreferencesUpdated");
+        listener.emit("setLanguagePreferences", { captionLanguage });
+        await updated;
+      }
+      mockRecognize.mockResolvedValueOnce({
+        transcript: "Welcome",
+        languageCode: "en-US",
+      });
+      mockTranslate.mockImplementation(
+        async ({ text, targetLanguageCode }) => `[${targetLanguageCode}] ${text}`
+      );
+      const results = listeners.map((listener) =>
+        waitForEvent(listener, "sttResult")
+      );
 
-        client.emit("IceCandidate", {
-          calleeId: "hlp-ice-2",
-          iceCandidate: null,
-        });
+      speaker.emit("audioRecording", {
+        roomId,
+        audio: createAudio("room-audio"),
+        language: "en-US",
+        encoding: "LINEAR16",
+        sampleRateHertz: 16000,
+      });
+
+      const [burmese, filipino] = await Promise.all(results);
+      expect(burmese).toMatchObject({
+        roomId,
+        from: "room-speaker-4",
+        to: "room-listener-my-4",
+        text: "Welcome",
+        translated: "[my] Welcome",
+      });
+      expect(filipino).toMatchObject({
+        to: "room-listener-fil-4",
+        translated: "[fil] Welcome",
       });
     });
   });
@@ -687,271 +825,1120 @@ describe("Socket.IO Server Integration", () => {
   // ─── Audio Recording / STT / Translation Pipeline ─────────────────────────
 
   describe("audioRecording -> STT -> Translation pipeline", () => {
-    test("processes audio, transcribes, translates, and emits sttResult", (done) => {
-      const audioBase64 = Buffer.from("fake-audio-data").toString("base64");
-
-      // Mock STT: returns "Hello, how are you?"
-      mockRecognize.mockResolvedValueOnce([
-        {
-          results: [
-            { alternatives: [{ transcript: "Hello, how are you?" }] },
-          ],
-        },
-      ]);
+    // Connects both users and puts them in a call.
+    const connectCall = async (senderId, receiverId) => {
+      const sender = await connect(senderId);
+      const receiver = await connect(receiverId);
+      await startCall(sender, receiver, receiverId);
+      return { sender, receiver };
+    };
+
+    test("processes audio, transcribes, translates, and emits sttResult", async () => {
+      const { sender, receiver } = await connectCall(
+        "sender-stt-1",
+        "receiver-stt-1"
+      );
+      mockRecognize.mockResolvedValueOnce({
+        transcript: "Hello, how are you?",
+        languageCode: "en-US",
+      });
+      mockTranslate.mockResolvedValueOnce("မင်္ဂလာပါ၊ နေကောင်းလား?");
+      const result = waitForEvent(receiver, "sttResult");
+      const audio = createAudio("fake-audio-data");
+
+      sender.emit("audioRecording", {
+        to: "receiver-stt-1",
+        audio,
+        language: "en-US",
+        targetLanguage: "my",
+        encoding: "LINEAR16",
+        sampleRateHertz: 16000,
+        sequenceId: 1,
+      });
 
-      // Mock Translation: EN -> MY
-      mockTranslateText.mockResolvedValueOnce([
-        {
-          translations: [{ translatedText: "မင်္ဂလာပါ၊ နေကောင်းလား?" }],
-        },
-      ]);
+      const data = await result;
+      expect(data.text).toBe("Hello, how are you?");
+      expect(data.translated).toBe("မင်္ဂလာပါ၊ နေကောင်းလား?");
+      expect(data.from).toBe("sender-stt-1");
+      expect(data.to).toBe("receiver-stt-1");
+      expect(data.sequenceId).toBe(1);
+      expect(mockRecognize).toHaveBeenCalledWith(
+        expect.objectContaining({
+          audioContent: audio,
+          encoding: "LINEAR16",
+          sampleRateHertz: 16000,
+          languageCode: "en-US",
+        })
+      );
+      expect(mockTranslate).toHaveBeenCalledWith({
+        text: "Hello, how are you?",
+        sourceLanguageCode: "en",
+        targetLanguageCode: "my",
+      });
+    });
 
-      const sender = createClient("sender-stt-1");
-      const receiver = createClient("receiver-stt-1");
+    test("drops resent chunks but counts sequenceIds afresh in the next call", async () => {
+      const { sender, receiver } = await connectCall(
+        "sender-seq",
+        "receiver-seq"
+      );
+      mockRecognize.mockResolvedValue({ transcript: "Hi", languageCode: "en" });
+      const results = [];
+      receiver.on("sttResult", (data) => results.push(data));
+      const resultCount = (count) =>
+        new Promise((resolve) => {
+          const onResult = () => {
+            if (results.length >= count) {
+              receiver.off("sttResult", onResult);
+              resolve();
+            }
+          };
+          receiver.on("sttResult", onResult);
+        });
+      const sendChunk = (sequenceId) =>
+        sender.emit("audioRecording", {
+          to: "receiver-seq",
+          audio: createAudio(`chunk-${sequenceId}`),
+          language: "en-US",
+          targetLanguage: "en",
+          encoding: "LINEAR16",
+          sampleRateHertz: 16000,
+          sequenceId,
+        });
 
-      let connected = 0;
-      const onBothConnected = () => {
-        connected++;
-        if (connected < 2) return;
+      const firstCall = resultCount(2);
+      sendChunk(0);
+      sendChunk(1);
+      sendChunk(1);
+      await firstCall;
+
+      const left = waitForEvent(sender, "leaveCall");
+      sender.emit("endCall", { calleeId: "receiver-seq" });
+      await left;
+      await startCall(sender, receiver, "receiver-seq");
+      const secondCall = resultCount(3);
+      sendChunk(0);
+      await secondCall;
+
+      expect(results.map((result) => result.sequenceId)).toEqual([0, 1, 0]);
+      expect(mockRecognize).toHaveBeenCalledTimes(3);
+    });
 
+    test("delivers captions in sequence order when chunks arrive out of order", async () => {
+      const { sender, receiver } = await connectCall(
+        "sender-order",
+        "receiver-order"
+      );
+      mockRecognize.mockResolvedValue({ transcript: "Hi", languageCode: "en" });
+      const results = [];
+      const delivered = new Promise((resolve) => {
         receiver.on("sttResult", (data) => {
-          expect(data.text).toBe("Hello, how are you?");
-          expect(data.translated).toBe("မင်္ဂလာပါ၊ နေကောင်းလား?");
-          expect(data.from).toBe("sender-stt-1");
-          expect(data.to).toBe("receiver-stt-1");
-          sender.close();
-          receiver.close();
-          done();
+          results.push(data.sequenceId);
+          if (results.length === 3) {
+            resolve();
+          }
         });
+      });
 
+      for (const sequenceId of [0, 2, 1]) {
         sender.emit("audioRecording", {
-          to: "receiver-stt-1",
-          audio: audioBase64,
+          to: "receiver-order",
+          audio: createAudio(`chunk-${sequenceId}`),
           language: "en-US",
-          targetLanguage: "my",
+          targetLanguage: "en",
           encoding: "LINEAR16",
           sampleRateHertz: 16000,
-          sequenceId: 1,
+          sequenceId,
         });
-      };
+      }
+      await delivered;
 
-      sender.on("connect", onBothConnected);
-      receiver.on("connect", onBothConnected);
+      expect(results).toEqual([0, 1, 2]);
     });
 
-    test("skips translation when source and target language are the same", (done) => {
-      const audioBase64 = Buffer.from("fake-audio").toString("base64");
+    test("skips translation when source and target language are the same", async () => {
+      const { sender, receiver } = await connectCall(
+        "sender-stt-same",
+        "receiver-stt-same"
+      );
+      mockRecognize.mockResolvedValueOnce({
+        transcript: "No translation needed",
+        languageCode: "en-US",
+      });
+      const result = waitForEvent(receiver, "sttResult");
+
+      sender.emit("audioRecording", {
+        to: "receiver-stt-same",
+        audio: createAudio("fake-audio"),
+        language: "en-US",
+        targetLanguage: "en",
+        encoding: "LINEAR16",
+        sampleRateHertz: 16000,
+      });
 
-      mockRecognize.mockResolvedValueOnce([
-        {
-          results: [{ alternatives: [{ transcript: "No translation needed" }] }],
-        },
-      ]);
+      const data = await result;
+      expect(data.text).toBe("No translation needed");
+      // Translation should be the same as text since EN->EN
+      expect(data.translated).toBe("No translation needed");
+      expect(mockTranslate).not.toHaveBeenCalled();
+    });
+
+    test("emits sttError when STT processing fails", async () => {
+      const { sender } = await connectCall(
+        "sender-stt-err",
+        "receiver-stt-err"
+      );
+      mockRecognize.mockRejectedValueOnce(new Error("STT service unavailable"));
+      const sttError = waitForEvent(sender, "sttError");
+
+      sender.emit("audioRecording", {
+        to: "receiver-stt-err",
+        audio: createAudio("bad-audio"),
+        language: "en-US",
+        encoding: "LINEAR16",
+        sampleRateHertz: 16000,
+      });
 
-      const sender = createClient("sender-stt-same");
-      const receiver = createClient("receiver-stt-same");
+      const data = await sttError;
+      expect(data.code).toBe("STT_PROCESSING_FAILED");
+      expect(data.message).toBe("Unable to process this audio chunk");
+    });
 
-      let connected = 0;
-      const onBothConnected = () => {
-        connected++;
-        if (connected < 2) return;
+    test("emits sttError for invalid payload (missing audio)", async () => {
+      const sender = await connect("sender-stt-invalid");
+      const sttError = waitForEvent(sender, "sttError");
 
-        receiver.on("sttResult", (data) => {
-          expect(data.text).toBe("No translation needed");
-          // Translation should be the same as text since EN->EN
-          expect(data.translated).toBe("No translation needed");
-          expect(mockTranslateText).not.toHaveBeenCalled();
-          sender.close();
-          receiver.close();
-          done();
+      sender.emit("audioRecording", {
+        to: "receiver-stt-invalid",
+        // missing audio field
+      });
+
+      expect((await sttError).code).toBe("STT_INVALID_PAYLOAD");
+    });
+
+    test("refuses captions outside a call", async () => {
+      const sender = await connect("sender-stt-nocall");
+      await connect("receiver-stt-nocall");
+      const signalError = waitForEvent(sender, "signalError");
+
+      sender.emit("audioRecording", {
+        to: "receiver-stt-nocall",
+        audio: createAudio("audio"),
+        language: "en-US",
+        encoding: "LINEAR16",
+        sampleRateHertz: 16000,
+      });
+
+      expect((await signalError).code).toBe("FORBIDDEN");
+      expect(mockRecognize).not.toHaveBeenCalled();
+    });
+
+    test("does not emit sttResult when transcription is empty", async () => {
+      const { sender, receiver } = await connectCall(
+        "sender-stt-empty",
+        "receiver-stt-empty"
+      );
+      mockRecognize.mockResolvedValueOnce({
+        transcript: "",
+        languageCode: "en-US",
+      });
+      const received = jest.fn();
+      receiver.on("sttResult", received);
+
+      sender.emit("audioRecording", {
+        to: "receiver-stt-empty",
+        audio: createAudio("silent-audio"),
+        language: "en-US",
+        encoding: "LINEAR16",
+        sampleRateHertz: 16000,
+      });
+
+      // Wait a bit and verify no result was emitted
+      await new Promise((resolve) => setTimeout(resolve, 300));
+      expect(mockRecognize).toHaveBeenCalled();
+      expect(received).not.toHaveBeenCalled();
+    });
+
+    test("speaks translated captions to a listener who turned on tts", async () => {
+      const { sender, receiver } = await connectCall(
+        "sender-tts-1",
+        "receiver-tts-1"
+      );
+      const updated = waitForEvent(receiver, "languagePreferencesUpdated");
+      receiver.emit("setLanguagePreferences", {
+        captionLanguage: "my",
+        tts: true,
+      });
+      expect(await updated).toEqual({
+        spokenLanguage: null,
+        captionLanguage: "my",
+        tts: true,
+      });
+      mockRecognize.mockResolvedValueOnce({
+        transcript: "Hello",
+        languageCode: "en-US",
+      });
+      mockTranslate.mockResolvedValueOnce("မင်္ဂလာပါ");
+      mockSynthesize.mockResolvedValueOnce({
+        audioContent: Buffer.from("speech"),
+        encoding: "LINEAR16",
+        sampleRateHertz: 24000,
+        mimeType: "audio/wav",
+      });
+      const caption = waitForEvent(receiver, "sttResult");
+      const speech = waitForEvent(receiver, "ttsAudio");
+
+      sender.emit("audioRecording", {
+        to: "receiver-tts-1",
+        audio: createAudio("tts-audio"),
+        language: "en-US",
+        encoding: "LINEAR16",
+        sampleRateHertz: 16000,
+        sequenceId: 3,
+      });
+
+      const { utteranceId } = await caption;
+      const data = await speech;
+      expect(data).toMatchObject({
+        encoding: "LINEAR16",
+        sampleRateHertz: 24000,
+        mimeType: "audio/wav",
+        language: "my",
+        text: "မင်္ဂလာပါ",
+        from: "sender-tts-1",
+        to: "receiver-tts-1",
+        utteranceId,
+        sequenceId: 3,
+      });
+      expect(Buffer.from(data.audio).toString()).toBe("speech");
+      expect(mockSynthesize).toHaveBeenCalledWith({
+        text: "မင်္ဂလာပါ",
+        languageCode: "my-MM",
+      });
+    });
+
+    test("reports failed synthesis to the listener and counts it", async () => {
+      const { sender, receiver } = await connectCall(
+        "sender-tts-err",
+        "receiver-tts-err"
+      );
+      const updated = waitForEvent(receiver, "languagePreferencesUpdated");
+      receiver.emit("setLanguagePreferences", {
+        captionLanguage: "my",
+        tts: true,
+      });
+      await updated;
+      mockRecognize.mockResolvedValueOnce({
+        transcript: "Hello",
+        languageCode: "en-US",
+      });
+      mockTranslate.mockResolvedValueOnce("မင်္ဂလာပါ");
+      mockSynthesize.mockRejectedValueOnce(new Error("TTS unavailable"));
+      const sttError = waitForEvent(receiver, "sttError");
+
+      sender.emit("audioRecording", {
+        to: "receiver-tts-err",
+        audio: createAudio("tts-audio"),
+        language: "en-US",
+        encoding: "LINEAR16",
+        sampleRateHertz: 16000,
+      });
+
+      expect(await sttError).toEqual(
+        expect.objectContaining({
+          code: "TTS_FAILED",
+          from: "sender-tts-err",
+        })
+      );
+      const metrics = await fetch(`http://localhost:${port}/metrics`);
+      expect(await metrics.text()).toMatch(
+        /socket_errors_total\{[^}]*code="TTS_FAILED"[^}]*\} 1/
+      );
+    });
+
+    test("a failing synthesis does not hold up speech for the next utterance", async () => {
+      const { sender, receiver } = await connectCall(
+        "sender-tts-next",
+        "receiver-tts-next"
+      );
+      const updated = waitForEvent(receiver, "languagePreferencesUpdated");
+      receiver.emit("setLanguagePreferences", {
+        captionLanguage: "my",
+        tts: true,
+      });
+      await updated;
+      mockRecognize
+        .mockResolvedValueOnce({ transcript: "One moment", languageCode: "en" })
+        .mockResolvedValueOnce({ transcript: "All done", languageCode: "en" });
+      mockTranslate
+        .mockResolvedValueOnce("ခဏစောင့်ပါ")
+        .mockResolvedValueOnce("ပြီးပါပြီ");
+      mockSynthesize
+        .mockImplementationOnce(() => {
+          throw new Error("TTS misconfigured");
+        })
+        .mockResolvedValueOnce({
+          audioContent: Buffer.from("speech"),
+          encoding: "LINEAR16",
+          sampleRateHertz: 24000,
+          mimeType: "audio/wav",
         });
+      const sttError = waitForEvent(receiver, "sttError");
+      const speech = waitForEvent(receiver, "ttsAudio");
 
+      for (const label of ["tts-next-1", "tts-next-2"]) {
         sender.emit("audioRecording", {
-          to: "receiver-stt-same",
-          audio: audioBase64,
+          to: "receiver-tts-next",
+          audio: createAudio(label),
           language: "en-US",
-          targetLanguage: "en",
           encoding: "LINEAR16",
           sampleRateHertz: 16000,
         });
-      };
+      }
 
-      sender.on("connect", onBothConnected);
-      receiver.on("connect", onBothConnected);
+      expect((await sttError).code).toBe("TTS_FAILED");
+      expect((await speech).text).toBe("ပြီးပါပြီ");
+      expect(mockSynthesize).toHaveBeenCalledTimes(2);
     });
 
-    test("emits sttError when STT processing fails", (done) => {
-      const audioBase64 = Buffer.from("bad-audio").toString("base64");
-
-      mockRecognize.mockRejectedValueOnce(new Error("STT service unavailable"));
-
-      const sender = createClient("sender-stt-err");
+    // ─── Back-pressure Tests ─────────────────────────────────────────────────
 
-      sender.on("connect", () => {
+    test("emits STT_BACKPRESSURE when too many pending requests", async () => {
+      const { sender } = await connectCall("sender-bp", "receiver-bp");
+      // Recognition never finishes, so requests pile up.
+      mockRecognize.mockImplementation(() => new Promise(() => {}));
+      const backpressure = new Promise((resolve) => {
         sender.on("sttError", (data) => {
-          expect(data.code).toBe("STT_PROCESSING_FAILED");
-          expect(data.message).toBe("Unable to process this audio chunk");
-          sender.close();
-          done();
+          if (data.code === "STT_BACKPRESSURE") {
+            resolve(data);
+          }
         });
+      });
 
+      // Send more than MAX_STT_PENDING_REQUESTS (8) audio chunks rapidly
+      for (let i = 0; i < 12; i++) {
         sender.emit("audioRecording", {
-          to: "receiver-stt-err",
-          audio: audioBase64,
+          to: "receiver-bp",
+          audio: createAudio("audio"),
           language: "en-US",
           encoding: "LINEAR16",
           sampleRateHertz: 16000,
+          sequenceId: i,
         });
+      }
+
+      expect((await backpressure).message).toBe(
+        "Too many queued audio chunks"
+      );
+    });
+
+    // ─── Myanmar to English Translation ──────────────────────────────────────
+
+    test("processes Myanmar audio and translates to English", async () => {
+      const { sender, receiver } = await connectCall(
+        "sender-my",
+        "receiver-my"
+      );
+      mockRecognize.mockResolvedValueOnce({
+        transcript: "မင်္ဂလာပါ",
+        languageCode: "my-MM",
+      });
+      mockTranslate.mockResolvedValueOnce("Hello");
+      const result = waitForEvent(receiver, "sttResult");
+
+      sender.emit("audioRecording", {
+        to: "receiver-my",
+        audio: createAudio("myanmar-audio"),
+        language: "my-MM",
+        targetLanguage: "en",
+        encoding: "LINEAR16",
+        sampleRateHertz: 16000,
+      });
+
+      const data = await result;
+      expect(data.text).toBe("မင်္ဂလာပါ");
+      expect(data.translated).toBe("Hello");
+      expect(data.from).toBe("sender-my");
+      expect(mockTranslate).toHaveBeenCalledWith({
+        text: "မင်္ဂလာပါ",
+        sourceLanguageCode: "my",
+        targetLanguageCode: "en",
       });
     });
+  });
 
-    test("emits sttError for invalid payload (missing audio)", (done) => {
-      const sender = createClient("sender-stt-invalid");
+  // ─── Streaming Recognition (stub provider) ───────────────────────────────
+
+  describe("sttStreamStart -> sttStreamChunk -> sttStreamEnd", () => {
+    // The stub echoes text audio, so raw text is the transcript.
+    const textAudio = (text) => Buffer.from(text).toString("base64");
+
+    const startStream = async (senderId, receiverId) => {
+      const sender = await connect(senderId);
+      const receiver = await connect(receiverId);
+      await startCall(sender, receiver, receiverId);
+      const started = waitForEvent(sender, "sttStreamStarted");
+      sender.emit("sttStreamStart", {
+        to: receiverId,
+        language: "en-US",
+        targetLanguage: "my",
+        encoding: "LINEAR16",
+        sampleRateHertz: 16000,
+      });
+      const { streamId } = await started;
+      return { sender, receiver, streamId };
+    };
+
+    test("sends partials and the final caption with their chunks' sequenceIds", async () => {
+      const { sender, receiver, streamId } = await startStream(
+        "sender-stream-1",
+        "receiver-stream-1"
+      );
+      mockTranslate.mockResolvedValueOnce("မင်္ဂလာပါ");
+      const partials = [];
+      receiver.on("sttPartial", (data) => partials.push(data));
+      const result = waitForEvent(receiver, "sttResult");
+
+      sender.emit("sttStreamChunk", { audio: textAudio("good"), sequenceId: 1 });
+      sender.emit("sttStreamChunk", {
+        audio: textAudio("morning."),
+        sequenceId: 2,
+      });
 
-      sender.on("connect", () => {
-        sender.on("sttError", (data) => {
-          expect(data.code).toBe("STT_INVALID_PAYLOAD");
-          sender.close();
-          done();
-        });
+      expect(await result).toMatchObject({
+        text: "good morning.",
+        translated: "မင်္ဂလာပါ",
+        from: "sender-stream-1",
+        streamId,
+        sequenceId: 2,
+      });
+      expect(partials).toEqual([
+        expect.objectContaining({
+          text: "good",
+          from: "sender-stream-1",
+          to: "receiver-stream-1",
+          streamId,
+          sequenceId: 1,
+        }),
+      ]);
+      expect(partials[0].utteranceId).toBe((await result).utteranceId);
 
-        sender.emit("audioRecording", {
-          to: "receiver-stt-invalid",
-          // missing audio field
-        });
+      const ended = waitForEvent(sender, "sttStreamEnded");
+      sender.emit("sttStreamEnd");
+      expect(await ended).toEqual({ streamId });
+    });
+
+    test("refuses chunks without a stream and a second stream", async () => {
+      const { sender, streamId } = await startStream(
+        "sender-stream-2",
+        "receiver-stream-2"
+      );
+      const active = waitForEvent(sender, "sttError");
+      sender.emit("sttStreamStart", {
+        to: "receiver-stream-2",
+        language: "en-US",
+      });
+      expect(await active).toMatchObject({
+        code: "STT_STREAM_ACTIVE",
+        streamId,
+      });
+
+      const ended = waitForEvent(sender, "sttStreamEnded");
+      sender.emit("sttStreamEnd");
+      await ended;
+      const notStarted = waitForEvent(sender, "sttError");
+      sender.emit("sttStreamChunk", { audio: textAudio("late") });
+      expect((await notStarted).code).toBe("STT_STREAM_NOT_STARTED");
+    });
+
+    test("emits STT_BACKPRESSURE when chunks queue behind a slow request", async () => {
+      const { sender } = await startStream(
+        "sender-stream-bp",
+        "receiver-stream-bp"
+      );
+      // A one-shot chunk that is never recognized holds up the queue.
+      mockRecognize.mockImplementation(() => new Promise(() => {}));
+      sender.emit("audioRecording", {
+        to: "receiver-stream-bp",
+        audio: createAudio("audio"),
+        language: "en-US",
+        encoding: "LINEAR16",
+        sampleRateHertz: 16000,
+      });
+      const backpressure = waitForEvent(sender, "sttError");
+
+      for (let i = 0; i < 8; i++) {
+        sender.emit("sttStreamChunk", { audio: textAudio("more"), sequenceId: i });
+      }
+
+      expect(await backpressure).toMatchObject({
+        code: "STT_BACKPRESSURE",
+        message: "Too many queued audio chunks",
       });
     });
+  });
+});
 
-    test("does not emit sttResult when transcription is empty", (done) => {
-      const audioBase64 = Buffer.from("silent-audio").toString("base64");
+// ─── Integration Tests: Configured Limits and Timers ─────────────────────────
 
-      mockRecognize.mockResolvedValueOnce([{ results: [] }]);
+describe("Socket.IO Server Integration with custom settings", () => {
+  let translationServer;
+  let clients = [];
 
-      const sender = createClient("sender-stt-empty");
-      const receiver = createClient("receiver-stt-empty");
+  // Starts a server with the given settings; resolves with its port.
+  const start = async (env) => {
+    translationServer = createTranslationServer({
+      config: createTestConfig(env),
+      sttProvider,
+      logger: silentLogger,
+    });
+    const { port } = await translationServer.listen(0);
+    return port;
+  };
+
+  const connect = async (port, userId) => {
+    const client = await connectClient(port, userId);
+    clients.push(client);
+    return client;
+  };
+
+  afterEach(async () => {
+    clients.forEach((client) => client.close());
+    clients = [];
+    await translationServer?.shutdown("test");
+    translationServer = null;
+    mockRecognize.mockReset();
+    mockTranslate.mockReset();
+    mockSynthesize.mockReset();
+  });
 
-      let connected = 0;
-      const onBothConnected = () => {
-        connected++;
-        if (connected < 2) return;
+  // Connects both users and puts them in a call.
+  const connectCall = async (port, senderId, receiverId) => {
+    const sender = await connect(port, senderId);
+    const receiver = await connect(port, receiverId);
+    await startCall(sender, receiver, receiverId);
+    return { sender, receiver };
+  };
+
+  test("detects the spoken language when the chunk names none", async () => {
+    const { sender, receiver } = await connectCall(
+      await start({ LANGUAGE_DETECT_CANDIDATES: "en,my,fil,id" }),
+      "sender-detect-1",
+      "receiver-detect-1"
+    );
+    mockRecognize.mockResolvedValueOnce({
+      transcript: "ကျေးဇူးတင်ပါတယ်",
+      languageCode: "my-mm",
+    });
+    mockTranslate.mockResolvedValueOnce("Thank you");
+    const result = waitForEvent(receiver, "sttResult");
+
+    sender.emit("audioRecording", {
+      to: "receiver-detect-1",
+      audio: createAudio("unknown-language"),
+      targetLanguage: "en",
+      encoding: "LINEAR16",
+      sampleRateHertz: 16000,
+    });
 
-        // Should NOT receive sttResult for empty transcription
-        let received = false;
-        receiver.on("sttResult", () => {
-          received = true;
-        });
+    expect(await result).toMatchObject({
+      text: "ကျေးဇူးတင်ပါတယ်",
+      translated: "Thank you",
+      detectedLanguage: "my",
+    });
+    expect(mockRecognize).toHaveBeenCalledWith(
+      expect.objectContaining({
+        languageCode: "en-US",
+        alternativeLanguageCodes: [
+          expect.stringMatching(/^my/),
+          expect.stringMatching(/^fil/),
+          expect.stringMatching(/^id/),
+        ],
+      })
+    );
+    expect(mockTranslate).toHaveBeenCalledWith({
+      text: "ကျေးဇူးတင်ပါတယ်",
+      sourceLanguageCode: "my",
+      targetLanguageCode: "en",
+    });
+  });
 
-        sender.emit("audioRecording", {
-          to: "receiver-stt-empty",
-          audio: audioBase64,
-          language: "en-US",
-          encoding: "LINEAR16",
-          sampleRateHertz: 16000,
-        });
+  test("keeps a detected language for the rest of the call with lockLanguage", async () => {
+    const { sender, receiver } = await connectCall(
+      await start({ LANGUAGE_DETECT_CANDIDATES: "en,my,fil,id" }),
+      "sender-detect-2",
+      "receiver-detect-2"
+    );
+    mockRecognize
+      .mockResolvedValueOnce({ transcript: "Salamat", languageCode: "fil-PH" })
+      .mockResolvedValueOnce({ transcript: "Po", languageCode: "fil-PH" });
+    mockTranslate.mockResolvedValue("Thanks");
+    const results = [];
+    receiver.on("sttResult", (data) => results.push(data));
+    const second = new Promise((resolve) => {
+      receiver.on("sttResult", () => results.length === 2 && resolve());
+    });
+    const sendChunk = (label) =>
+      sender.emit("audioRecording", {
+        to: "receiver-detect-2",
+        audio: createAudio(label),
+        targetLanguage: "en",
+        lockLanguage: true,
+        encoding: "LINEAR16",
+        sampleRateHertz: 16000,
+      });
 
-        // Wait a bit and verify no result was emitted
-        setTimeout(() => {
-          expect(received).toBe(false);
-          sender.close();
-          receiver.close();
-          done();
-        }, 500);
-      };
+    sendChunk("first");
+    await waitForEvent(receiver, "sttResult");
+    sendChunk("second");
+    await second;
+
+    expect(results.map((data) => data.detectedLanguage)).toEqual([
+      "fil",
+      "fil",
+    ]);
+    // Once locked, the chunk is recognized in that language alone.
+    expect(mockRecognize.mock.calls[1][0]).toMatchObject({
+      languageCode: expect.stringMatching(/^fil/),
+      alternativeLanguageCodes: [],
+    });
+  });
 
-      sender.on("connect", onBothConnected);
-      receiver.on("connect", onBothConnected);
+  test("ends a call nobody answers with callTimeout", async () => {
+    const port = await start({ CALL_RING_TIMEOUT_MS: "100" });
+    const employer = await connect(port, "emp-timeout-1");
+    const helper = await connect(port, "hlp-timeout-1");
+    const newCall = waitForEvent(helper, "newCall");
+    employer.emit("makeCall", { calleeId: "hlp-timeout-1", sdpOffer: "offer" });
+    const { callId } = await newCall;
+    const callerTimeout = waitForEvent(employer, "callTimeout");
+    const calleeTimeout = waitForEvent(helper, "callTimeout");
+
+    const expected = {
+      callId,
+      callerId: "emp-timeout-1",
+      calleeId: "hlp-timeout-1",
+      timestamp: expect.any(String),
+    };
+    expect(await callerTimeout).toEqual(expected);
+    expect(await calleeTimeout).toEqual(expected);
+    const signalError = waitForEvent(helper, "signalError");
+    helper.emit("answerCall", {
+      callId,
+      callerId: "emp-timeout-1",
+      sdpAnswer: "answer",
     });
+    expect((await signalError).code).toBe("CALL_NOT_FOUND");
   });
 
-  // ─── Back-pressure Tests ───────────────────────────────────────────────────
+  test("ends a held call once the reconnect grace window passes", async () => {
+    const port = await start({ CALL_RECONNECT_GRACE_MS: "100" });
+    const employer = await connect(port, "emp-grace-1");
+    const helper = await connect(port, "hlp-grace-1");
+    const callId = await startCall(employer, helper, "hlp-grace-1");
+    const disconnected = waitForEvent(employer, "peerDisconnected");
+    const ended = waitForEvent(employer, "callEnded");
+
+    helper.close();
+
+    expect((await disconnected).graceMs).toBe(100);
+    expect(await ended).toEqual({
+      callId,
+      from: "hlp-grace-1",
+      reason: "connection_lost",
+    });
+  });
 
-  describe("Back-pressure and rate limiting", () => {
-    test("emits STT_BACKPRESSURE when too many pending requests", (done) => {
-      const audioBase64 = Buffer.from("audio").toString("base64");
+  test("ends the call right away without a grace window", async () => {
+    const port = await start({ CALL_RECONNECT_GRACE_MS: "0" });
+    const employer = await connect(port, "emp-grace-2");
+    const helper = await connect(port, "hlp-grace-2");
+    const callId = await startCall(employer, helper, "hlp-grace-2");
+    const ended = waitForEvent(employer, "callEnded");
 
-      // Make mockRecognize take forever so requests pile up
-      mockRecognize.mockImplementation(
-        () => new Promise(() => {}) // never resolves
-      );
+    helper.close();
 
-      const sender = createClient("sender-bp");
+    expect(await ended).toEqual({
+      callId,
+      from: "hlp-grace-2",
+      reason: "disconnected",
+    });
+  });
 
-      sender.on("connect", () => {
-        let backpressureReceived = false;
+  test("tells senders who asked about chunks skipped as silence", async () => {
+    const port = await start({ VAD_ENABLED: "true" });
+    const sender = createClient(port, {
+      token: signToken({ sub: "sender-vad-1" }, AUTH_TOKEN_SECRET),
+      reportSkipped: true,
+    });
+    clients.push(sender);
+    await waitForEvent(sender, "connect");
+    const receiver = await connect(port, "receiver-vad-1");
+    await startCall(sender, receiver, "receiver-vad-1");
+    const silentChunk = {
+      to: "receiver-vad-1",
+      // 100 ms of digital silence at 16 kHz.
+      audio: Buffer.alloc(3200).toString("base64"),
+      language: "en-US",
+      encoding: "LINEAR16",
+      sampleRateHertz: 16000,
+      sequenceId: 1,
+    };
+
+    const silence = waitForEvent(sender, "sttSkipped");
+    sender.emit("audioRecording", silentChunk);
+    expect(await silence).toEqual({
+      reason: "silence",
+      sequenceId: 1,
+      timestamp: expect.any(String),
+    });
+    const duplicate = waitForEvent(sender, "sttSkipped");
+    sender.emit("audioRecording", silentChunk);
+    expect(await duplicate).toMatchObject({
+      reason: "duplicate",
+      sequenceId: 1,
+    });
 
-        sender.on("sttError", (data) => {
-          if (data.code === "STT_BACKPRESSURE") {
-            backpressureReceived = true;
-            expect(data.message).toBe("Too many queued audio chunks");
-            sender.close();
-            done();
-          }
-        });
+    expect(mockRecognize).not.toHaveBeenCalled();
+    const metrics = await fetch(`http://localhost:${port}/metrics`);
+    expect(await metrics.text()).toMatch(/stt_skipped_chunks_total 1/);
+  });
 
-        // Send more than MAX_STT_PENDING_REQUESTS (8) audio chunks rapidly
-        for (let i = 0; i < 12; i++) {
-          sender.emit("audioRecording", {
-            to: "receiver-bp",
-            audio: audioBase64,
-            language: "en-US",
-            encoding: "LINEAR16",
-            sampleRateHertz: 16000,
-            sequenceId: i,
-          });
+  test("stops waiting for a missing chunk after SEQUENCE_REORDER_WINDOW_MS", async () => {
+    const port = await start({ SEQUENCE_REORDER_WINDOW_MS: "50" });
+    const sender = createClient(port, {
+      token: signToken({ sub: "sender-reorder" }, AUTH_TOKEN_SECRET),
+      reportSkipped: true,
+    });
+    clients.push(sender);
+    await waitForEvent(sender, "connect");
+    const receiver = await connect(port, "receiver-reorder");
+    await startCall(sender, receiver, "receiver-reorder");
+    mockRecognize.mockResolvedValue({ transcript: "Hi", languageCode: "en" });
+    const results = [];
+    const delivered = new Promise((resolve) => {
+      receiver.on("sttResult", (data) => {
+        results.push(data.sequenceId);
+        if (results.length === 2) {
+          resolve();
         }
       });
     });
+    const sendChunk = (sequenceId) =>
+      sender.emit("audioRecording", {
+        to: "receiver-reorder",
+        audio: createAudio(`chunk-${sequenceId}`),
+        language: "en-US",
+        targetLanguage: "en",
+        encoding: "LINEAR16",
+        sampleRateHertz: 16000,
+        sequenceId,
+      });
+
+    sendChunk(0);
+    sendChunk(2);
+    await delivered;
+    const skipped = waitForEvent(sender, "sttSkipped");
+    sendChunk(1);
+
+    expect(results).toEqual([0, 2]);
+    expect(await skipped).toMatchObject({ reason: "late", sequenceId: 1 });
+    expect(mockRecognize).toHaveBeenCalledTimes(2);
   });
 
-  // ─── Myanmar to English Translation ────────────────────────────────────────
+  test("rate limits stream chunks", async () => {
+    const port = await start({
+      RATE_LIMIT_MAX_REQUESTS: "1",
+      RATE_LIMIT_WINDOW_MS: "60000",
+    });
+    const sender = await connect(port, "sender-stream-rl");
+    const receiver = await connect(port, "receiver-stream-rl");
+    await startCall(sender, receiver, "receiver-stream-rl");
+    const started = waitForEvent(sender, "sttStreamStarted");
+    sender.emit("sttStreamStart", {
+      to: "receiver-stream-rl",
+      language: "en-US",
+      encoding: "LINEAR16",
+      sampleRateHertz: 16000,
+    });
+    await started;
+    const partial = waitForEvent(receiver, "sttPartial");
+    const rateLimited = waitForEvent(sender, "sttError");
 
-  describe("Myanmar (my) to English (en) translation", () => {
-    test("processes Myanmar audio and translates to English", (done) => {
-      const audioBase64 = Buffer.from("myanmar-audio").toString("base64");
+    sender.emit("sttStreamChunk", {
+      audio: Buffer.from("good").toString("base64"),
+      sequenceId: 1,
+    });
+    sender.emit("sttStreamChunk", {
+      audio: Buffer.from("more").toString("base64"),
+      sequenceId: 2,
+    });
 
-      mockRecognize.mockResolvedValueOnce([
-        {
-          results: [
-            { alternatives: [{ transcript: "မင်္ဂလာပါ" }] },
-          ],
-        },
-      ]);
+    expect((await partial).text).toBe("good");
+    expect(await rateLimited).toMatchObject({
+      code: "STT_RATE_LIMITED",
+      message: "Too many audio requests in a short time",
+    });
+  });
+});
 
-      mockTranslateText.mockResolvedValueOnce([
-        {
-          translations: [{ translatedText: "Hello" }],
-        },
-      ]);
+// ─── Embedding and Lifecycle ─────────────────────────────────────────────────
 
-      const sender = createClient("sender-my");
-      const receiver = createClient("receiver-my");
+describe("createTranslationServer", () => {
+  let translationServers = [];
+  let clients = [];
 
-      let connected = 0;
-      const onBothConnected = () => {
-        connected++;
-        if (connected < 2) return;
+  const start = async (options = {}) => {
+    const translationServer = createTranslationServer({
+      config: createTestConfig(),
+      sttProvider,
+      logger: silentLogger,
+      ...options,
+    });
+    translationServers.push(translationServer);
+    const { port } = await translationServer.listen(0);
+    return { translationServer, port };
+  };
+
+  const connect = async (port, userId) => {
+    const client = await connectClient(port, userId);
+    clients.push(client);
+    return client;
+  };
+
+  afterEach(async () => {
+    clients.forEach((client) => client.close());
+    await Promise.all(
+      translationServers.map((translationServer) =>
+        translationServer.shutdown("test")
+      )
+    );
+    clients = [];
+    translationServers = [];
+    mockTranslate.mockReset();
+  });
 
-        receiver.on("sttResult", (data) => {
-          expect(data.text).toBe("မင်္ဂလာပါ");
-          expect(data.translated).toBe("Hello");
-          expect(data.from).toBe("sender-my");
-          sender.close();
-          receiver.close();
-          done();
-        });
+  test("mounts in an existing Express app", async () => {
+    const app = express();
+    app.get("/status", (req, res) => res.json({ app: "host" }));
+    const httpServer = http.createServer(app);
+    const { translationServer, port } = await start({ httpServer });
+    app.use(translationServer.router);
+
+    const status = await fetch(`http://localhost:${port}/status`);
+    const health = await fetch(`http://localhost:${port}/healthz`);
+    const client = await connect(port, "emp-embed-1");
+
+    expect(await status.json()).toEqual({ app: "host" });
+    expect(health.status).toBe(200);
+    expect(client.connected).toBe(true);
+    expect(translationServer.io.sockets.sockets.size).toBe(1);
+    await translationServer.shutdown("test");
+    httpServer.closeAllConnections();
+    await new Promise((resolve) => httpServer.close(resolve));
+  });
 
-        sender.emit("audioRecording", {
-          to: "receiver-my",
-          audio: audioBase64,
-          language: "my-MM",
-          targetLanguage: "en",
-          encoding: "LINEAR16",
-          sampleRateHertz: 16000,
-        });
-      };
+  test("leaves a server it was given open on shutdown", async () => {
+    const app = express();
+    app.get("/status", (req, res) => res.json({ app: "host" }));
+    const httpServer = http.createServer(app);
+    const { translationServer, port } = await start({ httpServer });
+    const client = await connect(port, "emp-embed-2");
+    const disconnected = waitForEvent(client, "disconnect");
+
+    await translationServer.shutdown("test");
+
+    expect(await disconnected).toBe("io server disconnect");
+    expect(httpServer.listening).toBe(true);
+    const status = await fetch(`http://localhost:${port}/status`);
+    expect(await status.json()).toEqual({ app: "host" });
+    httpServer.closeAllConnections();
+    await new Promise((resolve) => httpServer.close(resolve));
+  });
+
+  test("translates chat with the injected translator", async () => {
+    const translator = { translate: jest.fn(async () => "ဟုတ်ကဲ့") };
+    const { port } = await start({ translator });
+    const sender = await connect(port, "emp-chat-1");
+    const recipient = await connect(port, "hlp-chat-1");
+    const newMessage = waitForEvent(recipient, "newMessage");
+
+    sender.emit("sendMessage", {
+      to: "hlp-chat-1",
+      text: "Yes",
+      language: "en",
+      targetLanguage: "my",
+    });
+
+    expect((await newMessage).translated).toBe("ဟုတ်ကဲ့");
+    expect(translator.translate).toHaveBeenCalledWith({
+      text: "Yes",
+      sourceLanguageCode: "en",
+      targetLanguageCode: "my",
+    });
+    expect(mockTranslate).not.toHaveBeenCalled();
+  });
+
+  test("servers sharing a store reach each other's users", async () => {
+    const hub = createMemoryStateHub();
+    const first = await start({ store: createStateStore("memory", { hub }) });
+    const second = await start({ store: createStateStore("memory", { hub }) });
+    const employer = await connect(first.port, "emp-shared-1");
+    const helper = await connect(second.port, "hlp-shared-1");
+    const newCall = waitForEvent(helper, "newCall");
+
+    employer.emit("makeCall", {
+      calleeId: "hlp-shared-1",
+      sdpOffer: "mock-sdp-offer",
+    });
+
+    expect((await newCall).callerId).toBe("emp-shared-1");
+  });
 
-      sender.on("connect", onBothConnected);
-      receiver.on("connect", onBothConnected);
+  test("lets audio and chat through when the state store never answers", async () => {
+    const store = {
+      ...createStateStore("memory"),
+      incr: jest.fn(() => new Promise(() => {})),
+    };
+    const translator = { translate: jest.fn(async () => "Never mind") };
+    const { port } = await start({ store, translator });
+    const sender = await connect(port, "emp-stalled-1");
+    const receiver = await connect(port, "hlp-stalled-1");
+    await startCall(sender, receiver, "hlp-stalled-1");
+    mockRecognize.mockResolvedValueOnce({
+      transcript: "Still here",
+      languageCode: "en",
     });
+    const caption = waitForEvent(receiver, "sttResult");
+    const newMessage = waitForEvent(receiver, "newMessage");
+
+    sender.emit("audioRecording", {
+      to: "hlp-stalled-1",
+      audio: createAudio("stalled"),
+      language: "en-US",
+      targetLanguage: "en",
+      encoding: "LINEAR16",
+      sampleRateHertz: 16000,
+    });
+    sender.emit("sendMessage", {
+      to: "hlp-stalled-1",
+      text: "Never mind",
+      language: "en",
+      targetLanguage: "en",
+    });
+
+    expect((await caption).text).toBe("Still here");
+    expect((await newMessage).text).toBe("Never mind");
+    expect(store.incr).toHaveBeenCalled();
+  });
+
+  test("reports a stream whose provider closes it without ending", async () => {
+    const session = new EventEmitter();
+    session.write = () => true;
+    session.end = () => {};
+    session.destroy = () => {};
+    const { port } = await start({
+      sttProvider: { ...sttProvider, streamingRecognize: () => session },
+    });
+    const sender = await connect(port, "emp-closed-1");
+    const receiver = await connect(port, "hlp-closed-1");
+    await startCall(sender, receiver, "hlp-closed-1");
+    const started = waitForEvent(sender, "sttStreamStarted");
+    sender.emit("sttStreamStart", {
+      to: "hlp-closed-1",
+      language: "en-US",
+      encoding: "LINEAR16",
+      sampleRateHertz: 16000,
+    });
+    const { streamId } = await started;
+    const failed = waitForEvent(sender, "sttError");
+
+    session.emit("close");
+
+    expect(await failed).toMatchObject({
+      code: "STT_STREAM_FAILED",
+      streamId,
+    });
+  });
+
+  test("shutdown does not wait for a stream that closes without ending", async () => {
+    const session = new EventEmitter();
+    session.write = () => true;
+    session.end = () => process.nextTick(() => session.emit("close"));
+    session.destroy = () => {};
+    const { translationServer, port } = await start({
+      config: createTestConfig({ SHUTDOWN_DRAIN_TIMEOUT_MS: "30000" }),
+      sttProvider: { ...sttProvider, streamingRecognize: () => session },
+    });
+    const sender = await connect(port, "emp-closed-2");
+    const receiver = await connect(port, "hlp-closed-2");
+    await startCall(sender, receiver, "hlp-closed-2");
+    const started = waitForEvent(sender, "sttStreamStarted");
+    sender.emit("sttStreamStart", {
+      to: "hlp-closed-2",
+      language: "en-US",
+      encoding: "LINEAR16",
+      sampleRateHertz: 16000,
+    });
+    await started;
+
+    const shutdownStartedAt = Date.now();
+    await translationServer.shutdown("test");
+
+    expect(Date.now() - shutdownStartedAt).toBeLessThan(3000);
+  });
+
+  test("servers sharing a store share glossary edits", async () => {
+    const hub = createMemoryStateHub();
+    const first = await start({ store: createStateStore("memory", { hub }) });
+    const second = await start({ store: createStateStore("memory", { hub }) });
+    const headers = {
+      Authorization: `Bearer ${signToken(
+        { sub: "ops-1", role: "admin" },
+        AUTH_TOKEN_SECRET
+      )}`,
+      "Content-Type": "application/json",
+    };
+
+    const created = await fetch(
+      `http://localhost:${first.port}/admin/glossary`,
+      {
+        method: "PUT",
+        headers,
+        body: JSON.stringify({
+          sourceLanguage: "en",
+          targetLanguage: "my",
+          term: "overtime",
+          translation: "အချိန်ပို",
+        }),
+      }
+    );
+    expect(created.status).toBe(201);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    const listed = await fetch(
+      `http://localhost:${second.port}/admin/glossary`,
+      { headers }
+    );
+
+    expect((await listed.json()).entries).toEqual([
+      expect.objectContaining({ term: "overtime", translation: "အချိန်ပို" }),
+    ]);
+  });
+
+  test("shutdown notifies clients and refuses new connections", async () => {
+    const { translationServer, port } = await start();
+    const client = await connect(port, "emp-shutdown-1");
+    const notice = waitForEvent(client, "serverShuttingDown");
+    const disconnected = waitForEvent(client, "disconnect");
+
+    const shutdown = translationServer.shutdown("test");
+
+    expect(translationServer.isShuttingDown()).toBe(true);
+    expect((await notice).drainTimeoutMs).toBe(500);
+    expect(await disconnected).toBe("io server disconnect");
+    await shutdown;
+    await expect(
+      fetch(`http://localhost:${port}/healthz`)
+    ).rejects.toThrow();
   });
 });
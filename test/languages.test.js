@@ -0,0 +1,238 @@
+/**
+ * Tests for the configurable language matrix (app/languages)
+ */
+
+const {
+  DEFAULT_LANGUAGES,
+  createLanguageMatrix,
+  parseLanguageMatrix,
+} = require("../app/languages");
+
+const expectUnsupported = (fn, message) => {
+  expect(fn).toThrow(message);
+  try {
+    fn();
+  } catch (languageError) {
+    expect(languageError.code).toBe("STT_UNSUPPORTED_LANGUAGE");
+  }
+};
+
+describe("createLanguageMatrix (defaults)", () => {
+  const matrix = createLanguageMatrix();
+
+  test("includes the onboarding languages", () => {
+    expect(matrix.languages).toEqual(Object.keys(DEFAULT_LANGUAGES));
+    expect(matrix.languages).toEqual(
+      expect.arrayContaining(["en", "my", "fil", "id", "ta", "bn"])
+    );
+  });
+
+  describe("normalizeLanguageCode", () => {
+    test("normalizes locales to translation codes", () => {
+      expect(matrix.normalizeLanguageCode("en-US")).toBe("en");
+      expect(matrix.normalizeLanguageCode("EN-GB")).toBe("en");
+      expect(matrix.normalizeLanguageCode("my-MM")).toBe("my");
+      expect(matrix.normalizeLanguageCode("fil-PH")).toBe("fil");
+      expect(matrix.normalizeLanguageCode("bn")).toBe("bn");
+    });
+
+    test("resolves known aliases", () => {
+      expect(matrix.normalizeLanguageCode("tl")).toBe("fil");
+      expect(matrix.normalizeLanguageCode("in-ID")).toBe("id");
+    });
+
+    test("returns null for unsupported or invalid codes", () => {
+      expect(matrix.normalizeLanguageCode("ja-JP")).toBeNull();
+      expect(matrix.normalizeLanguageCode("123")).toBeNull();
+      expect(matrix.normalizeLanguageCode(undefined)).toBeNull();
+    });
+  });
+
+  describe("getSttLocale", () => {
+    test("maps bare codes to the configured STT locale", () => {
+      expect(matrix.getSttLocale("fil")).toBe("fil-PH");
+      expect(matrix.getSttLocale("my")).toBe("my-MM");
+      expect(matrix.getSttLocale("tl")).toBe("fil-PH");
+    });
+
+    test("keeps full locales sent by the client", () => {
+      expect(matrix.getSttLocale("en-GB")).toBe("en-GB");
+      expect(matrix.getSttLocale("bn-IN")).toBe("bn-IN");
+    });
+  });
+
+  describe("resolveLanguagePair", () => {
+    test("returns the requested pair when supported", () => {
+      expect(matrix.resolveLanguagePair("en-US", "my")).toEqual({
+        sourceLanguage: "en",
+        sttLocale: "en-US",
+        targetLanguage: "my",
+      });
+      expect(matrix.resolveLanguagePair("fil", "en")).toEqual({
+        sourceLanguage: "fil",
+        sttLocale: "fil-PH",
+        targetLanguage: "en",
+      });
+    });
+
+    test("allows translating a language into itself", () => {
+      expect(matrix.resolveLanguagePair("en-US", "en").targetLanguage).toBe(
+        "en"
+      );
+    });
+
+    test("picks a default target when none is requested", () => {
+      expect(matrix.resolveLanguagePair("en-US", null).targetLanguage).toBe(
+        "my"
+      );
+      expect(matrix.resolveLanguagePair("my-MM", null).targetLanguage).toBe(
+        "en"
+      );
+      expect(matrix.resolveLanguagePair("ta", undefined).targetLanguage).toBe(
+        "en"
+      );
+    });
+
+    test("defaults the source to English when missing", () => {
+      expect(matrix.resolveLanguagePair(undefined, "my")).toEqual({
+        sourceLanguage: "en",
+        sttLocale: "en-US",
+        targetLanguage: "my",
+      });
+    });
+
+    test("rejects unsupported targets instead of substituting", () => {
+      expectUnsupported(
+        () => matrix.resolveLanguagePair("en-US", "ja"),
+        'Unsupported target language "ja"'
+      );
+    });
+
+    test("rejects unsupported sources", () => {
+      expectUnsupported(
+        () => matrix.resolveLanguagePair("fr-FR", "en"),
+        'Unsupported source language "fr-FR"'
+      );
+    });
+  });
+});
+
+describe("createLanguageMatrix (custom pairs)", () => {
+  const matrix = createLanguageMatrix({
+    languages: { en: "en-SG", my: "my-MM", fil: "fil-PH" },
+    pairs: ["en:my", "my:en", "fil:en"],
+  });
+
+  test("only allows configured directions", () => {
+    expect(matrix.isSupportedPair("fil", "en")).toBe(true);
+    expect(matrix.isSupportedPair("en", "fil")).toBe(false);
+    expectUnsupported(
+      () => matrix.resolveLanguagePair("en", "fil"),
+      "Unsupported language pair en -> fil"
+    );
+  });
+
+  test("uses the configured STT locale", () => {
+    expect(matrix.resolveLanguagePair("en", "my").sttLocale).toBe("en-SG");
+  });
+
+  test("rejects pairs with unknown languages", () => {
+    expect(() =>
+      createLanguageMatrix({ languages: { en: "en-US" }, pairs: ["en:xx"] })
+    ).toThrow('Language pair "en:xx" uses an unknown language');
+  });
+});
+
+describe("parseLanguageMatrix", () => {
+  test("uses the defaults when unset", () => {
+    expect(parseLanguageMatrix(undefined).languages).toEqual(
+      Object.keys(DEFAULT_LANGUAGES)
+    );
+  });
+
+  test("parses a JSON matrix", () => {
+    const matrix = parseLanguageMatrix(
+      JSON.stringify({ languages: { en: "en-US", ta: "ta-SG" }, pairs: "*" })
+    );
+    expect(matrix.getSttLocale("ta")).toBe("ta-SG");
+    expect(matrix.isSupportedPair("ta", "en")).toBe(true);
+  });
+
+  test("rejects invalid JSON", () => {
+    expect(() => parseLanguageMatrix("{nope")).toThrow(
+      "LANGUAGE_MATRIX must be valid JSON"
+    );
+  });
+});
+
+describe("normalizePreferences", () => {
+  const matrix = createLanguageMatrix();
+
+  test("normalizes spoken and caption languages", () => {
+    expect(
+      matrix.normalizePreferences({
+        spokenLanguage: "fil",
+        captionLanguage: "en-US",
+      })
+    ).toEqual({
+      spokenLanguage: "fil",
+      spokenLocale: "fil-PH",
+      captionLanguage: "en",
+    });
+  });
+
+  test("leaves omitted fields null", () => {
+    expect(matrix.normalizePreferences({ captionLanguage: "my" })).toEqual({
+      spokenLanguage: null,
+      spokenLocale: null,
+      captionLanguage: "my",
+    });
+  });
+
+  test("rejects unsupported languages", () => {
+    expectUnsupported(
+      () => matrix.normalizePreferences({ captionLanguage: "ja" }),
+      'Unsupported caption language "ja"'
+    );
+    expectUnsupported(
+      () => matrix.normalizePreferences({ spokenLanguage: "xx-YY" }),
+      'Unsupported spoken language "xx-YY"'
+    );
+  });
+});
+
+describe("getDetectionConfig", () => {
+  const matrix = createLanguageMatrix();
+
+  test("uses the first language as primary, the rest as alternatives", () => {
+    expect(matrix.getDetectionConfig(["en", "my", "fil", "id"])).toEqual({
+      languageCode: "en-US",
+      alternativeLanguageCodes: ["my-MM", "fil-PH", "id-ID"],
+    });
+    expect(
+      createLanguageMatrix({
+        languages: { en: "en-US", ta: "ta-IN" },
+      }).getDetectionConfig()
+    ).toEqual({ languageCode: "en-US", alternativeLanguageCodes: ["ta-IN"] });
+  });
+
+  test("refuses more candidates than Speech-to-Text considers", () => {
+    expect(() => matrix.getDetectionConfig()).toThrow(
+      "Language detection takes at most 4 candidates, got 6 " +
+        "(en, my, fil, id, ta, bn)"
+    );
+    expect(() =>
+      matrix.getDetectionConfig(["en", "my", "fil", "id", "ta"])
+    ).toThrow("at most 4 candidates, got 5");
+  });
+
+  test("limits detection to known candidates", () => {
+    expect(matrix.getDetectionConfig(["my", " tl ", "xx", "my-MM"])).toEqual({
+      languageCode: "my-MM",
+      alternativeLanguageCodes: ["fil-PH"],
+    });
+    expect(() => matrix.getDetectionConfig(["xx"])).toThrow(
+      "Language detection needs at least one known language"
+    );
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * Tests for structured logging (app/logger)
+ */
+
+const crypto = require("crypto");
+const express = require("express");
+const http = require("http");
+
+const {
+  createLogger,
+  createRequestLogger,
+  parseRedaction,
+} = require("../app/logger");
+
+const createCapturingLogger = (options) => {
+  const lines = [];
+  const logger = createLogger({
+    write: (line) => lines.push(JSON.parse(line)),
+    ...options,
+  });
+  return { lines, logger };
+};
+
+describe("parseRedaction", () => {
+  test("redacts everything by default", () => {
+    expect(parseRedaction()).toEqual({ text: true, userIds: true });
+    expect(parseRedaction("all")).toEqual({ text: true, userIds: true });
+  });
+
+  test("accepts a list of kinds or none", () => {
+    expect(parseRedaction("text")).toEqual({ text: true, userIds: false });
+    expect(parseRedaction(" userIds , text ")).toEqual({
+      text: true,
+      userIds: true,
+    });
+    expect(parseRedaction("none")).toEqual({ text: false, userIds: false });
+  });
+
+  test("rejects unknown kinds", () => {
+    expect(() => parseRedaction("text,emails")).toThrow(
+      'Unknown log redaction "emails"'
+    );
+  });
+});
+
+describe("createLogger", () => {
+  test("writes one JSON object per line with level and message", () => {
+    const { lines, logger } = createCapturingLogger();
+
+    logger.info("Call started", { calleeId: "hlp-1" });
+
+    expect(lines).toEqual([
+      {
+        time: expect.any(String),
+        level: "info",
+        msg: "Call started",
+        calleeId: "hlp-1",
+      },
+    ]);
+  });
+
+  test("drops lines below the configured level", () => {
+    const { lines, logger } = createCapturingLogger({ level: "warn" });
+
+    logger.debug("noise");
+    logger.info("noise");
+    logger.warn("careful");
+    logger.error("broken");
+
+    expect(lines.map((line) => line.level)).toEqual(["warn", "error"]);
+  });
+
+  test("rejects unknown levels", () => {
+    expect(() => createLogger({ level: "verbose" })).toThrow(
+      'Unknown log level "verbose"'
+    );
+  });
+
+  test("child loggers add correlation ids to every line", () => {
+    const { lines, logger } = createCapturingLogger();
+    const connectionLogger = logger.child({ connectionId: "sock-1" });
+
+    connectionLogger
+      .child({ callId: "call-1", requestId: "req-1" })
+      .info("Utterance recognized");
+    connectionLogger.info("Socket disconnected");
+
+    expect(lines[0]).toMatchObject({
+      connectionId: "sock-1",
+      callId: "call-1",
+      requestId: "req-1",
+    });
+    expect(lines[1].connectionId).toBe("sock-1");
+    expect(lines[1].callId).toBeUndefined();
+  });
+
+  test("logs errors by message and code", () => {
+    const { lines, logger } = createCapturingLogger();
+    const failure = new Error("quota exceeded");
+    failure.code = 8;
+
+    logger.error("STT processing error", { error: failure });
+
+    expect(lines[0].error).toEqual({ message: "quota exceeded", code: 8 });
+  });
+
+  test("redacts text and hashes user ids when configured", () => {
+    const { lines, logger } = createCapturingLogger({
+      redact: { text: true, userIds: true },
+      salt: "pepper",
+    });
+
+    logger.child({ user: "emp-1" }).info("Message sent", {
+      to: "hlp-1",
+      text: "hello there",
+      translated: "မင်္ဂလာပါ",
+      callId: "call-1",
+    });
+    logger.info("Other line", { userId: "emp-1" });
+
+    expect(lines[0]).toMatchObject({
+      user: expect.stringMatching(/^user_[0-9a-f]{12}$/),
+      to: expect.stringMatching(/^user_[0-9a-f]{12}$/),
+      text: "[redacted 11 chars]",
+      translated: "[redacted 9 chars]",
+      callId: "call-1",
+    });
+    expect(lines[0].user).not.toBe(lines[0].to);
+    expect(lines[1].userId).toBe(lines[0].user);
+  });
+
+  test("salts user id hashes per process unless a salt is set", () => {
+    const hash = (salt) =>
+      `user_${crypto
+        .createHash("sha256")
+        .update(`${salt}:emp-1`)
+        .digest("hex")
+        .slice(0, 12)}`;
+    const hashedBy = (options) => {
+      const { lines, logger } = createCapturingLogger({
+        redact: { text: false, userIds: true },
+        ...options,
+      });
+      logger.info("Connected", { userId: "emp-1" });
+      return lines[0].userId;
+    };
+
+    expect(hashedBy({ salt: "pepper" })).toBe(hash("pepper"));
+    expect(hashedBy({})).toBe(hashedBy({ salt: null }));
+    expect(hashedBy({})).not.toBe(hash(""));
+  });
+
+  test("keeps values as they are without redaction", () => {
+    const { lines, logger } = createCapturingLogger();
+
+    logger.info("Message sent", { to: "hlp-1", text: "hello" });
+
+    expect(lines[0]).toMatchObject({ to: "hlp-1", text: "hello" });
+  });
+});
+
+describe("createRequestLogger", () => {
+  let server;
+  let baseUrl;
+  let lines;
+
+  beforeEach(async () => {
+    const capture = createCapturingLogger({ level: "debug" });
+    lines = capture.lines;
+    const app = express();
+    app.use(createRequestLogger(capture.logger));
+    app.get("/ping", (req, res) => {
+      req.log.info("Handling ping");
+      res.json({ requestId: req.id });
+    });
+    server = http.createServer(app);
+    await new Promise((resolve) => server.listen(0, resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  test("assigns a request id and logs the response", async () => {
+    const response = await fetch(`${baseUrl}/ping`);
+    const { requestId } = await response.json();
+
+    expect(requestId).toMatch(/^[0-9a-f-]{36}$/);
+    expect(response.headers.get("x-request-id")).toBe(requestId);
+    expect(lines[0]).toMatchObject({ msg: "Handling ping", requestId });
+    expect(lines[1]).toMatchObject({
+      level: "debug",
+      msg: "HTTP request",
+      requestId,
+      method: "GET",
+      path: "/ping",
+      status: 200,
+    });
+  });
+
+  test("keeps a well-formed incoming X-Request-Id", async () => {
+    const kept = await fetch(`${baseUrl}/ping`, {
+      headers: { "X-Request-Id": "lb-1234" },
+    });
+    const replaced = await fetch(`${baseUrl}/ping`, {
+      headers: { "X-Request-Id": "not valid!" },
+    });
+
+    expect((await kept.json()).requestId).toBe("lb-1234");
+    expect((await replaced.json()).requestId).not.toBe("not valid!");
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Tests for offline chat delivery (app/messageQueue)
+ */
+
+const { createMessageQueue } = require("../app/messageQueue");
+
+const buildMessage = (messageId, to = "hlp-1") => ({
+  messageId,
+  from: "emp-1",
+  to,
+  text: "hello",
+});
+
+describe("createMessageQueue", () => {
+  test("queues messages per recipient", () => {
+    const queue = createMessageQueue();
+    const message = queue.enqueue(buildMessage("m1"));
+
+    expect(message.messageId).toBe("m1");
+    expect(queue.peek("hlp-1")).toEqual([message]);
+    expect(queue.peek("emp-1")).toEqual([]);
+  });
+
+  test("take returns queued messages once, oldest first", () => {
+    const queue = createMessageQueue();
+    queue.enqueue(buildMessage("m1"));
+    queue.enqueue(buildMessage("m2"));
+    queue.enqueue(buildMessage("m3", "hlp-2"));
+
+    expect(queue.take("hlp-1").map((message) => message.messageId)).toEqual([
+      "m1",
+      "m2",
+    ]);
+    expect(queue.take("hlp-1")).toEqual([]);
+    expect(queue.peek("hlp-2")).toHaveLength(1);
+  });
+
+  test("keeps only the newest messages per recipient", () => {
+    const queue = createMessageQueue({ maxPerUser: 2 });
+    ["m1", "m2", "m3"].forEach((id) => queue.enqueue(buildMessage(id)));
+
+    expect(queue.peek("hlp-1").map((message) => message.messageId)).toEqual([
+      "m2",
+      "m3",
+    ]);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Tests for the Prometheus metrics registry (app/metrics)
+ */
+
+const { createMetricsRegistry } = require("../app/metrics");
+
+describe("createMetricsRegistry", () => {
+  test("renders counters in the Prometheus text format", () => {
+    const registry = createMetricsRegistry();
+    const skipped = registry.counter("skipped_total", "Skipped chunks");
+    const errors = registry.counter("errors_total", "Errors by code", {
+      labelled: true,
+    });
+
+    skipped.inc();
+    skipped.inc({}, 2);
+    errors.inc({ code: "STT_RATE_LIMITED", event: "sttError" });
+
+    expect(skipped.get()).toBe(3);
+    expect(registry.render()).toBe(
+      [
+        "# HELP skipped_total Skipped chunks",
+        "# TYPE skipped_total counter",
+        "skipped_total 3",
+        "# HELP errors_total Errors by code",
+        "# TYPE errors_total counter",
+        'errors_total{code="STT_RATE_LIMITED",event="sttError"} 1',
+        "",
+      ].join("\n")
+    );
+  });
+
+  test("reports unlabelled counters before their first increment", () => {
+    const registry = createMetricsRegistry();
+    registry.counter("skipped_total", "Skipped chunks");
+
+    expect(registry.render()).toContain("\nskipped_total 0\n");
+  });
+
+  test("escapes label values", () => {
+    const registry = createMetricsRegistry();
+    registry
+      .counter("errors_total", "Errors", { labelled: true })
+      .inc({ code: 'a"b\\c\nd' });
+
+    expect(registry.render()).toContain(
+      'errors_total{code="a\\"b\\\\c\\nd"} 1'
+    );
+  });
+
+  test("renders gauges from collect at scrape time", () => {
+    const registry = createMetricsRegistry();
+    let connected = 1;
+    registry.gauge("sockets", "Connected sockets", {
+      collect: () => connected,
+    });
+    registry.gauge("calls", "Calls by state", {
+      collect: () => [
+        [{ state: "active" }, 2],
+        [{ state: "ringing" }, 0],
+      ],
+    });
+
+    connected = 3;
+
+    expect(registry.render()).toBe(
+      [
+        "# HELP sockets Connected sockets",
+        "# TYPE sockets gauge",
+        "sockets 3",
+        "# HELP calls Calls by state",
+        "# TYPE calls gauge",
+        'calls{state="active"} 2',
+        'calls{state="ringing"} 0',
+        "",
+      ].join("\n")
+    );
+  });
+
+  test("renders cumulative histogram buckets, sum and count", () => {
+    const registry = createMetricsRegistry();
+    const latency = registry.histogram("latency_seconds", "Latency", {
+      buckets: [1, 0.1],
+      labelled: true,
+    });
+
+    latency.observe(0.05, { outcome: "success" });
+    latency.observe(0.5, { outcome: "success" });
+    latency.observe(3, { outcome: "success" });
+
+    expect(registry.render()).toBe(
+      [
+        "# HELP latency_seconds Latency",
+        "# TYPE latency_seconds histogram",
+        'latency_seconds_bucket{le="0.1",outcome="success"} 1',
+        'latency_seconds_bucket{le="1",outcome="success"} 2',
+        'latency_seconds_bucket{le="+Inf",outcome="success"} 3',
+        'latency_seconds_sum{outcome="success"} 3.55',
+        'latency_seconds_count{outcome="success"} 3',
+        "",
+      ].join("\n")
+    );
+  });
+
+  test("times operations with startTimer", () => {
+    const registry = createMetricsRegistry();
+    const latency = registry.histogram("latency_seconds", "Latency", {
+      buckets: [10],
+    });
+
+    latency.startTimer()();
+
+    expect(registry.render()).toContain('latency_seconds_bucket{le="10"} 1');
+    expect(registry.render()).toContain("\nlatency_seconds_count 1");
+  });
+
+  test("rejects duplicate metric names", () => {
+    const registry = createMetricsRegistry();
+    registry.counter("skipped_total", "Skipped chunks");
+
+    expect(() => registry.counter("skipped_total", "Again")).toThrow(
+      'Metric "skipped_total" is already registered'
+    );
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Tests for missed-call records (app/missedCallStore)
+ */
+
+const { createMissedCallStore } = require("../app/missedCallStore");
+
+describe("createMissedCallStore", () => {
+  test("records missed calls per callee", () => {
+    const store = createMissedCallStore();
+    const missedCall = store.record({ callerId: "emp-1", calleeId: "hlp-1" });
+
+    expect(missedCall).toEqual({
+      id: expect.any(String),
+      callerId: "emp-1",
+      calleeId: "hlp-1",
+      reason: "unavailable",
+      timestamp: expect.any(String),
+    });
+    expect(store.peek("hlp-1")).toEqual([missedCall]);
+    expect(store.peek("emp-1")).toEqual([]);
+  });
+
+  test("take returns pending records once", () => {
+    const store = createMissedCallStore();
+    store.record({ callerId: "emp-1", calleeId: "hlp-1" });
+    store.record({ callerId: "emp-2", calleeId: "hlp-1" });
+
+    expect(store.take("hlp-1").map((call) => call.callerId)).toEqual([
+      "emp-1",
+      "emp-2",
+    ]);
+    expect(store.take("hlp-1")).toEqual([]);
+  });
+
+  test("keeps only the newest maxPerUser records", () => {
+    const store = createMissedCallStore({ maxPerUser: 2 });
+    ["emp-1", "emp-2", "emp-3"].forEach((callerId) =>
+      store.record({ callerId, calleeId: "hlp-1" })
+    );
+
+    expect(store.peek("hlp-1").map((call) => call.callerId)).toEqual([
+      "emp-2",
+      "emp-3",
+    ]);
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Tests for the signaling/caption authorization policy (app/policy)
+ */
+
+const { createCallRegistry } = require("../app/callRegistry");
+const { createRoomRegistry } = require("../app/roomRegistry");
+const {
+  CALL_POLICIES,
+  createAuthorizationPolicy,
+  resolveCallPolicy,
+} = require("../app/policy");
+
+describe("CALL_POLICIES", () => {
+  const employerHelper = CALL_POLICIES["employer-helper"];
+
+  test("any allows every pair", () => {
+    expect(
+      CALL_POLICIES.any({ caller: { id: "a" }, callee: { id: "b" } })
+    ).toBe(true);
+  });
+
+  test("employer-helper allows employer<->helper pairs", () => {
+    expect(
+      employerHelper({
+        caller: { id: "emp-1", role: "employer" },
+        callee: { id: "hlp-1", role: "helper" },
+      })
+    ).toBe(true);
+    expect(
+      employerHelper({
+        caller: { id: "hlp-1", role: "helper" },
+        callee: { id: "emp-1", role: "employer" },
+      })
+    ).toBe(true);
+  });
+
+  test("employer-helper rejects same-role and role-less callers", () => {
+    expect(
+      employerHelper({
+        caller: { id: "emp-1", role: "employer" },
+        callee: { id: "emp-2", role: "employer" },
+      })
+    ).toBe(false);
+    expect(
+      employerHelper({
+        caller: { id: "x", role: null },
+        callee: { id: "hlp-1", role: "helper" },
+      })
+    ).toBe(false);
+  });
+
+  test("employer-helper allows offline callees with unknown role", () => {
+    expect(
+      employerHelper({
+        caller: { id: "emp-1", role: "employer" },
+        callee: { id: "hlp-1", role: null },
+      })
+    ).toBe(true);
+  });
+});
+
+describe("resolveCallPolicy", () => {
+  test("defaults to any", () => {
+    expect(resolveCallPolicy(undefined)).toBe(CALL_POLICIES.any);
+  });
+
+  test("throws for unknown policies", () => {
+    expect(() => resolveCallPolicy("nobody")).toThrow(
+      'Unknown call policy "nobody"'
+    );
+  });
+});
+
+describe("createAuthorizationPolicy", () => {
+  let callRegistry;
+  let roomRegistry;
+  let policy;
+
+  beforeEach(() => {
+    callRegistry = createCallRegistry();
+    roomRegistry = createRoomRegistry();
+    policy = createAuthorizationPolicy({ callRegistry, roomRegistry });
+  });
+
+  test("canStartCall delegates to the configured hook", () => {
+    const canCall = jest.fn().mockReturnValue(false);
+    policy = createAuthorizationPolicy({ callRegistry, canCall });
+    const caller = { id: "emp-1", role: "employer" };
+    const callee = { id: "hlp-1", role: "helper" };
+
+    expect(policy.canStartCall(caller, callee)).toBe(false);
+    expect(canCall).toHaveBeenCalledWith({ caller, callee });
+  });
+
+  test("canSignalPeer requires both users in the same call", () => {
+    const call = callRegistry.createCall({ callerId: "emp-1", calleeId: "hlp-1" });
+    callRegistry.createCall({ callerId: "emp-2", calleeId: "hlp-2" });
+
+    expect(policy.canSignalPeer("emp-1", "hlp-1")).toBe(true);
+    expect(policy.canSignalPeer("hlp-1", "emp-1", call.callId)).toBe(true);
+    expect(policy.canSignalPeer("emp-1", "hlp-2")).toBe(false);
+    expect(policy.canSignalPeer("emp-3", "hlp-1")).toBe(false);
+  });
+
+  test("canSendCaptions requires an answered call", () => {
+    const call = callRegistry.createCall({ callerId: "emp-1", calleeId: "hlp-1" });
+    expect(policy.canSendCaptions("emp-1", "hlp-1")).toBe(false);
+
+    callRegistry.answerCall(call.callId);
+    expect(policy.canSendCaptions("emp-1", "hlp-1")).toBe(true);
+    expect(policy.canSendCaptions("hlp-1", "emp-1")).toBe(true);
+    expect(policy.canSendCaptions("emp-1", "someone-else")).toBe(false);
+
+    callRegistry.endCall(call.callId);
+    expect(policy.canSendCaptions("emp-1", "hlp-1")).toBe(false);
+  });
+
+  test("room signaling and captions require room membership", () => {
+    const { roomId } = roomRegistry.createRoom({ ownerId: "emp-1" });
+    roomRegistry.joinRoom(roomId, "hlp-1");
+
+    expect(policy.canSignalRoomPeer("emp-1", "hlp-1", roomId)).toBe(true);
+    expect(policy.canSignalRoomPeer("emp-1", "emp-1", roomId)).toBe(false);
+    expect(policy.canSignalRoomPeer("emp-1", "outsider", roomId)).toBe(false);
+    expect(policy.canSignalRoomPeer("outsider", "emp-1", roomId)).toBe(false);
+    expect(policy.canSendRoomCaptions("hlp-1", roomId)).toBe(true);
+    expect(policy.canSendRoomCaptions("outsider", roomId)).toBe(false);
+  });
+
+  test("canSendMessage follows the call policy or an existing call", () => {
+    policy = createAuthorizationPolicy({
+      callRegistry,
+      canCall: CALL_POLICIES["employer-helper"],
+    });
+    const employer = { id: "emp-1", role: "employer" };
+    const helper = { id: "hlp-1", role: "helper" };
+    const otherEmployer = { id: "emp-2", role: "employer" };
+
+    expect(policy.canSendMessage(employer, helper)).toBe(true);
+    expect(policy.canSendMessage(employer, otherEmployer)).toBe(false);
+
+    callRegistry.createCall({ callerId: "emp-1", calleeId: "emp-2" });
+    expect(policy.canSendMessage(employer, otherEmployer)).toBe(true);
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * Tests for per-user language preferences (app/preferenceStore)
+ */
+
+const { createPreferenceStore } = require("../app/preferenceStore");
+
+describe("createPreferenceStore", () => {
+  test("returns null for unknown users", () => {
+    expect(createPreferenceStore().get("hlp-1")).toBeNull();
+  });
+
+  test("merges updates and keeps fields that are not given", () => {
+    const store = createPreferenceStore();
+    store.update("hlp-1", {
+      spokenLanguage: "my",
+      spokenLocale: "my-MM",
+      captionLanguage: "my",
+    });
+    store.update("hlp-1", {
+      spokenLanguage: null,
+      spokenLocale: null,
+      captionLanguage: "en",
+    });
+
+    expect(store.get("hlp-1")).toEqual({
+      spokenLanguage: "my",
+      spokenLocale: "my-MM",
+      captionLanguage: "en",
+    });
+  });
+
+  test("remove forgets a user's preferences", () => {
+    const store = createPreferenceStore();
+    store.update("hlp-1", { captionLanguage: "my" });
+    store.remove("hlp-1");
+
+    expect(store.get("hlp-1")).toBeNull();
+  });
+});
@@ -0,0 +1,483 @@
+/**
+ * Tests for the pluggable speech/translation providers
+ * (app/providers: Google + offline stub)
+ */
+
+// ─── Mocks ───────────────────────────────────────────────────────────────────
+
+const mockRecognize = jest.fn();
+const mockStreamingRecognize = jest.fn();
+const mockGetClient = jest.fn();
+jest.mock("@google-cloud/speech", () => ({
+  SpeechClient: jest.fn().mockImplementation(() => ({
+    auth: { getClient: mockGetClient },
+    recognize: mockRecognize,
+    streamingRecognize: mockStreamingRecognize,
+  })),
+}));
+
+const mockTranslateText = jest.fn();
+jest.mock("@google-cloud/translate", () => ({
+  v3: {
+    TranslationServiceClient: jest.fn().mockImplementation(() => ({
+      translateText: mockTranslateText,
+    })),
+  },
+}));
+
+const mockSynthesizeSpeech = jest.fn();
+jest.mock("@google-cloud/text-to-speech", () => ({
+  TextToSpeechClient: jest.fn().mockImplementation(() => ({
+    synthesizeSpeech: mockSynthesizeSpeech,
+  })),
+}));
+
+const { PassThrough } = require("stream");
+const { createProvider } = require("../app/providers");
+
+const toBase64 = (text) => Buffer.from(text).toString("base64");
+
+const collectEvents = (session) =>
+  new Promise((resolve, reject) => {
+    const events = [];
+    session.on("data", (data) => events.push(data));
+    session.on("error", reject);
+    session.on("end", () => resolve(events));
+  });
+
+afterEach(() => {
+  jest.clearAllMocks();
+});
+
+describe("createProvider", () => {
+  test("defaults to the google provider", () => {
+    expect(createProvider(undefined).name).toBe("google");
+  });
+
+  test("resolves names case-insensitively", () => {
+    expect(createProvider(" STUB ").name).toBe("stub");
+  });
+
+  test("throws for unknown providers", () => {
+    expect(() => createProvider("acme")).toThrow('Unknown speech provider "acme"');
+  });
+});
+
+describe("stub provider", () => {
+  const provider = createProvider("stub");
+
+  test("is always ready", async () => {
+    await expect(provider.checkReadiness()).resolves.toEqual({ ready: true });
+  });
+
+  test("echoes text audio as the transcript", async () => {
+    const result = await provider.recognize({ audioContent: toBase64("hello") });
+    expect(result).toEqual({ transcript: "hello" });
+  });
+
+  test("returns a placeholder for binary audio", async () => {
+    const pcm = Buffer.from([0x00, 0x01, 0xff, 0xfe]).toString("base64");
+    const result = await provider.recognize({ audioContent: pcm });
+    expect(result.transcript).toBe("[audio 4 bytes]");
+  });
+
+  test("translates dictionary phrases", async () => {
+    await expect(
+      provider.translate({
+        text: "Hello.",
+        sourceLanguageCode: "en",
+        targetLanguageCode: "my",
+      })
+    ).resolves.toBe("မင်္ဂလာပါ");
+  });
+
+  test("tags unknown phrases with the target language", async () => {
+    await expect(
+      provider.translate({
+        text: "Where is the kitchen",
+        sourceLanguageCode: "en",
+        targetLanguageCode: "my",
+      })
+    ).resolves.toBe("[my] Where is the kitchen");
+  });
+
+  test("synthesizes a deterministic WAV tone", async () => {
+    const request = { text: "hi", languageCode: "my-MM" };
+    const first = await provider.synthesize(request);
+    const second = await provider.synthesize(request);
+    const { audioContent } = first;
+
+    expect(first).toEqual(
+      expect.objectContaining({
+        encoding: "LINEAR16",
+        sampleRateHertz: 16000,
+        mimeType: "audio/wav",
+      })
+    );
+    expect(audioContent.equals(second.audioContent)).toBe(true);
+    expect(audioContent.toString("ascii", 0, 4)).toBe("RIFF");
+    expect(audioContent.toString("ascii", 8, 12)).toBe("WAVE");
+    expect(audioContent.readUInt32LE(24)).toBe(16000);
+    // 200 ms minimum at 16 kHz, 16-bit mono, after the 44-byte header.
+    expect(audioContent.length).toBe(44 + 3200 * 2);
+  });
+
+  test("streams interim results and finalizes on sentence end", async () => {
+    const session = provider.streamingRecognize({ languageCode: "en-US" });
+    const eventsPromise = collectEvents(session);
+
+    session.write(Buffer.from("good"), 1);
+    await new Promise((resolve) => setImmediate(resolve));
+    session.write(Buffer.from("morning."), 2);
+    await new Promise((resolve) => setImmediate(resolve));
+    session.write(Buffer.from("bye"));
+    session.end();
+
+    await expect(eventsPromise).resolves.toEqual([
+      {
+        transcript: "good",
+        isFinal: false,
+        languageCode: "en-US",
+        sequenceId: 1,
+      },
+      {
+        transcript: "good morning.",
+        isFinal: true,
+        languageCode: "en-US",
+        sequenceId: 2,
+      },
+      {
+        transcript: "bye",
+        isFinal: false,
+        languageCode: "en-US",
+        sequenceId: null,
+      },
+      {
+        transcript: "bye",
+        isFinal: true,
+        languageCode: "en-US",
+        sequenceId: null,
+      },
+    ]);
+  });
+
+  test("closes a stream once it ends or is destroyed", async () => {
+    const ended = provider.streamingRecognize({ languageCode: "en-US" });
+    const destroyed = provider.streamingRecognize({ languageCode: "en-US" });
+    const events = [];
+    ended.on("end", () => events.push("end"));
+    ended.on("close", () => events.push("close"));
+    const closed = new Promise((resolve) => destroyed.once("close", resolve));
+
+    ended.end();
+    destroyed.destroy();
+    await closed;
+
+    expect(events).toEqual(["end", "close"]);
+  });
+
+  test("detects the spoken language by script", async () => {
+    const detect = (text, alternativeLanguageCodes) =>
+      provider.recognize({
+        audioContent: toBase64(text),
+        languageCode: "en-US",
+        alternativeLanguageCodes,
+      });
+
+    await expect(detect("မင်္ဂလာပါ", ["my-MM", "ta-IN"])).resolves.toEqual({
+      transcript: "မင်္ဂလာပါ",
+      languageCode: "my-MM",
+    });
+    await expect(detect("hello", ["my-MM"])).resolves.toEqual(
+      expect.objectContaining({ languageCode: "en-US" })
+    );
+    // Languages outside the candidate list are never reported.
+    await expect(detect("မင်္ဂလာပါ", ["ta-IN"])).resolves.toEqual(
+      expect.objectContaining({ languageCode: "en-US" })
+    );
+  });
+});
+
+describe("google provider", () => {
+  test("is ready with a project id and loadable credentials", async () => {
+    mockGetClient.mockResolvedValueOnce({});
+
+    await expect(
+      createProvider("google", { projectId: "test-project" }).checkReadiness()
+    ).resolves.toEqual({ ready: true });
+  });
+
+  test("is not ready without a project id or credentials", async () => {
+    mockGetClient.mockRejectedValueOnce(
+      new Error("Could not load the default credentials")
+    );
+
+    await expect(createProvider("google").checkReadiness()).resolves.toEqual({
+      ready: false,
+      reason: "Google Cloud project id is not set",
+    });
+    await expect(
+      createProvider("google", { projectId: "test-project" }).checkReadiness()
+    ).resolves.toEqual({
+      ready: false,
+      reason:
+        "Google credentials could not be loaded: " +
+        "Could not load the default credentials",
+    });
+  });
+
+  test("recognize joins result transcripts", async () => {
+    mockRecognize.mockResolvedValueOnce([
+      {
+        results: [
+          { alternatives: [{ transcript: "Hello," }] },
+          { alternatives: [{ transcript: "how are you?" }] },
+        ],
+      },
+    ]);
+    const provider = createProvider("google", { projectId: "test-project" });
+
+    const result = await provider.recognize({
+      audioContent: toBase64("audio"),
+      encoding: "LINEAR16",
+      sampleRateHertz: 16000,
+      languageCode: "en-US",
+    });
+
+    expect(result).toEqual({
+      transcript: "Hello, how are you?",
+      languageCode: "en-US",
+    });
+    expect(mockRecognize).toHaveBeenCalledWith({
+      config: {
+        encoding: "LINEAR16",
+        sampleRateHertz: 16000,
+        languageCode: "en-US",
+        enableAutomaticPunctuation: true,
+      },
+      audio: { content: toBase64("audio") },
+    });
+  });
+
+  test("recognize reports the detected language", async () => {
+    mockRecognize.mockResolvedValueOnce([
+      {
+        results: [
+          {
+            alternatives: [{ transcript: "မင်္ဂလာပါ" }],
+            languageCode: "my-mm",
+          },
+        ],
+      },
+    ]);
+    const provider = createProvider("google", { projectId: "test-project" });
+
+    const result = await provider.recognize({
+      audioContent: toBase64("audio"),
+      encoding: "LINEAR16",
+      sampleRateHertz: 16000,
+      languageCode: "en-US",
+      alternativeLanguageCodes: ["my-MM"],
+    });
+
+    expect(result).toEqual({ transcript: "မင်္ဂလာပါ", languageCode: "my-mm" });
+    expect(mockRecognize).toHaveBeenCalledWith(
+      expect.objectContaining({
+        config: expect.objectContaining({
+          languageCode: "en-US",
+          alternativeLanguageCodes: ["my-MM"],
+        }),
+      })
+    );
+  });
+
+  test("translate calls Translation v3 with the project parent", async () => {
+    mockTranslateText.mockResolvedValueOnce([
+      { translations: [{ translatedText: "Hello" }] },
+    ]);
+    const provider = createProvider("google", { projectId: "test-project" });
+
+    await expect(
+      provider.translate({
+        text: "မင်္ဂလာပါ",
+        sourceLanguageCode: "my",
+        targetLanguageCode: "en",
+      })
+    ).resolves.toBe("Hello");
+    expect(mockTranslateText).toHaveBeenCalledWith({
+      parent: "projects/test-project/locations/global",
+      contents: ["မင်္ဂလာပါ"],
+      mimeType: "text/plain",
+      sourceLanguageCode: "my",
+      targetLanguageCode: "en",
+    });
+  });
+
+  test("translate uses the configured Cloud glossary", async () => {
+    mockTranslateText.mockResolvedValueOnce([
+      {
+        translations: [{ translatedText: "day of rest" }],
+        glossaryTranslations: [{ translatedText: "day off" }],
+      },
+    ]);
+    const provider = createProvider("google", {
+      projectId: "test-project",
+      location: "us-central1",
+      glossaryId: "interviews",
+    });
+
+    await expect(
+      provider.translate({
+        text: "ပိတ်ရက်",
+        sourceLanguageCode: "my",
+        targetLanguageCode: "en",
+      })
+    ).resolves.toBe("day off");
+    expect(mockTranslateText).toHaveBeenCalledWith(
+      expect.objectContaining({
+        parent: "projects/test-project/locations/us-central1",
+        glossaryConfig: {
+          glossary:
+            "projects/test-project/locations/us-central1/glossaries/interviews",
+        },
+      })
+    );
+  });
+
+  test("synthesize requests LINEAR16 speech", async () => {
+    mockSynthesizeSpeech.mockResolvedValueOnce([
+      { audioContent: new Uint8Array([1, 2, 3]) },
+    ]);
+    const provider = createProvider("google", { projectId: "test-project" });
+
+    const speech = await provider.synthesize({
+      text: "မင်္ဂလာပါ",
+      languageCode: "my-MM",
+    });
+
+    expect(speech).toEqual({
+      audioContent: Buffer.from([1, 2, 3]),
+      encoding: "LINEAR16",
+      sampleRateHertz: 24000,
+      mimeType: "audio/wav",
+    });
+    expect(mockSynthesizeSpeech).toHaveBeenCalledWith({
+      input: { text: "မင်္ဂလာပါ" },
+      voice: { languageCode: "my-MM" },
+      audioConfig: { audioEncoding: "LINEAR16", sampleRateHertz: 24000 },
+    });
+  });
+
+  test("translate returns the input when no project id is set", async () => {
+    const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const provider = createProvider("google", {});
+
+    await expect(
+      provider.translate({
+        text: "hello",
+        sourceLanguageCode: "en",
+        targetLanguageCode: "my",
+      })
+    ).resolves.toBe("hello");
+    expect(mockTranslateText).not.toHaveBeenCalled();
+    warnSpy.mockRestore();
+  });
+
+  test("streamingRecognize normalizes streaming responses", async () => {
+    const fakeStream = new PassThrough({ objectMode: true });
+    mockStreamingRecognize.mockReturnValueOnce(fakeStream);
+    const provider = createProvider("google", { projectId: "test-project" });
+
+    const session = provider.streamingRecognize({
+      encoding: "LINEAR16",
+      sampleRateHertz: 16000,
+      languageCode: "en-US",
+    });
+    const eventsPromise = collectEvents(session);
+
+    fakeStream.push({
+      results: [{ alternatives: [{ transcript: "hel" }], isFinal: false }],
+    });
+    fakeStream.push({
+      results: [{ alternatives: [{ transcript: "hello" }], isFinal: true }],
+    });
+    fakeStream.push(null);
+
+    await expect(eventsPromise).resolves.toEqual([
+      {
+        transcript: "hel",
+        isFinal: false,
+        languageCode: "en-US",
+        sequenceId: null,
+      },
+      {
+        transcript: "hello",
+        isFinal: true,
+        languageCode: "en-US",
+        sequenceId: null,
+      },
+    ]);
+    expect(mockStreamingRecognize).toHaveBeenCalledWith({
+      config: {
+        encoding: "LINEAR16",
+        sampleRateHertz: 16000,
+        languageCode: "en-US",
+        enableAutomaticPunctuation: true,
+      },
+      interimResults: true,
+    });
+  });
+
+  test("streamingRecognize tags results with the chunk their audio reaches", async () => {
+    const fakeStream = new PassThrough({ objectMode: true });
+    mockStreamingRecognize.mockReturnValueOnce(fakeStream);
+    const provider = createProvider("google", { projectId: "test-project" });
+
+    const session = provider.streamingRecognize({
+      encoding: "LINEAR16",
+      sampleRateHertz: 16000,
+      languageCode: "en-US",
+    });
+    const eventsPromise = collectEvents(session);
+
+    // 100 ms each at 16 kHz.
+    session.write(Buffer.alloc(3200), 7);
+    session.write(Buffer.alloc(3200), 8);
+    fakeStream.push({
+      results: [
+        {
+          alternatives: [{ transcript: "hel" }],
+          resultEndTime: { seconds: "0", nanos: 80000000 },
+        },
+      ],
+    });
+    fakeStream.push({
+      results: [
+        {
+          alternatives: [{ transcript: "hello" }],
+          isFinal: true,
+          resultEndTime: { seconds: "0", nanos: 150000000 },
+        },
+      ],
+    });
+    fakeStream.push(null);
+
+    const events = await eventsPromise;
+    expect(events.map((event) => event.sequenceId)).toEqual([7, 8]);
+  });
+
+  test("streamingRecognize reports a stream that closes without ending", async () => {
+    const fakeStream = new PassThrough({ objectMode: true });
+    mockStreamingRecognize.mockReturnValueOnce(fakeStream);
+    const provider = createProvider("google", { projectId: "test-project" });
+    const session = provider.streamingRecognize({ languageCode: "en-US" });
+    const onEnd = jest.fn();
+    session.on("end", onEnd);
+    const closed = new Promise((resolve) => session.once("close", resolve));
+
+    fakeStream.destroy();
+
+    await closed;
+    expect(onEnd).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Tests for the stores instances keep in step (app/replicatedStore)
+ */
+
+const {
+  createReplicatedLists,
+  createReplicatedMap,
+} = require("../app/replicatedStore");
+
+// Changes travel as JSON between instances.
+const relay = (target) => (change) =>
+  target.applyChange(JSON.parse(JSON.stringify(change)));
+
+describe("createReplicatedMap", () => {
+  test("reports sets and deletes", () => {
+    const onChange = jest.fn();
+    const map = createReplicatedMap({ onChange });
+
+    expect(map.set("hlp-1", { tts: true })).toEqual({ tts: true });
+    expect(map.get("hlp-1")).toEqual({ tts: true });
+    expect(map.delete("hlp-1")).toBe(true);
+    expect(map.get("hlp-1")).toBeNull();
+
+    expect(onChange.mock.calls.map(([change]) => change)).toEqual([
+      { type: "set", key: "hlp-1", value: { tts: true } },
+      { type: "delete", key: "hlp-1" },
+    ]);
+  });
+
+  test("a replica follows values through their JSON form", () => {
+    const options = {
+      toJSON: (value) => [...value],
+      fromJSON: (value) => new Set(value),
+    };
+    const replica = createReplicatedMap(options);
+    const map = createReplicatedMap({ ...options, onChange: relay(replica) });
+
+    const members = map.set("room-1", new Set(["emp-1"]));
+    members.add("hlp-1");
+    map.set("room-1", members);
+    map.set("room-2", new Set(["emp-2"]));
+    expect(replica.get("room-1")).toEqual(new Set(["emp-1", "hlp-1"]));
+
+    map.delete("room-1");
+    expect(replica.get("room-1")).toBeNull();
+    expect(replica.values()).toEqual([new Set(["emp-2"])]);
+    expect(replica.size()).toBe(1);
+  });
+
+  test("a snapshot applied twice recreates every value", () => {
+    const map = createReplicatedMap();
+    map.set("emp-1", { captionLanguage: "en" });
+    map.set("hlp-1", { captionLanguage: "my" });
+    const replica = createReplicatedMap();
+
+    map.snapshot().forEach(relay(replica));
+    map.snapshot().forEach(relay(replica));
+
+    expect(replica.snapshot()).toEqual(map.snapshot());
+  });
+});
+
+describe("createReplicatedLists", () => {
+  const createLists = (options) =>
+    createReplicatedLists({
+      maxPerUser: 2,
+      getUserId: (item) => item.to,
+      getId: (item) => item.id,
+      ...options,
+    });
+
+  test("keeps the newest items per user once each", () => {
+    const lists = createLists();
+    ["a", "b", "b", "c"].forEach((id) => lists.add({ id, to: "hlp-1" }));
+    lists.add({ id: "d", to: "hlp-2" });
+
+    expect(lists.peek("hlp-1").map((item) => item.id)).toEqual(["b", "c"]);
+    expect(lists.take("hlp-1")).toHaveLength(2);
+    expect(lists.take("hlp-1")).toEqual([]);
+    expect(lists.peek("hlp-2")).toHaveLength(1);
+  });
+
+  test("a replica follows added and taken items", () => {
+    const replica = createLists();
+    const lists = createLists({ onChange: relay(replica) });
+
+    const item = lists.add({ id: "a", to: "hlp-1" });
+    expect(replica.peek("hlp-1")).toEqual([item]);
+
+    lists.take("hlp-1");
+    expect(replica.peek("hlp-1")).toEqual([]);
+  });
+
+  test("a snapshot applied twice does not duplicate items", () => {
+    const lists = createLists();
+    lists.add({ id: "a", to: "hlp-1" });
+    lists.add({ id: "b", to: "hlp-2" });
+    const replica = createLists();
+
+    lists.snapshot().forEach(relay(replica));
+    lists.snapshot().forEach(relay(replica));
+
+    expect(replica.snapshot()).toEqual(lists.snapshot());
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Tests for conference rooms (app/roomRegistry)
+ */
+
+const { createRoomRegistry } = require("../app/roomRegistry");
+
+describe("createRoomRegistry", () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = createRoomRegistry({ maxParticipants: 3 });
+  });
+
+  test("creates a room with the owner as first participant", () => {
+    const room = registry.createRoom({ ownerId: "emp-1", name: "Interview" });
+
+    expect(registry.toJSON(room)).toEqual({
+      roomId: expect.any(String),
+      ownerId: "emp-1",
+      name: "Interview",
+      participants: ["emp-1"],
+      createdAt: expect.any(String),
+    });
+    expect(registry.isMember(room.roomId, "emp-1")).toBe(true);
+  });
+
+  test("joins participants up to the room limit", () => {
+    const { roomId } = registry.createRoom({ ownerId: "emp-1" });
+
+    expect(registry.joinRoom(roomId, "hlp-1").room).toBeDefined();
+    expect(registry.joinRoom(roomId, "coord-1").room).toBeDefined();
+    expect(registry.joinRoom(roomId, "hlp-2")).toEqual({ error: "ROOM_FULL" });
+    // Re-joining as an existing member is not blocked by the limit.
+    expect(registry.joinRoom(roomId, "hlp-1").room).toBeDefined();
+    expect(registry.getParticipants(roomId)).toEqual([
+      "emp-1",
+      "hlp-1",
+      "coord-1",
+    ]);
+  });
+
+  test("reports unknown rooms", () => {
+    expect(registry.joinRoom("missing", "hlp-1")).toEqual({
+      error: "ROOM_NOT_FOUND",
+    });
+    expect(registry.getParticipants("missing")).toEqual([]);
+  });
+
+  test("removes participants and deletes empty rooms", () => {
+    const { roomId } = registry.createRoom({ ownerId: "emp-1" });
+    registry.joinRoom(roomId, "hlp-1");
+
+    expect(registry.leaveRoom(roomId, "emp-1").participants.size).toBe(1);
+    expect(registry.leaveRoom(roomId, "emp-1")).toBeNull();
+    registry.leaveRoom(roomId, "hlp-1");
+
+    expect(registry.getRoom(roomId)).toBeNull();
+    expect(registry.size()).toBe(0);
+  });
+
+  test("lists the rooms a user is in", () => {
+    const first = registry.createRoom({ ownerId: "emp-1" });
+    const second = registry.createRoom({ ownerId: "emp-2" });
+    registry.joinRoom(second.roomId, "emp-1");
+
+    const roomIds = registry.getRoomsForUser("emp-1").map((r) => r.roomId);
+
+    expect(roomIds).toEqual([first.roomId, second.roomId]);
+    expect(registry.getRoomsForUser("hlp-1")).toEqual([]);
+  });
+
+  test("a replica follows rooms through their JSON form", () => {
+    const replica = createRoomRegistry();
+    registry = createRoomRegistry({
+      maxParticipants: 3,
+      onChange: (change) =>
+        replica.applyChange(JSON.parse(JSON.stringify(change))),
+    });
+
+    const { roomId } = registry.createRoom({ ownerId: "emp-1" });
+    registry.joinRoom(roomId, "hlp-1");
+    expect(replica.isMember(roomId, "hlp-1")).toBe(true);
+    expect(replica.toJSON(replica.getRoom(roomId))).toEqual(
+      registry.toJSON(registry.getRoom(roomId))
+    );
+
+    registry.leaveRoom(roomId, "emp-1");
+    expect(replica.getParticipants(roomId)).toEqual(["hlp-1"]);
+
+    registry.leaveRoom(roomId, "hlp-1");
+    expect(replica.getRoom(roomId)).toBeNull();
+  });
+});
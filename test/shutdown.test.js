@@ -0,0 +1,202 @@
+/**
+ * Tests for graceful shutdown (app/shutdown)
+ */
+
+const { EventEmitter } = require("events");
+const {
+  SHUTDOWN_SIGNALS,
+  createGracefulShutdown,
+  handleShutdownSignals,
+  settleWithin,
+} = require("../app/shutdown");
+
+const createLogger = () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+});
+
+describe("settleWithin", () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("resolves true once the promise settles or fails", async () => {
+    await expect(settleWithin(Promise.resolve(), 1000)).resolves.toBe(true);
+    await expect(
+      settleWithin(Promise.reject(new Error("failed")), 1000)
+    ).resolves.toBe(true);
+  });
+
+  test("resolves false when the deadline passes first", async () => {
+    jest.useFakeTimers();
+    const settled = settleWithin(new Promise(() => {}), 1000);
+
+    jest.advanceTimersByTime(1000);
+
+    await expect(settled).resolves.toBe(false);
+  });
+});
+
+describe("createGracefulShutdown", () => {
+  let steps;
+  let logger;
+
+  const createSteps = (overrides = {}) => ({
+    stopAccepting: jest.fn(() => steps.push("stopAccepting")),
+    notify: jest.fn(() => steps.push("notify")),
+    drain: jest.fn(async () => steps.push("drain")),
+    close: jest.fn(async () => steps.push("close")),
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    steps = [];
+    logger = createLogger();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("runs the steps in order", async () => {
+    const gracefulShutdown = createGracefulShutdown({
+      ...createSteps(),
+      logger,
+    });
+    expect(gracefulShutdown.isShuttingDown()).toBe(false);
+
+    await gracefulShutdown.shutdown("SIGTERM");
+
+    expect(steps).toEqual(["stopAccepting", "notify", "drain", "close"]);
+    expect(gracefulShutdown.isShuttingDown()).toBe(true);
+    expect(logger.info).toHaveBeenCalledWith("Shutting down", {
+      signal: "SIGTERM",
+      drainTimeoutMs: 8000,
+    });
+  });
+
+  test("runs only once", async () => {
+    const shutdownSteps = createSteps();
+    const gracefulShutdown = createGracefulShutdown({
+      ...shutdownSteps,
+      logger,
+    });
+
+    const first = gracefulShutdown.shutdown("SIGTERM");
+    const second = gracefulShutdown.shutdown("SIGINT");
+    await Promise.all([first, second]);
+
+    expect(second).toBe(first);
+    expect(shutdownSteps.close).toHaveBeenCalledTimes(1);
+  });
+
+  test("closes once the drain deadline passes", async () => {
+    jest.useFakeTimers();
+    const shutdownSteps = createSteps({ drain: () => new Promise(() => {}) });
+    const gracefulShutdown = createGracefulShutdown({
+      ...shutdownSteps,
+      drainTimeoutMs: 500,
+      logger,
+    });
+
+    const shutdown = gracefulShutdown.shutdown("SIGTERM");
+    await jest.advanceTimersByTimeAsync(499);
+    expect(shutdownSteps.close).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(1);
+    await shutdown;
+    expect(shutdownSteps.close).toHaveBeenCalled();
+    expect(logger.warn).toHaveBeenCalledWith(
+      "Drain deadline reached, dropping pending work",
+      { drainTimeoutMs: 500 }
+    );
+  });
+
+  test("a failing drain does not stop the shutdown", async () => {
+    const shutdownSteps = createSteps({
+      drain: () => {
+        throw new Error("queue failed");
+      },
+    });
+    const gracefulShutdown = createGracefulShutdown({
+      ...shutdownSteps,
+      logger,
+    });
+
+    await gracefulShutdown.shutdown("SIGTERM");
+
+    expect(shutdownSteps.close).toHaveBeenCalled();
+  });
+});
+
+describe("handleShutdownSignals", () => {
+  const flushPromises = () => new Promise((resolve) => setImmediate(resolve));
+
+  test.each(SHUTDOWN_SIGNALS)("%s shuts down and exits", async (signal) => {
+    const target = new EventEmitter();
+    const exit = jest.fn();
+    const gracefulShutdown = createGracefulShutdown({
+      stopAccepting: () => {},
+      notify: () => {},
+      drain: async () => {},
+      close: async () => {},
+      logger: createLogger(),
+    });
+    handleShutdownSignals(gracefulShutdown, {
+      logger: createLogger(),
+      target,
+      exit,
+    });
+
+    target.emit(signal);
+    await flushPromises();
+
+    expect(exit).toHaveBeenCalledWith(0);
+  });
+
+  test("exits with 1 when a step fails", async () => {
+    const target = new EventEmitter();
+    const exit = jest.fn();
+    const logger = createLogger();
+    const closeError = new Error("close failed");
+    handleShutdownSignals(
+      {
+        isShuttingDown: () => false,
+        shutdown: () => Promise.reject(closeError),
+      },
+      { logger, target, exit }
+    );
+
+    target.emit("SIGTERM");
+    await flushPromises();
+
+    expect(logger.error).toHaveBeenCalledWith("Shutdown failed", {
+      error: closeError,
+    });
+    expect(exit).toHaveBeenCalledWith(1);
+  });
+
+  test("a second signal exits right away", () => {
+    const target = new EventEmitter();
+    const exit = jest.fn();
+    const shutdown = jest.fn(() => new Promise(() => {}));
+    let shuttingDown = false;
+    handleShutdownSignals(
+      {
+        isShuttingDown: () => shuttingDown,
+        shutdown: (signal) => {
+          shuttingDown = true;
+          return shutdown(signal);
+        },
+      },
+      { logger: createLogger(), target, exit }
+    );
+
+    target.emit("SIGTERM");
+    target.emit("SIGINT");
+
+    expect(shutdown).toHaveBeenCalledTimes(1);
+    expect(exit).toHaveBeenCalledWith(1);
+  });
+});
@@ -0,0 +1,356 @@
+/**
+ * Tests for shared state across instances
+ * (app/state: memory + Redis stores, registry replication, Socket.IO adapter)
+ */
+
+// ─── Mocks ───────────────────────────────────────────────────────────────────
+
+const mockRedisClient = {
+  connect: jest.fn(() => Promise.resolve()),
+  duplicate: jest.fn(() => mockRedisClient),
+  incr: jest.fn(),
+  isOpen: true,
+  isReady: true,
+  multi: jest.fn(),
+  on: jest.fn(),
+  pExpire: jest.fn(),
+  publish: jest.fn(),
+  close: jest.fn(),
+  subscribe: jest.fn(),
+};
+jest.mock("redis", () => ({
+  createClient: jest.fn(() => mockRedisClient),
+}));
+
+const mockRedisAdapter = jest.fn();
+jest.mock("@socket.io/redis-adapter", () => ({
+  createAdapter: jest.fn(() => mockRedisAdapter),
+}));
+
+const http = require("http");
+const { Server } = require("socket.io");
+const { io: ioClient } = require("socket.io-client");
+const { createAdapter } = require("@socket.io/redis-adapter");
+const { createClient } = require("redis");
+const { createCallRegistry } = require("../app/callRegistry");
+const {
+  createMemoryStateHub,
+  createReplicator,
+  createStateStore,
+} = require("../app/state");
+
+// Lets asynchronously delivered messages arrive.
+const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+const silentLogger = { warn: jest.fn(), error: jest.fn() };
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.useRealTimers();
+});
+
+describe("createStateStore", () => {
+  test("defaults to the memory store", () => {
+    expect(createStateStore().name).toBe("memory");
+    expect(createStateStore(" Memory ").name).toBe("memory");
+  });
+
+  test("rejects unknown stores", () => {
+    expect(() => createStateStore("etcd")).toThrow(
+      'Unknown state store "etcd" (expected one of: memory, redis)'
+    );
+  });
+});
+
+describe("memory state store", () => {
+  test("counts within a window and starts over once it expires", async () => {
+    jest.useFakeTimers({ now: 0 });
+    const store = createStateStore("memory");
+
+    expect(await store.incr("hits", { ttlMs: 1000 })).toBe(1);
+    expect(await store.incr("hits", { ttlMs: 1000 })).toBe(2);
+    jest.setSystemTime(1000);
+    expect(await store.incr("hits", { ttlMs: 1000 })).toBe(1);
+  });
+
+  test("deletes counters whose window has passed", async () => {
+    jest.useFakeTimers({ now: 0 });
+    const hub = createMemoryStateHub();
+    const store = createStateStore("memory", { hub });
+
+    await store.incr("rateLimit:stt:emp-1:0", { ttlMs: 1000 });
+    await store.incr("rateLimit:stt:emp-2:0", { ttlMs: 1000 });
+    jest.setSystemTime(60000);
+    await store.incr("rateLimit:stt:emp-1:60", { ttlMs: 1000 });
+
+    expect([...hub.counters.keys()]).toEqual(["rateLimit:stt:emp-1:60"]);
+  });
+
+  test("stores on one hub share counters and messages", async () => {
+    const hub = createMemoryStateHub();
+    const first = createStateStore("memory", { hub });
+    const second = createStateStore("memory", { hub });
+    const received = [];
+    await second.subscribe("calls", (message) => received.push(message));
+
+    await first.incr("hits");
+    expect(await second.incr("hits")).toBe(2);
+
+    const message = { at: new Date(0) };
+    await first.publish("calls", message);
+    await settle();
+    // Messages are serialized, as they would be over Redis.
+    expect(received).toEqual([{ at: "1970-01-01T00:00:00.000Z" }]);
+    expect(received[0]).not.toBe(message);
+  });
+
+  test("separate stores do not share state", async () => {
+    const first = createStateStore("memory");
+    const second = createStateStore("memory");
+    const handler = jest.fn();
+    await second.subscribe("calls", handler);
+
+    await first.incr("hits");
+    await first.publish("calls", { type: "remove" });
+    await settle();
+
+    expect(await second.incr("hits")).toBe(1);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test("is always ready", async () => {
+    await expect(createStateStore("memory").checkReadiness()).resolves.toEqual(
+      { ready: true }
+    );
+  });
+});
+
+describe("redis state store", () => {
+  const createRedisStore = () =>
+    createStateStore("redis", {
+      url: "redis://cache:6379",
+      logger: silentLogger,
+    });
+
+  test("sets the expiry in the same transaction as the increment", async () => {
+    const store = createRedisStore();
+    const transaction = {
+      incr: jest.fn(() => transaction),
+      pExpire: jest.fn(() => transaction),
+      exec: jest
+        .fn()
+        .mockResolvedValueOnce([1, 1])
+        .mockResolvedValueOnce([2, 0]),
+    };
+    mockRedisClient.multi.mockReturnValue(transaction);
+
+    expect(await store.incr("hits", { ttlMs: 5000 })).toBe(1);
+    expect(await store.incr("hits", { ttlMs: 5000 })).toBe(2);
+
+    expect(transaction.incr).toHaveBeenCalledWith("livetranslate:hits");
+    expect(transaction.pExpire).toHaveBeenCalledWith(
+      "livetranslate:hits",
+      5000,
+      "NX"
+    );
+    expect(transaction.exec).toHaveBeenCalledTimes(2);
+    expect(mockRedisClient.pExpire).not.toHaveBeenCalled();
+  });
+
+  test("counts without a transaction when there is no expiry", async () => {
+    const store = createRedisStore();
+    mockRedisClient.incr.mockResolvedValueOnce(3);
+
+    expect(await store.incr("hits")).toBe(3);
+    expect(mockRedisClient.multi).not.toHaveBeenCalled();
+  });
+
+  test("publishes and receives JSON on prefixed channels", async () => {
+    const store = createRedisStore();
+    const handler = jest.fn();
+
+    await store.publish("calls", { type: "remove", callId: "call-1" });
+    await store.subscribe("calls", handler);
+    mockRedisClient.subscribe.mock.calls[0][1]('{"type":"remove"}');
+
+    expect(mockRedisClient.publish).toHaveBeenCalledWith(
+      "livetranslate:calls",
+      '{"type":"remove","callId":"call-1"}'
+    );
+    expect(mockRedisClient.subscribe).toHaveBeenCalledWith(
+      "livetranslate:calls",
+      expect.any(Function)
+    );
+    expect(handler).toHaveBeenCalledWith({ type: "remove" });
+  });
+
+  test("builds the Socket.IO adapter on its connections", () => {
+    const store = createRedisStore();
+
+    expect(store.createAdapter()).toBe(mockRedisAdapter);
+    expect(createAdapter).toHaveBeenCalledWith(
+      mockRedisClient,
+      mockRedisClient,
+      { key: "livetranslate:socket.io" }
+    );
+  });
+
+  test("fails commands while disconnected but keeps subscriptions waiting", () => {
+    createRedisStore();
+
+    expect(createClient).toHaveBeenCalledWith({
+      url: "redis://cache:6379",
+      disableOfflineQueue: true,
+    });
+    expect(mockRedisClient.duplicate).toHaveBeenCalledWith({
+      disableOfflineQueue: false,
+    });
+  });
+
+  test("is not ready while disconnected", async () => {
+    const store = createRedisStore();
+    mockRedisClient.isReady = false;
+
+    await expect(store.checkReadiness()).resolves.toEqual({
+      ready: false,
+      reason: "Redis is not connected",
+    });
+    mockRedisClient.isReady = true;
+  });
+});
+
+describe("createReplicator", () => {
+  const createInstance = (hub, instanceId) => {
+    const store = createStateStore("memory", { hub });
+    const replicator = createReplicator({
+      store,
+      channel: "calls",
+      instanceId,
+      logger: silentLogger,
+    });
+    const callRegistry = createCallRegistry({
+      ringTimeoutMs: 1000,
+      onChange: replicator.publish,
+    });
+    return { callRegistry, replicator };
+  };
+
+  test("applies changes made on other instances", async () => {
+    const hub = createMemoryStateHub();
+    const first = createInstance(hub, "a");
+    const second = createInstance(hub, "b");
+    await first.replicator.attach(first.callRegistry);
+    await second.replicator.attach(second.callRegistry);
+
+    const call = first.callRegistry.createCall({
+      callerId: "emp-1",
+      calleeId: "hlp-1",
+    });
+    await settle();
+    expect(second.callRegistry.isUserBusy("hlp-1")).toBe(true);
+
+    second.callRegistry.answerCall(call.callId);
+    await settle();
+    expect(first.callRegistry.getCall(call.callId).state).toBe("active");
+
+    first.callRegistry.endCall(call.callId);
+    await settle();
+    expect(second.callRegistry.size()).toBe(0);
+  });
+
+  test("a new instance receives the state of running ones", async () => {
+    const hub = createMemoryStateHub();
+    const first = createInstance(hub, "a");
+    await first.replicator.attach(first.callRegistry);
+    const call = first.callRegistry.createCall({
+      callerId: "emp-1",
+      calleeId: "hlp-1",
+    });
+    await settle();
+
+    const applyChange = jest.spyOn(first.callRegistry, "applyChange");
+    const second = createInstance(hub, "b");
+    await second.replicator.attach(second.callRegistry);
+    await settle();
+
+    expect(second.callRegistry.getCallForUser("emp-1")).toEqual(call);
+    // The snapshot went to the new instance only.
+    expect(applyChange).not.toHaveBeenCalled();
+  });
+});
+
+describe("memory Socket.IO adapter", () => {
+  let servers = [];
+  let clients = [];
+
+  const startServer = async (hub) => {
+    const httpServer = http.createServer();
+    const io = new Server(httpServer, {
+      adapter: createStateStore("memory", { hub }).createAdapter(),
+    });
+    io.on("connection", (socket) => {
+      socket.join(socket.handshake.auth.user);
+      socket.data.role = socket.handshake.auth.role;
+    });
+    await new Promise((resolve) => httpServer.listen(0, resolve));
+    servers.push(io);
+    return io;
+  };
+
+  const connect = (io, auth) =>
+    new Promise((resolve) => {
+      const { port } = io.httpServer.address();
+      const client = ioClient(`http://127.0.0.1:${port}`, {
+        auth,
+        transports: ["websocket"],
+      });
+      clients.push(client);
+      client.on("connect", () => resolve(client));
+    });
+
+  afterEach(async () => {
+    clients.forEach((client) => client.disconnect());
+    await Promise.all(servers.map((io) => io.close()));
+    servers = [];
+    clients = [];
+  });
+
+  test("room emits reach sockets on other instances", async () => {
+    const hub = createMemoryStateHub();
+    const first = await startServer(hub);
+    const second = await startServer(hub);
+    const helper = await connect(second, { user: "hlp-1" });
+    await settle();
+
+    const received = new Promise((resolve) => helper.on("newCall", resolve));
+    first.to("hlp-1").emit("newCall", { callId: "call-1" });
+
+    await expect(received).resolves.toEqual({ callId: "call-1" });
+  });
+
+  test("finds sockets and answers requests across instances", async () => {
+    const hub = createMemoryStateHub();
+    const first = await startServer(hub);
+    const second = await startServer(hub);
+    second.on("userPresence", (userId, callback) => {
+      callback({ online: Boolean(second.sockets.adapter.rooms.get(userId)) });
+    });
+    await connect(second, { user: "hlp-1", role: "helper" });
+    await settle();
+
+    const sockets = await first.in("hlp-1").fetchSockets();
+    expect(sockets.map((socket) => socket.data.role)).toEqual(["helper"]);
+    await expect(
+      first.serverSideEmitWithAck("userPresence", "hlp-1")
+    ).resolves.toEqual([{ online: true }]);
+  });
+
+  test("instances on separate hubs stay apart", async () => {
+    const first = await startServer(createMemoryStateHub());
+    const second = await startServer(createMemoryStateHub());
+    await connect(second, { user: "hlp-1" });
+    await settle();
+
+    await expect(first.in("hlp-1").fetchSockets()).resolves.toEqual([]);
+  });
+});
@@ -0,0 +1,244 @@
+/**
+ * Tests for transcript persistence and export (app/transcripts)
+ */
+
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+
+const { signToken } = require("../app/auth");
+const { createTranscriptStore } = require("../app/transcripts");
+const { TRANSCRIPT_FORMATS } = require("../app/transcripts/formats");
+const { createTranscriptRouter } = require("../app/transcripts/routes");
+
+const SECRET = "test-secret";
+
+const buildEntry = (overrides = {}) => ({
+  sequenceId: 1,
+  streamId: null,
+  speaker: "emp-1",
+  sourceLanguage: "en",
+  text: "hello",
+  translations: { my: "မင်္ဂလာပါ" },
+  startedAt: "2025-01-01T00:00:01.500Z",
+  endedAt: "2025-01-01T00:00:03.250Z",
+  ...overrides,
+});
+
+const transcript = {
+  callId: "call-1",
+  createdAt: "2025-01-01T00:00:00.000Z",
+  participants: ["emp-1", "hlp-1"],
+  entries: [
+    buildEntry(),
+    buildEntry({
+      sequenceId: 2,
+      speaker: "hlp-1",
+      sourceLanguage: "my",
+      text: "<ok>",
+      translations: {},
+      startedAt: "2025-01-01T01:02:03.000Z",
+      endedAt: "2025-01-01T01:02:03.000Z",
+    }),
+  ],
+};
+
+describe("createTranscriptStore", () => {
+  test("defaults to the memory store", () => {
+    expect(createTranscriptStore(undefined).name).toBe("memory");
+  });
+
+  test("rejects unknown stores", () => {
+    expect(() => createTranscriptStore("redis")).toThrow(
+      'Unknown transcript store "redis"'
+    );
+  });
+});
+
+describe("memory transcript store", () => {
+  test("records participants once and appends entries in order", async () => {
+    const store = createTranscriptStore("memory");
+    await store.addParticipants("call-1", ["emp-1", "hlp-1"]);
+    await store.addParticipants("call-1", ["hlp-1"]);
+    await store.append("call-1", buildEntry());
+    await store.append("call-1", buildEntry({ sequenceId: 2 }));
+
+    const stored = await store.get("call-1");
+    expect(stored.participants).toEqual(["emp-1", "hlp-1"]);
+    expect(stored.entries.map((entry) => entry.sequenceId)).toEqual([1, 2]);
+    expect(await store.get("call-2")).toBeNull();
+  });
+
+  test("returns copies and evicts the oldest call", async () => {
+    const store = createTranscriptStore("memory", { maxCalls: 1 });
+    await store.append("call-1", buildEntry());
+    (await store.get("call-1")).entries.push(buildEntry());
+
+    expect((await store.get("call-1")).entries).toHaveLength(1);
+
+    await store.append("call-2", buildEntry());
+    expect(await store.get("call-1")).toBeNull();
+  });
+});
+
+describe("file transcript store", () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "transcripts-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test("persists transcripts across store instances", async () => {
+    const store = createTranscriptStore("file", { directory });
+    await store.addParticipants("call-1", ["emp-1", "hlp-1"]);
+    await Promise.all([
+      store.append("call-1", buildEntry()),
+      store.append("call-1", buildEntry({ sequenceId: 2 })),
+    ]);
+
+    const reopened = createTranscriptStore("file", { directory });
+    const stored = await reopened.get("call-1");
+    expect(stored.participants).toEqual(["emp-1", "hlp-1"]);
+    expect(stored.entries.map((entry) => entry.sequenceId)).toEqual([1, 2]);
+  });
+
+  test("reloads evicted transcripts from disk", async () => {
+    const store = createTranscriptStore("file", {
+      directory,
+      maxCachedCalls: 1,
+    });
+    await store.append("call-1", buildEntry());
+    await store.append("call-2", buildEntry());
+    await store.append("call-1", buildEntry({ sequenceId: 2 }));
+
+    expect((await store.get("call-1")).entries).toHaveLength(2);
+  });
+
+  test("ignores ids that are not safe file names", async () => {
+    const store = createTranscriptStore("file", { directory });
+
+    expect(await store.get("../secrets")).toBeNull();
+    await expect(store.append("../secrets", buildEntry())).rejects.toThrow(
+      "Invalid call id"
+    );
+  });
+});
+
+describe("TRANSCRIPT_FORMATS", () => {
+  test("renders SRT cues relative to the transcript start", () => {
+    expect(TRANSCRIPT_FORMATS.srt.render(transcript)).toBe(
+      [
+        "1",
+        "00:00:01,500 --> 00:00:03,250",
+        "emp-1: hello",
+        "[my] မင်္ဂလာပါ",
+        "",
+        "2",
+        "01:02:03,000 --> 01:02:04,000",
+        "hlp-1: <ok>",
+        "",
+      ].join("\n")
+    );
+  });
+
+  test("renders escaped WebVTT with speaker voices", () => {
+    expect(TRANSCRIPT_FORMATS.vtt.render(transcript)).toBe(
+      [
+        "WEBVTT",
+        "",
+        "00:00:01.500 --> 00:00:03.250",
+        "<v emp-1>hello",
+        "[my] မင်္ဂလာပါ",
+        "",
+        "01:02:03.000 --> 01:02:04.000",
+        "<v hlp-1>&lt;ok&gt;",
+        "",
+      ].join("\n")
+    );
+  });
+
+  test("renders plain text and JSON", () => {
+    expect(TRANSCRIPT_FORMATS.txt.render(transcript)).toBe(
+      [
+        "[00:00:01] emp-1 (en): hello",
+        "    [my] မင်္ဂလာပါ",
+        "[01:02:03] hlp-1 (my): <ok>",
+        "",
+      ].join("\n")
+    );
+    expect(JSON.parse(TRANSCRIPT_FORMATS.json.render(transcript))).toEqual(
+      transcript
+    );
+  });
+});
+
+describe("GET /calls/:callId/transcript", () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const store = createTranscriptStore("memory");
+    await store.addParticipants("call-1", transcript.participants);
+    await store.append("call-1", buildEntry());
+
+    const app = express();
+    app.use(createTranscriptRouter({ store, authSecret: SECRET }));
+    server = http.createServer(app);
+    await new Promise((resolve) => server.listen(0, resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  const request = (urlPath, userId) =>
+    fetch(`${baseUrl}${urlPath}`, {
+      headers: userId
+        ? { Authorization: `Bearer ${signToken({ sub: userId }, SECRET)}` }
+        : {},
+    });
+
+  test("exports the transcript to participants", async () => {
+    const response = await request(
+      "/calls/call-1/transcript?format=vtt",
+      "hlp-1"
+    );
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get("content-type")).toContain("text/vtt");
+    expect(response.headers.get("content-disposition")).toContain(
+      "transcript-call-1.vtt"
+    );
+    expect(await response.text()).toContain("<v emp-1>hello");
+  });
+
+  test("defaults to JSON", async () => {
+    const response = await request("/calls/call-1/transcript", "emp-1");
+
+    expect((await response.json()).entries).toHaveLength(1);
+  });
+
+  test.each([
+    ["/calls/call-1/transcript", undefined, 401, "AUTH_TOKEN_MISSING"],
+    ["/calls/call-1/transcript", "outsider", 403, "FORBIDDEN"],
+    ["/calls/call-2/transcript", "emp-1", 404, "TRANSCRIPT_NOT_FOUND"],
+    [
+      "/calls/call-1/transcript?format=doc",
+      "emp-1",
+      400,
+      "INVALID_TRANSCRIPT_FORMAT",
+    ],
+  ])("GET %s as %s responds %i", async (urlPath, userId, status, code) => {
+    const response = await request(urlPath, userId);
+
+    expect(response.status).toBe(status);
+    expect((await response.json()).code).toBe(code);
+  });
+});
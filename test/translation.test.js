@@ -0,0 +1,343 @@
+/**
+ * Tests for the translation cache, glossary and admin routes
+ * (app/translation)
+ */
+
+const http = require("http");
+const express = require("express");
+
+const { signToken } = require("../app/auth");
+const { createLanguageMatrix } = require("../app/languages");
+const {
+  createGlossary,
+  createTranslationCache,
+  createTranslator,
+} = require("../app/translation");
+const { createTranslationAdminRouter } = require("../app/translation/routes");
+
+const SECRET = "test-secret";
+const { normalizeLanguageCode } = createLanguageMatrix();
+
+describe("createTranslationCache", () => {
+  test("counts hits and misses", () => {
+    const cache = createTranslationCache({ maxEntries: 2 });
+    cache.set("a", "A");
+
+    expect(cache.get("a")).toBe("A");
+    expect(cache.get("b")).toBeUndefined();
+    expect(cache.stats()).toEqual({
+      hits: 1,
+      misses: 1,
+      hitRate: 0.5,
+      size: 1,
+      maxEntries: 2,
+    });
+  });
+
+  test("evicts the least recently used entry", () => {
+    const cache = createTranslationCache({ maxEntries: 2 });
+    cache.set("a", "A");
+    cache.set("b", "B");
+    cache.get("a");
+    cache.set("c", "C");
+
+    expect(cache.get("a")).toBe("A");
+    expect(cache.get("b")).toBeUndefined();
+    expect(cache.get("c")).toBe("C");
+  });
+
+  test("stores nothing when disabled", () => {
+    const cache = createTranslationCache({ maxEntries: 0 });
+    cache.set("a", "A");
+
+    expect(cache.get("a")).toBeUndefined();
+    expect(cache.stats().size).toBe(0);
+  });
+});
+
+describe("createGlossary", () => {
+  const buildGlossary = (options = {}) =>
+    createGlossary({ normalizeLanguageCode, ...options });
+
+  test("normalizes entries and replaces the same term", () => {
+    const onChange = jest.fn();
+    const glossary = buildGlossary({ onChange });
+
+    const first = glossary.upsert({
+      sourceLanguage: "en-US",
+      targetLanguage: "my",
+      term: " day  off ",
+      translation: "ပိတ်ရက်",
+    });
+    const second = glossary.upsert({
+      sourceLanguage: "en",
+      targetLanguage: "my",
+      term: "Day Off",
+      translation: "နားရက်",
+    });
+
+    expect(first.created).toBe(true);
+    expect(second.created).toBe(false);
+    expect(second.entry.id).toBe(first.entry.id);
+    expect(glossary.list()).toEqual([
+      expect.objectContaining({
+        sourceLanguage: "en",
+        term: "Day Off",
+        translation: "နားရက်",
+      }),
+    ]);
+    expect(onChange).toHaveBeenCalledTimes(2);
+    expect(glossary.getVersion()).toBe(2);
+  });
+
+  const validEntry = {
+    sourceLanguage: "en",
+    targetLanguage: "my",
+    term: "salary",
+    translation: "လစာ",
+  };
+
+  test.each([
+    [{ ...validEntry, targetLanguage: "xx" }],
+    [{ ...validEntry, targetLanguage: "en" }],
+    [{ ...validEntry, term: " " }],
+    [null],
+  ])("rejects invalid entry %j", (entry) => {
+    expect(() => buildGlossary().upsert(entry)).toThrow(
+      expect.objectContaining({ code: "INVALID_GLOSSARY_ENTRY" })
+    );
+  });
+
+  test("loads initial entries without reporting a change", () => {
+    const onChange = jest.fn();
+    const glossary = buildGlossary({
+      entries: [
+        {
+          id: "salary",
+          sourceLanguage: "en",
+          targetLanguage: "my",
+          term: "salary",
+          translation: "လစာ",
+        },
+      ],
+      onChange,
+    });
+
+    expect(glossary.list()[0].id).toBe("salary");
+    expect(onChange).not.toHaveBeenCalled();
+    expect(glossary.remove("salary")).toBe(true);
+    expect(glossary.remove("salary")).toBe(false);
+    expect(onChange).toHaveBeenCalledWith({ type: "delete", key: "salary" });
+  });
+
+  test("follows edits made on another instance", () => {
+    const replica = buildGlossary({
+      entries: [{ ...validEntry, translation: "လုပ်ခ" }],
+    });
+    const glossary = buildGlossary({
+      onChange: (change) =>
+        replica.applyChange(JSON.parse(JSON.stringify(change))),
+    });
+
+    const { entry } = glossary.upsert(validEntry);
+    expect(replica.list()).toEqual([entry]);
+    expect(replica.getVersion()).toBe(1);
+    expect(replica.protect("salary", "en", "my").restore("[[0]]")).toBe(
+      "လစာ"
+    );
+
+    glossary.remove(entry.id);
+    expect(replica.list()).toEqual([]);
+  });
+
+  test("snapshot recreates every entry", () => {
+    const glossary = buildGlossary({ entries: [validEntry] });
+    const replica = buildGlossary();
+
+    glossary.snapshot().forEach(replica.applyChange);
+
+    expect(replica.list()).toEqual(glossary.list());
+  });
+
+  test("protects whole-word terms, longest first", () => {
+    const glossary = buildGlossary();
+    ["day off", "day off work"].forEach((term, index) =>
+      glossary.upsert({
+        sourceLanguage: "en",
+        targetLanguage: "my",
+        term,
+        translation: `T${index}`,
+      })
+    );
+
+    const { text, restore } = glossary.protect(
+      "A DAY OFF work or a day off, not a dayoff",
+      "en",
+      "my"
+    );
+
+    expect(text).toBe("A [[0]] or a [[1]], not a dayoff");
+    expect(restore("x [[1]] y [[0]]")).toBe("x T0 y T1");
+    expect(glossary.protect("day off", "en", "fil").text).toBe("day off");
+  });
+});
+
+describe("createTranslator", () => {
+  const buildTranslator = () => {
+    const provider = jest.fn(
+      async ({ text, targetLanguageCode }) => `<${targetLanguageCode}> ${text}`
+    );
+    const cache = createTranslationCache();
+    const glossary = createGlossary({ normalizeLanguageCode });
+    const translate = createTranslator({
+      translate: provider,
+      cache,
+      glossary,
+    });
+    return { cache, glossary, provider, translate };
+  };
+
+  const request = (text) => ({
+    text,
+    sourceLanguageCode: "en",
+    targetLanguageCode: "my",
+  });
+
+  test("caches by normalized text", async () => {
+    const { cache, provider, translate } = buildTranslator();
+
+    await expect(translate(request("good  morning "))).resolves.toBe(
+      "<my> good morning"
+    );
+    await expect(translate(request("good morning"))).resolves.toBe(
+      "<my> good morning"
+    );
+    await translate({ ...request("good morning"), targetLanguageCode: "fil" });
+
+    expect(provider).toHaveBeenCalledTimes(2);
+    expect(cache.stats()).toEqual(
+      expect.objectContaining({ hits: 1, misses: 2 })
+    );
+  });
+
+  test("applies glossary terms and skips bare terms", async () => {
+    const { glossary, provider, translate } = buildTranslator();
+    glossary.upsert({
+      sourceLanguage: "en",
+      targetLanguage: "my",
+      term: "day off",
+      translation: "ပိတ်ရက်",
+    });
+
+    await expect(translate(request("Sunday is your day off"))).resolves.toBe(
+      "<my> Sunday is your ပိတ်ရက်"
+    );
+    await expect(translate(request("Day off!"))).resolves.toBe("ပိတ်ရက်!");
+    expect(provider).toHaveBeenCalledTimes(1);
+  });
+
+  test("glossary changes bypass earlier cached translations", async () => {
+    const { glossary, provider, translate } = buildTranslator();
+    await translate(request("salary"));
+    glossary.upsert({
+      sourceLanguage: "en",
+      targetLanguage: "my",
+      term: "salary",
+      translation: "လစာ",
+    });
+
+    await expect(translate(request("salary"))).resolves.toBe("လစာ");
+    expect(provider).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("translation admin routes", () => {
+  let server;
+  let baseUrl;
+  let glossary;
+  let cache;
+
+  beforeEach(async () => {
+    glossary = createGlossary({ normalizeLanguageCode });
+    cache = createTranslationCache();
+    const app = express();
+    app.use(
+      createTranslationAdminRouter({ glossary, cache, authSecret: SECRET })
+    );
+    server = http.createServer(app);
+    await new Promise((resolve) => server.listen(0, resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  const request = (method, urlPath, { body, role = "admin" } = {}) =>
+    fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${signToken({ sub: "ops-1", role }, SECRET)}`,
+        "Content-Type": "application/json",
+      },
+      body: body && JSON.stringify(body),
+    });
+
+  test("requires the admin role", async () => {
+    const response = await request("GET", "/admin/glossary", {
+      role: "employer",
+    });
+
+    expect(response.status).toBe(403);
+    expect((await response.json()).code).toBe("FORBIDDEN");
+  });
+
+  test("creates, updates, lists and deletes glossary entries", async () => {
+    const body = {
+      sourceLanguage: "en",
+      targetLanguage: "my",
+      term: "cooking",
+      translation: "ချက်ပြုတ်ခြင်း",
+    };
+
+    const created = await request("PUT", "/admin/glossary", { body });
+    const { entry } = await created.json();
+    const updated = await request("PUT", "/admin/glossary", {
+      body: { ...body, translation: "ထမင်းချက်" },
+    });
+    const listed = await (await request("GET", "/admin/glossary")).json();
+
+    expect(created.status).toBe(201);
+    expect(updated.status).toBe(200);
+    expect(listed.entries).toEqual([
+      expect.objectContaining({ id: entry.id, translation: "ထမင်းချက်" }),
+    ]);
+
+    const deleted = await request("DELETE", `/admin/glossary/${entry.id}`);
+    const missing = await request("DELETE", `/admin/glossary/${entry.id}`);
+    expect(deleted.status).toBe(204);
+    expect(missing.status).toBe(404);
+  });
+
+  test("rejects invalid glossary entries", async () => {
+    const response = await request("PUT", "/admin/glossary", {
+      body: { sourceLanguage: "en", targetLanguage: "my" },
+    });
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).code).toBe("INVALID_GLOSSARY_ENTRY");
+  });
+
+  test("reports and clears cache stats", async () => {
+    cache.set("key", "value");
+    cache.get("key");
+
+    const response = await request("GET", "/admin/translation-cache");
+    const stats = await response.json();
+    const cleared = await request("DELETE", "/admin/translation-cache");
+
+    expect(stats).toEqual(expect.objectContaining({ hits: 1, size: 1 }));
+    expect(cleared.status).toBe(204);
+    expect(cache.stats().size).toBe(0);
+  });
+});
@@ -0,0 +1,266 @@
+/**
+ * Tests for utterance assembly and sequence tracking (app/utterances)
+ */
+
+const {
+  createSequenceTracker,
+  createUtteranceAssembler,
+} = require("../app/utterances");
+
+// 100 ms of 16 kHz LINEAR16 per chunk unless a size is given.
+const buildChunk = (sequenceId, overrides = {}) => ({
+  groupKey: "emp->hlp",
+  context: { recipientId: "hlp" },
+  encoding: "LINEAR16",
+  sampleRateHertz: 16000,
+  audioContent: Buffer.alloc(3200, sequenceId),
+  sequenceId,
+  boundary: false,
+  receivedAt: `t${sequenceId}`,
+  ...overrides,
+});
+
+describe("createSequenceTracker", () => {
+  // Released sequenceIds, "~" marking those after a gap.
+  const ids = ({ released }) =>
+    released.map(({ sequenceId, gap }) =>
+      gap ? `~${sequenceId}` : sequenceId
+    );
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("drops repeated sequenceIds per call and sender", () => {
+    const tracker = createSequenceTracker();
+
+    expect(tracker.add("call-1", "emp", 1, "a")).toEqual({
+      duplicate: false,
+      late: false,
+      released: [{ item: "a", sequenceId: 1, gap: false }],
+    });
+    expect(tracker.add("call-1", "emp", 2).duplicate).toBe(false);
+    expect(tracker.add("call-1", "emp", 2).duplicate).toBe(true);
+    expect(tracker.add("call-1", "emp", 1).duplicate).toBe(true);
+    expect(tracker.add("call-1", "hlp", 1).duplicate).toBe(false);
+    expect(tracker.add("room-1", "emp", 1).duplicate).toBe(false);
+  });
+
+  test("holds chunks ahead of a gap until it fills", () => {
+    const tracker = createSequenceTracker();
+    tracker.add("call-1", "emp", 0);
+
+    expect(ids(tracker.add("call-1", "emp", 3))).toEqual([]);
+    expect(ids(tracker.add("call-1", "emp", 2))).toEqual([]);
+    expect(tracker.add("call-1", "emp", 3).duplicate).toBe(true);
+    expect(ids(tracker.add("call-1", "emp", 1))).toEqual([1, 2, 3]);
+    expect(ids(tracker.add("call-1", "emp", 4))).toEqual([4]);
+  });
+
+  test("releases held chunks once the reorder window passes", () => {
+    jest.useFakeTimers();
+    const onRelease = jest.fn();
+    const tracker = createSequenceTracker({ reorderWindowMs: 500 });
+    tracker.add("call-1", "emp", 0, "a", onRelease);
+    tracker.add("call-1", "emp", 4, "e", onRelease);
+    tracker.add("call-1", "emp", 2, "c", onRelease);
+
+    jest.advanceTimersByTime(499);
+    expect(onRelease).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(1);
+
+    expect(onRelease).toHaveBeenCalledWith([
+      { item: "c", sequenceId: 2, gap: true },
+      { item: "e", sequenceId: 4, gap: true },
+    ]);
+    expect(tracker.add("call-1", "emp", 3)).toEqual({
+      duplicate: false,
+      late: true,
+      released: [],
+    });
+    expect(tracker.add("call-1", "emp", 3).duplicate).toBe(true);
+    expect(ids(tracker.add("call-1", "emp", 5))).toEqual([5]);
+  });
+
+  test("stops waiting once the gap fills", () => {
+    jest.useFakeTimers();
+    const onRelease = jest.fn();
+    const tracker = createSequenceTracker({ reorderWindowMs: 500 });
+    tracker.add("call-1", "emp", 0, "a", onRelease);
+    tracker.add("call-1", "emp", 2, "c", onRelease);
+    tracker.add("call-1", "emp", 1, "b", onRelease);
+
+    jest.advanceTimersByTime(1000);
+
+    expect(onRelease).not.toHaveBeenCalled();
+  });
+
+  test("releases at once with no window or too many chunks held", () => {
+    const unordered = createSequenceTracker({ reorderWindowMs: 0 });
+    unordered.add("call-1", "emp", 0);
+    expect(ids(unordered.add("call-1", "emp", 2))).toEqual(["~2"]);
+    expect(unordered.add("call-1", "emp", 1).late).toBe(true);
+
+    const bounded = createSequenceTracker({ maxHeld: 2 });
+    bounded.add("call-1", "emp", 0);
+    expect(ids(bounded.add("call-1", "emp", 3))).toEqual([]);
+    expect(ids(bounded.add("call-1", "emp", 4))).toEqual([]);
+    expect(ids(bounded.add("call-1", "emp", 6))).toEqual(["~3", 4, "~6"]);
+  });
+
+  test("remembers only the most recent skipped sequenceIds", () => {
+    const tracker = createSequenceTracker({ reorderWindowMs: 0 });
+    tracker.add("call-1", "emp", 0);
+    tracker.add("call-1", "emp", 100);
+
+    expect(tracker.add("call-1", "emp", 10).duplicate).toBe(true);
+    expect(tracker.add("call-1", "emp", 99).late).toBe(true);
+  });
+
+  test("starts over once a scope or sender is reset", () => {
+    jest.useFakeTimers();
+    const onRelease = jest.fn();
+    const tracker = createSequenceTracker();
+    tracker.add("call-1", "emp", 7);
+    tracker.add("call-1", "hlp", 7);
+    tracker.add("call-1", "hlp", 9, "held", onRelease);
+    tracker.add("room-1", "emp", 7);
+    tracker.add("room-1", "hlp", 7);
+
+    tracker.reset("call-1");
+    tracker.reset("room-1", "emp");
+    jest.runAllTimers();
+
+    expect(onRelease).not.toHaveBeenCalled();
+    expect(tracker.add("call-1", "emp", 0).duplicate).toBe(false);
+    expect(tracker.add("call-1", "hlp", 0).duplicate).toBe(false);
+    expect(tracker.add("room-1", "emp", 0).duplicate).toBe(false);
+    expect(tracker.add("room-1", "hlp", 7).duplicate).toBe(true);
+  });
+
+  test("forgets senders idle for longer than ttlMs", () => {
+    const tracker = createSequenceTracker({ ttlMs: 1000 });
+    tracker.add("call-1", "emp", 7, "a", undefined, 0);
+
+    expect(tracker.add("call-1", "emp", 1, "b", undefined, 500).duplicate).toBe(
+      true
+    );
+    expect(tracker.add("call-1", "emp", 1, "b", undefined, 1500)).toEqual({
+      duplicate: false,
+      late: false,
+      released: [{ item: "b", sequenceId: 1, gap: false }],
+    });
+  });
+
+  test("keeps at most maxScopes scopes", () => {
+    const tracker = createSequenceTracker({ maxScopes: 2 });
+    tracker.add("a", "emp", 5);
+    tracker.add("b", "emp", 5);
+    tracker.add("a", "emp", 6);
+    tracker.add("c", "emp", 5);
+
+    expect(tracker.add("a", "emp", 6).duplicate).toBe(true);
+    expect(tracker.add("b", "emp", 5).duplicate).toBe(false);
+  });
+});
+
+describe("createUtteranceAssembler", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("joins consecutive chunks until a pause", () => {
+    const onPause = jest.fn();
+    const assembler = createUtteranceAssembler({ pauseMs: 700, onPause });
+
+    expect(assembler.add(buildChunk(1))).toEqual([]);
+    jest.advanceTimersByTime(500);
+    expect(assembler.add(buildChunk(2))).toEqual([]);
+    jest.advanceTimersByTime(500);
+    expect(onPause).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(200);
+    expect(onPause).toHaveBeenCalledTimes(1);
+
+    const utterance = assembler.take();
+    expect(utterance).toMatchObject({
+      utteranceId: expect.any(String),
+      context: { recipientId: "hlp" },
+      encoding: "LINEAR16",
+      sampleRateHertz: 16000,
+      firstSequenceId: 1,
+      lastSequenceId: 2,
+      startedAt: "t1",
+      durationMs: 200,
+    });
+    expect(utterance.audioContent).toEqual(
+      Buffer.concat([Buffer.alloc(3200, 1), Buffer.alloc(3200, 2)])
+    );
+    expect(assembler.hasPending()).toBe(false);
+    expect(assembler.take()).toBeNull();
+  });
+
+  test("starts a new utterance at a boundary, target or format change", () => {
+    const assembler = createUtteranceAssembler({ onPause: jest.fn() });
+    assembler.add(buildChunk(1));
+
+    const [afterGap] = assembler.add(buildChunk(5, { boundary: true }));
+    const [afterTarget] = assembler.add(
+      buildChunk(6, { groupKey: "emp->room" })
+    );
+    const [afterFormat] = assembler.add(
+      buildChunk(7, { groupKey: "emp->room", sampleRateHertz: 8000 })
+    );
+
+    expect(afterGap).toMatchObject({ firstSequenceId: 1, lastSequenceId: 1 });
+    expect(afterTarget).toMatchObject({ firstSequenceId: 5 });
+    expect(afterFormat).toMatchObject({ groupKey: "emp->room" });
+    expect(afterGap.utteranceId).not.toBe(afterTarget.utteranceId);
+    expect(assembler.take()).toMatchObject({ firstSequenceId: 7 });
+  });
+
+  test("completes an utterance at maxDurationMs", () => {
+    const onPause = jest.fn();
+    const assembler = createUtteranceAssembler({
+      maxDurationMs: 300,
+      onPause,
+    });
+
+    assembler.add(buildChunk(1));
+    assembler.add(buildChunk(2));
+    const [utterance] = assembler.add(buildChunk(3));
+
+    expect(utterance).toMatchObject({ firstSequenceId: 1, lastSequenceId: 3 });
+    expect(assembler.hasPending()).toBe(false);
+    jest.advanceTimersByTime(1000);
+    expect(onPause).not.toHaveBeenCalled();
+  });
+
+  test("never joins compressed chunks", () => {
+    const assembler = createUtteranceAssembler({ onPause: jest.fn() });
+    assembler.add(buildChunk(1));
+
+    const completed = assembler.add(
+      buildChunk(2, { encoding: "OGG_OPUS", sampleRateHertz: 48000 })
+    );
+
+    expect(completed.map((utterance) => utterance.firstSequenceId)).toEqual([
+      1, 2,
+    ]);
+    expect(completed[1].encoding).toBe("OGG_OPUS");
+    expect(assembler.hasPending()).toBe(false);
+  });
+
+  test("with maxDurationMs 0 every chunk is an utterance", () => {
+    const assembler = createUtteranceAssembler({
+      maxDurationMs: 0,
+      onPause: jest.fn(),
+    });
+
+    expect(assembler.add(buildChunk(1))).toHaveLength(1);
+    expect(assembler.add(buildChunk(2))).toHaveLength(1);
+  });
+});
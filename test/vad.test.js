@@ -0,0 +1,84 @@
+/**
+ * Tests for silence detection before recognition (app/vad)
+ */
+
+const { createVoiceActivityDetector } = require("../app/vad");
+
+const SAMPLE_RATE = 16000;
+
+// 16-bit mono PCM; each segment is [durationMs, amplitude in [0, 1]].
+const buildTone = (...segments) =>
+  Buffer.concat(
+    segments.map(([durationMs, amplitude]) => {
+      const samples = (SAMPLE_RATE * durationMs) / 1000;
+      const pcm = Buffer.alloc(samples * 2);
+      for (let index = 0; index < samples; index += 1) {
+        const value = Math.sin((2 * Math.PI * 440 * index) / SAMPLE_RATE);
+        pcm.writeInt16LE(Math.round(value * amplitude * 32767), index * 2);
+      }
+      return pcm;
+    })
+  );
+
+const linear16 = (audioContent) => ({
+  audioContent,
+  encoding: "LINEAR16",
+  sampleRateHertz: SAMPLE_RATE,
+});
+
+describe("createVoiceActivityDetector", () => {
+  test("treats digital silence and low noise as silent", () => {
+    const detector = createVoiceActivityDetector();
+
+    expect(detector.isSilent(linear16(Buffer.alloc(3200)))).toBe(true);
+    expect(detector.isSilent(linear16(buildTone([200, 0.001])))).toBe(true);
+  });
+
+  test("treats audible speech as speech", () => {
+    const detector = createVoiceActivityDetector();
+
+    expect(detector.isSilent(linear16(buildTone([200, 0.2])))).toBe(false);
+  });
+
+  test("needs minSpeechMs of loud frames within a chunk", () => {
+    const chunk = linear16(buildTone([40, 0.2], [460, 0]));
+
+    expect(createVoiceActivityDetector().isSilent(chunk)).toBe(true);
+    expect(
+      createVoiceActivityDetector({ minSpeechMs: 40 }).isSilent(chunk)
+    ).toBe(false);
+  });
+
+  test("accepts a loud chunk shorter than minSpeechMs", () => {
+    const detector = createVoiceActivityDetector({ minSpeechMs: 100 });
+
+    expect(detector.isSilent(linear16(buildTone([20, 0.2])))).toBe(false);
+  });
+
+  test("uses the configured threshold", () => {
+    const quiet = linear16(buildTone([200, 0.01]));
+
+    expect(createVoiceActivityDetector().isSilent(quiet)).toBe(false);
+    expect(
+      createVoiceActivityDetector({ thresholdDbfs: -30 }).isSilent(quiet)
+    ).toBe(true);
+  });
+
+  test("never skips other encodings, empty audio or when disabled", () => {
+    const silence = Buffer.alloc(3200);
+
+    expect(
+      createVoiceActivityDetector().isSilent({
+        ...linear16(silence),
+        encoding: "OGG_OPUS",
+      })
+    ).toBe(false);
+    expect(createVoiceActivityDetector().isSilent(linear16(Buffer.alloc(1))))
+      .toBe(false);
+    expect(
+      createVoiceActivityDetector({ enabled: false }).isSilent(
+        linear16(silence)
+      )
+    ).toBe(false);
+  });
+});